@@ -0,0 +1,238 @@
+/**
+ * Braven Lab Dashboard — Offline Action Queue
+ *
+ * Coach actions (notes, lactate entries) made while the Karoo is out of
+ * reach are kept here, in localStorage so a reload doesn't lose them, and
+ * submitted in order once the BravenWebSocketClient is back and has
+ * delivered its first state.
+ *
+ *   Action  {id, kind, payload, queuedAt, ride: {start, elapsed} | null}
+ *
+ * Each action remembers the ride it was made in (the Karoo's rideStartTime
+ * and elapsed time when queued). It is only sent into that same ride: one
+ * whose ride has ended or whose elapsed time has since gone backwards, one
+ * made before any ride data arrived, and one older than MAX_AGE_MS are
+ * dropped and reported instead.
+ *
+ * Each kind has a handler that submits the payload and returns a promise.
+ * An action whose handler fails because the Karoo dropped out again stays
+ * queued; one the Karoo refuses (bad value, pairing expired) is dropped and
+ * reported, since retrying won't help. No DOM dependencies.
+ */
+class ActionQueue {
+  /**
+   * @param {Object} [options]
+   * @param {Storage|null} [options.storage] - defaults to localStorage
+   * @param {function(): number} [options.now] - clock (mockable)
+   */
+  constructor(options = {}) {
+    this._storage =
+      options.storage !== undefined
+        ? options.storage
+        : typeof localStorage !== "undefined"
+          ? localStorage
+          : null;
+    this._now = options.now || (() => Date.now());
+
+    this._actions = [];
+    this._handlers = {};
+    this._client = null;
+    this._flushOnData = false;
+    this._flushing = null;
+    this._changeCallbacks = [];
+  }
+
+  static get STORAGE_KEY() {
+    return "braven.actionQueue";
+  }
+
+  /** Oldest actions are dropped beyond this */
+  static get MAX_ACTIONS() {
+    return 100;
+  }
+
+  /** Actions queued longer ago than this are dropped, not sent */
+  static get MAX_AGE_MS() {
+    return 30 * 60 * 1000;
+  }
+
+  /**
+   * Load actions queued before a reload.
+   * @returns {number} queued action count
+   */
+  restore() {
+    try {
+      const saved = this._storage && JSON.parse(this._storage.getItem(ActionQueue.STORAGE_KEY));
+      if (Array.isArray(saved)) this._actions = saved.filter((a) => a && a.kind && a.id);
+    } catch (err) {
+      console.warn("[Queue] Ignoring unreadable queued actions:", err);
+    }
+    return this._actions.length;
+  }
+
+  /**
+   * Set how actions of a kind are submitted.
+   * @param {string} kind - e.g. 'note', 'lactate'
+   * @param {function(Object, Object): Promise} handler - (payload, action)
+   */
+  handle(kind, handler) {
+    this._handlers[kind] = handler;
+  }
+
+  /**
+   * Flush whenever the client reconnects: after its first state, so the
+   * Karoo has said hello and commands are accepted.
+   * @param {BravenWebSocketClient} client
+   */
+  attach(client) {
+    this._client = client;
+    client.onStatusChange((connected) => {
+      this._flushOnData = connected && this._actions.length > 0;
+    });
+    client.onData(() => {
+      if (!this._flushOnData) return;
+      this._flushOnData = false;
+      this.flush();
+    });
+  }
+
+  /**
+   * Queue an action for the next flush, in the ride the attached client
+   * last reported.
+   * @param {string} kind
+   * @param {Object} payload
+   * @returns {Object} the action
+   */
+  enqueue(kind, payload) {
+    const queuedAt = this._now();
+    const id = `${queuedAt.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const state = this._client ? this._client.getState() : null;
+    const ride =
+      state && state.elapsedTime !== undefined
+        ? { start: state.rideStartTime ?? null, elapsed: state.elapsedTime }
+        : null;
+    const action = { id, kind, payload, queuedAt, ride };
+    this._actions.push(action);
+    if (this._actions.length > ActionQueue.MAX_ACTIONS) {
+      const dropped = this._actions.shift();
+      console.warn(`[Queue] Queue full, dropped oldest ${dropped.kind}`);
+    }
+    this._save();
+    console.log(`[Queue] Queued ${kind} (${this._actions.length} waiting)`);
+    this._notify("queued", action);
+    return action;
+  }
+
+  /**
+   * Submit queued actions in order. Concurrent calls share one run.
+   * @returns {Promise<{sent: number, dropped: number, remaining: number}>}
+   */
+  flush() {
+    if (!this._flushing) {
+      this._flushing = this._flush().finally(() => {
+        this._flushing = null;
+      });
+    }
+    return this._flushing;
+  }
+
+  /** @returns {Array<Object>} copy of the queued actions, oldest first */
+  getActions() {
+    return this._actions.map((a) => ({ ...a }));
+  }
+
+  /** @returns {number} queued action count */
+  size() {
+    return this._actions.length;
+  }
+
+  /**
+   * Register a callback fired when the queue changes.
+   * @param {function(string, Object, Error=)} callback - (reason, action, error)
+   *   with reason 'queued' | 'sent' | 'dropped'
+   */
+  onChange(callback) {
+    this._changeCallbacks.push(callback);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // INTERNALS
+  // ═══════════════════════════════════════════════════════
+
+  async _flush() {
+    let sent = 0;
+    let dropped = 0;
+    while (this._actions.length > 0) {
+      const action = this._actions[0];
+      const handler = this._handlers[action.kind];
+      const stale = this._staleReason(action);
+      if (stale) {
+        console.warn(`[Queue] Queued ${action.kind} ${stale}, dropping`);
+        this._remove(action);
+        dropped++;
+        this._notify("dropped", action, new Error(`Not sent: ${stale}`));
+        continue;
+      }
+      try {
+        if (!handler) throw new Error(`No handler for ${action.kind}`);
+        await handler(action.payload, action);
+        this._remove(action);
+        sent++;
+        this._notify("sent", action);
+      } catch (err) {
+        if (this._isRetryable(err)) {
+          console.warn(`[Queue] Karoo unreachable, keeping ${this._actions.length} action(s):`, err.message);
+          break;
+        }
+        console.error(`[Queue] Karoo refused queued ${action.kind}, dropping:`, err);
+        this._remove(action);
+        dropped++;
+        this._notify("dropped", action, err);
+      }
+    }
+    if (sent || dropped) console.log(`[Queue] Flushed: ${sent} sent, ${dropped} dropped`);
+    return { sent, dropped, remaining: this._actions.length };
+  }
+
+  /**
+   * Why an action must not be sent into the client's current ride, if so.
+   * @returns {string|null}
+   */
+  _staleReason(action) {
+    if (this._now() - action.queuedAt > ActionQueue.MAX_AGE_MS) {
+      return `queued over ${ActionQueue.MAX_AGE_MS / 60000} minutes ago`;
+    }
+    const state = this._client ? this._client.getState() : null;
+    if (!action.ride || !state) return "made before any ride data arrived";
+    if ((state.rideStartTime ?? null) !== action.ride.start) return "made in an earlier ride";
+    if (state.elapsedTime < action.ride.elapsed) return "made in an earlier ride (ride time went back)";
+    return null;
+  }
+
+  /** fetch() network failures are TypeErrors; a lost socket fails commands */
+  _isRetryable(err) {
+    return err instanceof TypeError || (this._client !== null && !this._client.isConnected());
+  }
+
+  _remove(action) {
+    this._actions = this._actions.filter((a) => a.id !== action.id);
+    this._save();
+  }
+
+  _save() {
+    if (!this._storage) return;
+    try {
+      this._storage.setItem(ActionQueue.STORAGE_KEY, JSON.stringify(this._actions));
+    } catch (err) {
+      console.warn("[Queue] Failed to save queued actions:", err);
+    }
+  }
+
+  _notify(reason, action, error) {
+    this._changeCallbacks.forEach((cb) => cb(reason, action, error));
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ActionQueue;
+}
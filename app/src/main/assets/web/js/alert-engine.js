@@ -0,0 +1,346 @@
+/**
+ * Braven Lab Dashboard — Alert Engine
+ *
+ * Evaluates user-configurable threshold rules against every SessionState
+ * message and raises alerts the coach can't miss: HR over a cap, core temp
+ * climbing too fast, Karoo battery low, cadence collapsing during an ERG
+ * step, the trainer reporting an error.
+ *
+ *   Rule   {id, label, metric, comparator, threshold, duration, cooldown,
+ *           ergOnly, severity, enabled}
+ *          duration — seconds the condition must hold before it fires
+ *          cooldown — seconds after firing before the rule may fire again
+ *          ergOnly  — only evaluated while the trainer is under ERG control
+ *   Alert  {t, elapsed, ruleId, label, metric, value, threshold, severity}
+ *
+ * An alert fires once per excursion and stays active until the condition
+ * clears. Rules are remembered per display in localStorage. No DOM
+ * dependencies.
+ */
+class AlertEngine {
+  /**
+   * @param {Object} [options]
+   * @param {Storage|null} [options.storage] - defaults to localStorage
+   */
+  constructor(options = {}) {
+    this._storage =
+      options.storage !== undefined
+        ? options.storage
+        : typeof localStorage !== "undefined"
+          ? localStorage
+          : null;
+
+    this._rules = AlertEngine.DEFAULT_RULES;
+    this._state = {}; // ruleId → {since, firedAt, active}
+    this._coreTemps = []; // [{t, value}] over the rate window
+    this._alertCallbacks = [];
+    this._changeCallbacks = [];
+  }
+
+  static get STORAGE_KEY() {
+    return "braven.alerts.rules";
+  }
+
+  /** Window the core temperature rate is measured over */
+  static get CORE_TEMP_RATE_WINDOW_MS() {
+    return 5 * 60 * 1000;
+  }
+
+  /**
+   * Metrics a rule can watch. `read` returns null when there is no reading
+   * (sensor absent), which never matches.
+   */
+  static get METRICS() {
+    const positive = (v) => (v > 0 ? v : null);
+    return {
+      heartRate: { label: "Heart rate", unit: "bpm", read: (d) => positive(d.heartRate) },
+      power3sAvg: { label: "Power (3s)", unit: "W", read: (d) => positive(d.power3sAvg) },
+      cadence: { label: "Cadence", unit: "rpm", read: (d) => (d.cadence >= 0 ? d.cadence : null) },
+      coreTemp: { label: "Core temp", unit: "°C", read: (d) => positive(d.coreTemp) },
+      coreTempRate: {
+        label: "Core temp rise",
+        unit: "°C/min",
+        read: (d, engine) => engine._coreTempRate(),
+      },
+      batteryPercent: {
+        label: "Karoo battery",
+        unit: "%",
+        read: (d) => (d.batteryPercent >= 0 ? d.batteryPercent : null),
+      },
+      trainerState: { label: "Trainer state", unit: "", read: (d) => d.trainerState || null },
+    };
+  }
+
+  static get COMPARATORS() {
+    return {
+      ">": (v, t) => v > t,
+      ">=": (v, t) => v >= t,
+      "<": (v, t) => v < t,
+      "<=": (v, t) => v <= t,
+      "==": (v, t) => String(v) === String(t),
+      "!=": (v, t) => String(v) !== String(t),
+    };
+  }
+
+  static get DEFAULT_RULES() {
+    return [
+      {
+        id: "hr-cap",
+        label: "HR above cap",
+        metric: "heartRate",
+        comparator: ">",
+        threshold: 185,
+        duration: 5,
+        cooldown: 60,
+        severity: "critical",
+      },
+      {
+        id: "core-temp-rise",
+        label: "Core temp rising fast",
+        metric: "coreTempRate",
+        comparator: ">",
+        threshold: 0.1,
+        duration: 30,
+        cooldown: 300,
+        severity: "warning",
+      },
+      {
+        id: "battery-low",
+        label: "Karoo battery low",
+        metric: "batteryPercent",
+        comparator: "<",
+        threshold: 15,
+        duration: 0,
+        cooldown: 600,
+        severity: "warning",
+      },
+      {
+        id: "cadence-collapse",
+        label: "Cadence collapsing in ERG",
+        metric: "cadence",
+        comparator: "<",
+        threshold: 50,
+        duration: 5,
+        cooldown: 30,
+        ergOnly: true,
+        severity: "critical",
+      },
+      {
+        id: "trainer-error",
+        label: "Trainer error",
+        metric: "trainerState",
+        comparator: "==",
+        threshold: "ERROR",
+        duration: 0,
+        cooldown: 30,
+        severity: "critical",
+      },
+    ].map(AlertEngine.normalizeRule);
+  }
+
+  /**
+   * Fill in defaults and check a rule.
+   * @param {Object} rule
+   * @returns {Object}
+   * @throws {Error} if the metric or comparator is unknown
+   */
+  static normalizeRule(rule) {
+    if (!AlertEngine.METRICS[rule.metric]) throw new Error(`Unknown metric: ${rule.metric}`);
+    if (!AlertEngine.COMPARATORS[rule.comparator]) {
+      throw new Error(`Unknown comparator: ${rule.comparator}`);
+    }
+    if (rule.threshold === undefined || rule.threshold === null || rule.threshold === "") {
+      throw new Error(`${rule.label || rule.metric}: threshold is required`);
+    }
+    const threshold =
+      rule.metric === "trainerState" ? String(rule.threshold) : Number(rule.threshold);
+    if (typeof threshold === "number" && !Number.isFinite(threshold)) {
+      throw new Error(`Threshold must be a number: ${rule.threshold}`);
+    }
+    return {
+      id: rule.id || `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      label: rule.label || AlertEngine.METRICS[rule.metric].label,
+      metric: rule.metric,
+      comparator: rule.comparator,
+      threshold,
+      duration: Math.max(0, Number(rule.duration) || 0),
+      cooldown: Math.max(0, Number(rule.cooldown) || 0),
+      ergOnly: !!rule.ergOnly,
+      severity: rule.severity === "critical" ? "critical" : "warning",
+      enabled: rule.enabled !== false,
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // RULES
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Load the rules saved on this display, if any.
+   */
+  restore() {
+    try {
+      const saved = this._storage && JSON.parse(this._storage.getItem(AlertEngine.STORAGE_KEY));
+      if (Array.isArray(saved)) this._rules = saved.map(AlertEngine.normalizeRule);
+    } catch (err) {
+      console.warn("[Alerts] Ignoring saved rules:", err);
+    }
+  }
+
+  /** @returns {Array<Object>} copies of the configured rules */
+  getRules() {
+    return this._rules.map((r) => ({ ...r }));
+  }
+
+  /**
+   * Replace the rule set. Rules keep their firing state by id.
+   * @param {Array<Object>} rules
+   * @throws {Error} if a rule is invalid (nothing is changed)
+   */
+  setRules(rules) {
+    this._rules = rules.map(AlertEngine.normalizeRule);
+    const ids = new Set(this._rules.map((r) => r.id));
+    Object.keys(this._state).forEach((id) => {
+      if (!ids.has(id)) delete this._state[id];
+    });
+    if (this._storage) {
+      try {
+        this._storage.setItem(AlertEngine.STORAGE_KEY, JSON.stringify(this._rules));
+      } catch (err) {
+        console.warn("[Alerts] Failed to save rules:", err);
+      }
+    }
+    this._notifyChange();
+  }
+
+  /**
+   * Register a callback fired when a rule fires.
+   * @param {function(Object)} callback - receives the Alert
+   */
+  onAlert(callback) {
+    this._alertCallbacks.push(callback);
+  }
+
+  /**
+   * Register a callback fired when the set of active alerts (or the rules)
+   * changes.
+   * @param {function(AlertEngine)} callback
+   */
+  onChange(callback) {
+    this._changeCallbacks.push(callback);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // EVALUATION
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Follow a data source (e.g. a BravenWebSocketClient).
+   * @param {{onData: function(function(Object))}} client
+   */
+  attach(client) {
+    client.onData((data) => this.evaluate(data));
+  }
+
+  /**
+   * Evaluate every enabled rule against a SessionState message.
+   * @param {Object} data
+   * @param {number} [now]
+   */
+  evaluate(data, now = Date.now()) {
+    this._trackCoreTemp(data, now);
+    const erg = data.trainerState === "CONTROLLING";
+    let changed = false;
+
+    this._rules.forEach((rule) => {
+      if (!this._state[rule.id]) {
+        this._state[rule.id] = { since: null, firedAt: null, active: null };
+      }
+      const state = this._state[rule.id];
+      const watched = rule.enabled && (!rule.ergOnly || erg);
+      const value = watched ? AlertEngine.METRICS[rule.metric].read(data, this) : null;
+      const matches =
+        value !== null && AlertEngine.COMPARATORS[rule.comparator](value, rule.threshold);
+
+      if (!matches) {
+        state.since = null;
+        if (state.active) {
+          state.active = null;
+          changed = true;
+        }
+        return;
+      }
+
+      if (state.since === null) state.since = now;
+      if (state.active) {
+        state.active.value = AlertEngine._round(value);
+        return;
+      }
+      const held = now - state.since >= rule.duration * 1000;
+      const cooled = state.firedAt === null || now - state.firedAt >= rule.cooldown * 1000;
+      if (!held || !cooled) return;
+
+      const alert = {
+        t: now,
+        elapsed: data.elapsedTime || 0,
+        ruleId: rule.id,
+        label: rule.label,
+        metric: rule.metric,
+        value: AlertEngine._round(value),
+        threshold: rule.threshold,
+        severity: rule.severity,
+      };
+      state.firedAt = now;
+      state.active = alert;
+      changed = true;
+      console.log(`[Alerts] ${alert.label}: ${alert.value} ${rule.comparator} ${rule.threshold}`);
+      this._alertCallbacks.forEach((cb) => cb(alert));
+    });
+
+    if (changed) this._notifyChange();
+  }
+
+  /**
+   * Alerts whose condition still holds, most severe first.
+   * @returns {Array<Object>}
+   */
+  getActive() {
+    return Object.values(this._state)
+      .map((s) => s.active)
+      .filter(Boolean)
+      .sort((a, b) => {
+        if (a.severity !== b.severity) return a.severity === "critical" ? -1 : 1;
+        return a.t - b.t;
+      });
+  }
+
+  _trackCoreTemp(data, now) {
+    if (!(data.coreTemp > 0)) return;
+    this._coreTemps.push({ t: now, value: data.coreTemp });
+    const cutoff = now - AlertEngine.CORE_TEMP_RATE_WINDOW_MS;
+    while (this._coreTemps.length > 0 && this._coreTemps[0].t < cutoff) this._coreTemps.shift();
+  }
+
+  /**
+   * Core temp change in °C/min across the rate window; null until at least
+   * two minutes of readings are available.
+   */
+  _coreTempRate() {
+    const first = this._coreTemps[0];
+    const last = this._coreTemps[this._coreTemps.length - 1];
+    if (!first || last.t - first.t < 2 * 60 * 1000) return null;
+    return (last.value - first.value) / ((last.t - first.t) / 60000);
+  }
+
+  static _round(value) {
+    return typeof value === "number" ? Math.round(value * 100) / 100 : value;
+  }
+
+  _notifyChange() {
+    this._changeCallbacks.forEach((cb) => cb(this));
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AlertEngine;
+}
@@ -0,0 +1,284 @@
+/**
+ * Braven Lab Dashboard — Athlete Profile & Zone Models
+ *
+ * Loads/saves the athlete profile stored on the Karoo (/api/profile) and
+ * turns its anchors into power and heart-rate zones:
+ *
+ *   Power  coggan7 — Coggan 7-zone, % FTP
+ *          seiler3 — Seiler 3-zone polarised, % FTP
+ *          custom  — user-defined, % FTP
+ *   HR     coggan5 — Coggan/Friel 5-zone, % LTHR
+ *          seiler3 — Seiler 3-zone, % HRmax
+ *          custom  — user-defined, % LTHR (or HRmax if no LTHR)
+ *
+ * Zones are [{index, name, min, max, color}] in watts / bpm; the last zone
+ * has max = Infinity.
+ */
+class AthleteProfile {
+  /**
+   * @param {Object} [options]
+   * @param {function} [options.fetchFn] - fetch() implementation (mockable)
+   */
+  constructor(options = {}) {
+    this._fetch = options.fetchFn || ((url, init) => fetch(url, init));
+    this._profile = AthleteProfile.DEFAULTS;
+    this._changeCallbacks = [];
+  }
+
+  static get DEFAULTS() {
+    return {
+      name: "",
+      weight: null, // kg
+      ftp: null, // W
+      lthr: null, // bpm
+      hrMax: null, // bpm
+      hrRest: null, // bpm
+      vo2max: null, // ml/kg/min
+      powerZoneModel: "coggan7",
+      hrZoneModel: "coggan5",
+      customPowerZones: null,
+      customHrZones: null,
+    };
+  }
+
+  /**
+   * Built-in zone models: upper bounds in % of the anchor (null = open).
+   */
+  static get ZONE_MODELS() {
+    return {
+      power: {
+        coggan7: {
+          label: "Coggan 7-zone",
+          zones: [
+            { name: "Active Recovery", upTo: 55 },
+            { name: "Endurance", upTo: 75 },
+            { name: "Tempo", upTo: 90 },
+            { name: "Threshold", upTo: 105 },
+            { name: "VO2max", upTo: 120 },
+            { name: "Anaerobic", upTo: 150 },
+            { name: "Neuromuscular", upTo: null },
+          ],
+        },
+        seiler3: {
+          label: "Seiler 3-zone",
+          zones: [
+            { name: "Low", upTo: 80 },
+            { name: "Threshold", upTo: 100 },
+            { name: "High", upTo: null },
+          ],
+        },
+      },
+      hr: {
+        coggan5: {
+          label: "Coggan 5-zone (LTHR)",
+          anchor: "lthr",
+          zones: [
+            { name: "Active Recovery", upTo: 68 },
+            { name: "Endurance", upTo: 83 },
+            { name: "Tempo", upTo: 94 },
+            { name: "Threshold", upTo: 105 },
+            { name: "VO2max", upTo: null },
+          ],
+        },
+        seiler3: {
+          label: "Seiler 3-zone (HRmax)",
+          anchor: "hrMax",
+          zones: [
+            { name: "Low", upTo: 82 },
+            { name: "Threshold", upTo: 87 },
+            { name: "High", upTo: null },
+          ],
+        },
+      },
+    };
+  }
+
+  /** Zone colours, easiest → hardest; spread across however many zones a model has */
+  static get ZONE_COLORS() {
+    return ["#a3a3a3", "#60a5fa", "#4ade80", "#facc15", "#fb923c", "#f87171", "#c084fc"];
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // LOAD / SAVE
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Fetch the stored profile from the Karoo.
+   * @returns {Promise<Object>}
+   */
+  async load() {
+    const res = await this._fetch("/api/profile");
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    this._set(await res.json());
+    console.log("[Profile] Loaded athlete profile");
+    return this.get();
+  }
+
+  /**
+   * Save changed fields to the Karoo.
+   * @param {Object} fields - any subset of DEFAULTS
+   * @returns {Promise<Object>}
+   */
+  async save(fields) {
+    const res = await this._fetch("/api/profile", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(fields),
+    });
+    const result = await res.json();
+    if (!res.ok || !result.success) {
+      throw new Error(result.message || `HTTP ${res.status}`);
+    }
+    this._set(result.profile);
+    console.log("[Profile] Saved athlete profile");
+    return this.get();
+  }
+
+  /**
+   * Register a callback fired whenever the profile changes.
+   * @param {function(AthleteProfile)} callback
+   */
+  onChange(callback) {
+    this._changeCallbacks.push(callback);
+  }
+
+  /** @returns {Object} copy of the profile fields */
+  get() {
+    return { ...this._profile };
+  }
+
+  _set(profile) {
+    this._profile = { ...AthleteProfile.DEFAULTS, ...profile };
+    this._changeCallbacks.forEach((cb) => cb(this));
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // ZONES
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Power zones in watts, or [] without an FTP.
+   * @returns {Array<Object>}
+   */
+  powerZones() {
+    const p = this._profile;
+    if (!(p.ftp > 0)) return [];
+    const defs =
+      p.powerZoneModel === "custom" && p.customPowerZones
+        ? p.customPowerZones
+        : (AthleteProfile.ZONE_MODELS.power[p.powerZoneModel] ||
+            AthleteProfile.ZONE_MODELS.power.coggan7).zones;
+    return AthleteProfile.buildZones(defs, p.ftp);
+  }
+
+  /**
+   * Heart-rate zones in bpm, or [] without the model's anchor.
+   * @returns {Array<Object>}
+   */
+  hrZones() {
+    const p = this._profile;
+    let defs;
+    let anchor;
+    if (p.hrZoneModel === "custom" && p.customHrZones) {
+      defs = p.customHrZones;
+      anchor = p.lthr > 0 ? p.lthr : p.hrMax;
+    } else {
+      const model =
+        AthleteProfile.ZONE_MODELS.hr[p.hrZoneModel] || AthleteProfile.ZONE_MODELS.hr.coggan5;
+      defs = model.zones;
+      anchor = p[model.anchor];
+    }
+    if (!(anchor > 0)) return [];
+    return AthleteProfile.buildZones(defs, anchor);
+  }
+
+  /**
+   * Zone containing `watts`, or null.
+   * @param {number} watts
+   */
+  powerZoneFor(watts) {
+    return AthleteProfile.zoneFor(this.powerZones(), watts);
+  }
+
+  /**
+   * Zone containing `bpm`, or null.
+   * @param {number} bpm
+   */
+  hrZoneFor(bpm) {
+    return AthleteProfile.zoneFor(this.hrZones(), bpm);
+  }
+
+  /**
+   * Power-to-weight, or null without a weight.
+   * @param {number} watts
+   * @returns {number|null}
+   */
+  wattsPerKg(watts) {
+    const kg = this._profile.weight;
+    return kg > 0 && watts > 0 ? watts / kg : null;
+  }
+
+  /**
+   * Convert % bounds to absolute zones.
+   * @param {Array<{name: string, upTo: number|null}>} defs
+   * @param {number} anchor - FTP, LTHR or HRmax
+   * @returns {Array<Object>}
+   */
+  static buildZones(defs, anchor) {
+    const colors = AthleteProfile.ZONE_COLORS;
+    let min = 0;
+    return defs.map((def, i) => {
+      const max = def.upTo == null ? Infinity : Math.round((def.upTo / 100) * anchor);
+      const colorIndex =
+        defs.length === 1 ? 0 : Math.round((i * (colors.length - 1)) / (defs.length - 1));
+      const zone = {
+        index: i + 1,
+        name: def.name,
+        min,
+        max,
+        color: colors[colorIndex],
+      };
+      min = max;
+      return zone;
+    });
+  }
+
+  static zoneFor(zones, value) {
+    if (!(value > 0) || zones.length === 0) return null;
+    return zones.find((z) => value < z.max) || zones[zones.length - 1];
+  }
+
+  /**
+   * Parse "Easy:75, Steady:90, Hard" into custom zone definitions.
+   * @param {string} text
+   * @returns {Array<{name: string, upTo: number|null}>}
+   */
+  static parseZones(text) {
+    const parts = text
+      .split(",")
+      .map((p) => p.trim())
+      .filter(Boolean);
+    if (parts.length < 2) throw new Error("List at least two zones");
+    return parts.map((part, i) => {
+      const [name, bound] = part.split(":").map((s) => s.trim());
+      const isLast = i === parts.length - 1;
+      if (!name) throw new Error(`Zone ${i + 1} needs a name`);
+      if (isLast) return { name, upTo: null };
+      const upTo = parseFloat(bound);
+      if (!(upTo > 0)) throw new Error(`Zone "${name}" needs an upper bound, e.g. ${name}:75`);
+      return { name, upTo };
+    });
+  }
+
+  /**
+   * Inverse of parseZones().
+   */
+  static formatZones(defs) {
+    if (!defs) return "";
+    return defs.map((z) => (z.upTo == null ? z.name : `${z.name}:${z.upTo}`)).join(", ");
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AthleteProfile;
+}
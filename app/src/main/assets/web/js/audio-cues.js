@@ -0,0 +1,320 @@
+/**
+ * Braven Lab Dashboard — Audio Cues
+ *
+ * Spoken and audible cues for the athlete on the bike: lap changes,
+ * interval countdowns, target power changes, lactate draw reminders and
+ * alerts. Speech uses the Web Speech API (speechSynthesis); where it is
+ * unavailable, or speech is turned off, each cue falls back to a beep
+ * pattern.
+ *
+ * Cues are queued and played one at a time so they never talk over each
+ * other. A cue can carry a `key` (a newer cue with the same key replaces a
+ * queued one, e.g. successive target changes) and an expiry (a countdown
+ * number that couldn't be spoken in time is dropped). Enable, volume,
+ * speech and per-category toggles are remembered per display.
+ */
+class AudioCues {
+  /**
+   * @param {Object} [options]
+   * @param {SpeechSynthesis|null} [options.speech] - defaults to window.speechSynthesis
+   * @param {function(): AudioContext} [options.createAudioContext]
+   * @param {Storage|null} [options.storage] - defaults to localStorage
+   */
+  constructor(options = {}) {
+    this._speech =
+      options.speech !== undefined
+        ? options.speech
+        : typeof speechSynthesis !== "undefined"
+          ? speechSynthesis
+          : null;
+    this._createAudioContext =
+      options.createAudioContext ||
+      (() => {
+        const AudioCtx = window.AudioContext || window.webkitAudioContext;
+        return AudioCtx ? new AudioCtx() : null;
+      });
+    this._storage =
+      options.storage !== undefined
+        ? options.storage
+        : typeof localStorage !== "undefined"
+          ? localStorage
+          : null;
+
+    this._settings = AudioCues.DEFAULT_SETTINGS;
+    this._audio = null;
+    this._queue = [];
+    this._playing = null; // cue being played
+    this._timer = null;
+    this._workout = { state: null, stepIndex: null, lastCount: null };
+  }
+
+  static get STORAGE_KEY() {
+    return "braven.audio.settings";
+  }
+
+  static get CATEGORIES() {
+    return {
+      laps: "Lap changes",
+      countdown: "Interval countdowns",
+      target: "Target power changes",
+      lactate: "Lactate draw reminders",
+      alerts: "Alerts",
+    };
+  }
+
+  static get DEFAULT_SETTINGS() {
+    const categories = {};
+    Object.keys(AudioCues.CATEGORIES).forEach((key) => (categories[key] = true));
+    return { enabled: true, speech: true, volume: 0.8, categories };
+  }
+
+  /** Beep patterns: [frequency Hz, duration s] per tone */
+  static get BEEPS() {
+    return {
+      tick: [[1000, 0.08]],
+      info: [[660, 0.15]],
+      warning: [
+        [660, 0.15],
+        [660, 0.15],
+      ],
+      critical: [
+        [880, 0.15],
+        [880, 0.15],
+        [880, 0.15],
+      ],
+    };
+  }
+
+  /** Most cues waiting at once; the oldest non-priority cue is dropped */
+  static get MAX_QUEUE() {
+    return 6;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // SETTINGS
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Load the settings saved on this display, if any.
+   */
+  restore() {
+    try {
+      const saved = this._storage && JSON.parse(this._storage.getItem(AudioCues.STORAGE_KEY));
+      if (saved && typeof saved === "object") this._settings = this._merge(saved);
+    } catch (err) {
+      console.warn("[Audio] Ignoring saved settings:", err);
+    }
+  }
+
+  /** @returns {{enabled: boolean, speech: boolean, volume: number, categories: Object}} */
+  getSettings() {
+    return { ...this._settings, categories: { ...this._settings.categories } };
+  }
+
+  /**
+   * Update and persist settings. Disabling audio clears the queue.
+   * @param {Object} changes - any of enabled, speech, volume (0–1), categories
+   */
+  setSettings(changes) {
+    this._settings = this._merge(changes);
+    if (!this._settings.enabled) this.stop();
+    if (this._storage) {
+      try {
+        this._storage.setItem(AudioCues.STORAGE_KEY, JSON.stringify(this._settings));
+      } catch (err) {
+        console.warn("[Audio] Failed to save settings:", err);
+      }
+    }
+  }
+
+  _merge(changes) {
+    const current = this._settings;
+    const volume = Number(changes.volume ?? current.volume);
+    return {
+      enabled: changes.enabled !== undefined ? !!changes.enabled : current.enabled,
+      speech: changes.speech !== undefined ? !!changes.speech : current.speech,
+      volume: Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : current.volume,
+      categories: { ...current.categories, ...changes.categories },
+    };
+  }
+
+  /**
+   * Create/resume the audio context. Browsers only allow audio after a
+   * user gesture, so call this from one (e.g. the first tap on the page).
+   */
+  unlock() {
+    if (!this._audio) this._audio = this._createAudioContext();
+    if (this._audio && this._audio.state === "suspended") this._audio.resume();
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // CUES
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Queue a cue.
+   * @param {string|null} category - key of CATEGORIES (null: not filterable,
+   *   e.g. a test cue)
+   * @param {string} text - what to say
+   * @param {Object} [options]
+   * @param {string} [options.beep] - BEEPS pattern played before the speech
+   *   (and instead of it when speech is unavailable); defaults to 'info'
+   * @param {boolean} [options.priority] - jump ahead of queued cues
+   * @param {string} [options.key] - replaces a queued cue with the same key
+   * @param {number} [options.ttl] - ms after which an unplayed cue is dropped
+   * @returns {boolean} whether the cue was queued
+   */
+  cue(category, text, options = {}) {
+    if (!this._settings.enabled) return false;
+    if (category !== null && !this._settings.categories[category]) return false;
+
+    const item = {
+      category,
+      text,
+      beep: options.beep || "info",
+      key: options.key || null,
+      priority: !!options.priority,
+      expiresAt: options.ttl ? Date.now() + options.ttl : null,
+    };
+    if (item.key) this._queue = this._queue.filter((q) => q.key !== item.key);
+    if (options.priority) {
+      this._queue.unshift(item);
+    } else {
+      this._queue.push(item);
+    }
+    while (this._queue.length > AudioCues.MAX_QUEUE) {
+      const oldest = this._queue.findIndex((q) => !q.priority);
+      this._queue.splice(oldest >= 0 ? oldest : this._queue.length - 1, 1);
+    }
+    this._pump();
+    return true;
+  }
+
+  /**
+   * Drop queued cues and cut off the one playing.
+   */
+  stop() {
+    this._queue = [];
+    if (this._speech) this._speech.cancel();
+    this._finish(this._playing);
+  }
+
+  /**
+   * Announce interval changes and count down the last seconds of each
+   * workout step. Feed every WorkoutEngine snapshot (or the status the
+   * coach dashboard publishes).
+   * @param {Object} snapshot
+   */
+  followWorkout(snapshot) {
+    const state = snapshot ? snapshot.state : null;
+    if (state === "finished" && this._workout.state === "running") {
+      this.cue("countdown", "Workout complete", { key: "workout-step" });
+    }
+    if (state !== "running" || !snapshot.step) {
+      this._workout = { state, stepIndex: null, lastCount: null };
+      return;
+    }
+
+    if (snapshot.stepIndex !== this._workout.stepIndex) {
+      // Joining mid-workout (page reload) doesn't announce the step in progress
+      const joined = this._workout.stepIndex === null && snapshot.stepIndex > 0;
+      this._workout = { state, stepIndex: snapshot.stepIndex, lastCount: null };
+      if (!joined) {
+        const target = snapshot.targetWatts != null ? `, ${snapshot.targetWatts} watts` : "";
+        this.cue("countdown", `${snapshot.step.label}${target}`, { key: "workout-step" });
+      }
+    }
+
+    const remaining = Math.ceil(snapshot.stepRemaining);
+    if (remaining === this._workout.lastCount || !snapshot.nextStep) return;
+    if (remaining === 10) {
+      const next =
+        snapshot.nextTargetWatts != null ? ` at ${snapshot.nextTargetWatts} watts` : "";
+      this.cue("countdown", `${snapshot.nextStep.label}${next} in 10 seconds`, { ttl: 4000 });
+    } else if (remaining >= 1 && remaining <= 3) {
+      this.cue("countdown", String(remaining), { beep: "tick", key: "countdown", ttl: 1000 });
+    }
+    this._workout.lastCount = remaining;
+  }
+
+  /**
+   * Spoken form of a duration, e.g. "4 minutes 5 seconds".
+   * @param {number} seconds
+   * @returns {string}
+   */
+  static formatDuration(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = Math.round(seconds % 60);
+    const parts = [];
+    if (m > 0) parts.push(`${m} minute${m === 1 ? "" : "s"}`);
+    if (s > 0 || m === 0) parts.push(`${s} second${s === 1 ? "" : "s"}`);
+    return parts.join(" ");
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // PLAYBACK
+  // ═══════════════════════════════════════════════════════
+
+  _pump() {
+    if (this._playing) return;
+    let item;
+    do {
+      item = this._queue.shift();
+    } while (item && item.expiresAt !== null && Date.now() > item.expiresAt);
+    if (!item) return;
+
+    this._playing = item;
+    const beepMs = this._beep(item.beep);
+    const canSpeak = this._speech && typeof SpeechSynthesisUtterance !== "undefined";
+    if (!this._settings.speech || !canSpeak) {
+      this._timer = setTimeout(() => this._finish(item), beepMs + 150);
+      return;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(item.text);
+    utterance.volume = this._settings.volume;
+    utterance.rate = 1.1;
+    utterance.onend = () => this._finish(item);
+    utterance.onerror = () => this._finish(item);
+    // Some engines never fire onend; don't let one cue block the queue
+    this._timer = setTimeout(() => this._finish(item), beepMs + 1500 + item.text.length * 100);
+    setTimeout(() => {
+      if (this._playing === item) this._speech.speak(utterance);
+    }, beepMs);
+  }
+
+  _finish(item) {
+    // Late onend/timeout of a cue that was already cut off
+    if (item !== this._playing) return;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._playing = null;
+    if (this._queue.length > 0) setTimeout(() => this._pump(), 0);
+  }
+
+  /**
+   * Play a beep pattern.
+   * @returns {number} its length in ms (0 if audio isn't available)
+   */
+  _beep(pattern) {
+    const tones = AudioCues.BEEPS[pattern];
+    if (!tones || !this._audio || this._settings.volume <= 0) return 0;
+    let at = this._audio.currentTime;
+    tones.forEach(([freq, duration]) => {
+      const osc = this._audio.createOscillator();
+      const gain = this._audio.createGain();
+      osc.frequency.value = freq;
+      gain.gain.setValueAtTime(0.4 * this._settings.volume, at);
+      gain.gain.exponentialRampToValueAtTime(0.001, at + duration);
+      osc.connect(gain).connect(this._audio.destination);
+      osc.start(at);
+      osc.stop(at + duration + 0.02);
+      at += duration + 0.1;
+    });
+    return Math.round((at - this._audio.currentTime) * 1000);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = AudioCues;
+}
@@ -0,0 +1,231 @@
+/**
+ * Braven Lab Dashboard — Connection Health
+ *
+ * Watches a BravenWebSocketClient beyond connected/disconnected: pings the
+ * Karoo for round-trip time and clock offset, counts messages per second,
+ * and measures how old the latest SessionState is on the Karoo's clock. A
+ * connected link whose data is stale, whose pings go unanswered or whose
+ * RTT is very high is 'degraded' — on flaky Wi-Fi the socket can stay open
+ * while nothing arrives.
+ *
+ *   Status  {state, rtt, rate, dataAge, clockOffset, missedPings, reasons}
+ *           state — 'disconnected' | 'connected' | 'degraded'
+ *   Event   {t, elapsed, type, duration, label}
+ *           type — 'reconnected' (after a disconnect) | 'recovered' (end of
+ *           a degraded period); duration in seconds
+ *
+ * No DOM dependencies.
+ */
+class ConnectionHealth {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.pingInterval] - ms between pings
+   * @param {number} [options.staleAfter] - ms of data age that counts as stale
+   * @param {number} [options.slowRtt] - ms of RTT that counts as degraded
+   * @param {function(): number} [options.now] - clock (mockable)
+   */
+  constructor(options = {}) {
+    this._pingInterval = options.pingInterval || 5000;
+    this._staleAfter = options.staleAfter || 5000;
+    this._slowRtt = options.slowRtt || 1000;
+    this._now = options.now || (() => Date.now());
+
+    this._client = null;
+    this._connected = false;
+    this._state = "disconnected";
+    this._since = this._now(); // when the current state began
+    this._disconnectedAt = null;
+
+    this._rtt = null;
+    this._offsetSamples = []; // {rtt, offset}, newest last
+    this._missedPings = 0;
+    this._arrivals = []; // ms of recent messages, for the rate
+    this._lastTimestamp = null; // SessionState.timestamp (Karoo clock)
+    this._lastArrival = null;
+    this._lastElapsed = 0;
+
+    this._log = [];
+    this._checkTimer = null;
+    this._pingTimer = null;
+    this._changeCallbacks = [];
+    this._eventCallbacks = [];
+  }
+
+  static get RATE_WINDOW_MS() {
+    return 10000;
+  }
+
+  /** Offset samples kept; the one with the lowest RTT is trusted */
+  static get OFFSET_SAMPLES() {
+    return 8;
+  }
+
+  /**
+   * Follow a client and start checking once a second.
+   * @param {BravenWebSocketClient} client
+   */
+  attach(client) {
+    this._client = client;
+    client.onData((data) => {
+      this._countMessage();
+      this._lastArrival = this._now();
+      if (typeof data.timestamp === "number") this._lastTimestamp = data.timestamp;
+      if (typeof data.elapsedTime === "number") this._lastElapsed = data.elapsedTime;
+    });
+    client.onEvent(() => this._countMessage());
+    client.onStatusChange((connected) => this._setConnected(connected));
+    this._checkTimer = setInterval(() => this.check(), 1000);
+  }
+
+  /** Stop pinging and checking. */
+  stop() {
+    clearInterval(this._checkTimer);
+    clearInterval(this._pingTimer);
+    this._checkTimer = null;
+    this._pingTimer = null;
+  }
+
+  /**
+   * Re-evaluate the state and notify listeners.
+   * @returns {Object} status
+   */
+  check() {
+    const status = this.getStatus();
+    if (status.state !== this._state) this._transition(status.state, status.reasons);
+    this._changeCallbacks.forEach((cb) => cb(status));
+    return status;
+  }
+
+  /** @returns {Object} current status (see file header) */
+  getStatus() {
+    const now = this._now();
+    this._arrivals = this._arrivals.filter((t) => now - t <= ConnectionHealth.RATE_WINDOW_MS);
+    const dataAge = this._dataAge(now);
+    const reasons = [];
+    if (this._connected) {
+      // Idle Karoos legitimately go quiet; only a running ride must keep ticking
+      if (dataAge !== null && dataAge > this._staleAfter && this._lastElapsed > 0) {
+        reasons.push(`data ${Math.round(dataAge / 1000)}s old`);
+      }
+      if (this._missedPings >= 2) reasons.push(`${this._missedPings} pings unanswered`);
+      if (this._rtt !== null && this._rtt > this._slowRtt) reasons.push(`RTT ${Math.round(this._rtt)} ms`);
+    }
+    return {
+      state: !this._connected ? "disconnected" : reasons.length > 0 ? "degraded" : "connected",
+      rtt: this._rtt,
+      rate: this._arrivals.length / (ConnectionHealth.RATE_WINDOW_MS / 1000),
+      dataAge,
+      clockOffset: this._clockOffset(),
+      missedPings: this._missedPings,
+      reasons,
+    };
+  }
+
+  /** @returns {Array<Object>} reconnect/recovery events so far */
+  getLog() {
+    return [...this._log];
+  }
+
+  /**
+   * Register a callback fired on every check (once a second).
+   * @param {function(Object)} callback - (status)
+   */
+  onChange(callback) {
+    this._changeCallbacks.push(callback);
+  }
+
+  /**
+   * Register a callback fired when an outage or degraded period ends.
+   * @param {function(Object)} callback - (event)
+   */
+  onEvent(callback) {
+    this._eventCallbacks.push(callback);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // INTERNALS
+  // ═══════════════════════════════════════════════════════
+
+  _setConnected(connected) {
+    this._connected = connected;
+    clearInterval(this._pingTimer);
+    this._pingTimer = null;
+    this._missedPings = 0;
+    if (connected) {
+      // Data from before the outage says nothing about this connection
+      this._lastTimestamp = null;
+      this._lastArrival = null;
+      // First ping once the Karoo has said which protocol it speaks
+      setTimeout(() => this._ping(), 1000);
+      this._pingTimer = setInterval(() => this._ping(), this._pingInterval);
+    }
+    this.check();
+  }
+
+  async _ping() {
+    // Karoos on protocol 1 can't answer; they're judged on data age alone
+    if (!this._connected || this._client.getProtocol() < 2) return;
+    const sent = this._now();
+    try {
+      const { serverTime } = await this._client.ping();
+      const received = this._now();
+      this._rtt = received - sent;
+      this._missedPings = 0;
+      // NTP-style: the Karoo answered halfway through the round trip
+      this._offsetSamples.push({ rtt: this._rtt, offset: serverTime - (sent + this._rtt / 2) });
+      if (this._offsetSamples.length > ConnectionHealth.OFFSET_SAMPLES) this._offsetSamples.shift();
+    } catch (err) {
+      if (this._connected) this._missedPings++;
+    }
+  }
+
+  /** @returns {number|null} ms to add to the local clock to get the Karoo's */
+  _clockOffset() {
+    if (this._offsetSamples.length === 0) return null;
+    return this._offsetSamples.reduce((best, s) => (s.rtt < best.rtt ? s : best)).offset;
+  }
+
+  /** Age of the latest state, on the Karoo's clock when the offset is known */
+  _dataAge(now) {
+    const offset = this._clockOffset();
+    if (offset !== null && this._lastTimestamp !== null) {
+      return Math.max(0, now + offset - this._lastTimestamp);
+    }
+    return this._lastArrival !== null ? now - this._lastArrival : null;
+  }
+
+  _countMessage() {
+    this._arrivals.push(this._now());
+  }
+
+  _transition(state, reasons) {
+    const now = this._now();
+    const duration = Math.round((now - this._since) / 1000);
+    const previous = this._state;
+    this._state = state;
+    this._since = now;
+    console.log(`[Health] ${previous} → ${state}${reasons.length ? ` (${reasons.join(", ")})` : ""}`);
+
+    if (state === "disconnected") {
+      this._disconnectedAt = now;
+      return;
+    }
+    let event = null;
+    if (previous === "disconnected" && this._disconnectedAt !== null) {
+      const outage = Math.round((now - this._disconnectedAt) / 1000);
+      event = { type: "reconnected", duration: outage, label: `Reconnected after ${outage}s` };
+      this._disconnectedAt = null;
+    } else if (previous === "degraded" && state === "connected") {
+      event = { type: "recovered", duration, label: `Connection degraded for ${duration}s` };
+    }
+    if (event) {
+      event = { t: now, elapsed: this._lastElapsed, ...event };
+      this._log.push(event);
+      this._eventCallbacks.forEach((cb) => cb(event));
+    }
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ConnectionHealth;
+}
@@ -0,0 +1,515 @@
+/**
+ * Braven Lab Dashboard — Dashboard Layout & Presets
+ *
+ * Treats the tiles of the dashboard grid (children marked
+ * data-widget="<id>") as widgets that can be added, removed, resized and
+ * reordered, so a lab without a VO2 or CORE sensor doesn't look at dead
+ * "--" tiles.
+ *
+ *   Layout   {columns: "3fr 3fr 2fr 2fr", rows: "3fr 3fr 2fr 1.5fr",
+ *             widgets: [{id, w, h}, …]} — spans in grid cells; widgets are
+ *             placed in list order by CSS grid dense auto-flow, so moving
+ *             one never overlaps another
+ *   Active   remembered per display in localStorage
+ *   Presets  built in (PRESETS) or stored on the Karoo (/api/layouts) and
+ *             shared by every display in the lab
+ *
+ * Edit mode puts an overlay on each widget: drag it onto another widget to
+ * move it there (pointer events, so it works on touch tablets), drag the
+ * corner grip to resize, × to remove.
+ */
+class DashboardLayout {
+  /**
+   * @param {HTMLElement} grid - the dashboard grid element
+   * @param {Object} [options]
+   * @param {function} [options.fetchFn] - fetch() implementation (mockable)
+   * @param {Storage|null} [options.storage] - defaults to localStorage
+   * @param {string} [options.storageKey] - one per view, so each keeps its own layout
+   * @param {string} [options.preset] - PRESETS entry for a display with no saved layout
+   */
+  constructor(grid, options = {}) {
+    this._grid = grid;
+    this._fetch = options.fetchFn || ((url, init) => fetch(url, init));
+    this._storage =
+      options.storage !== undefined
+        ? options.storage
+        : typeof localStorage !== "undefined"
+          ? localStorage
+          : null;
+    this._storageKey = options.storageKey || DashboardLayout.STORAGE_KEY;
+
+    const preset = options.preset in DashboardLayout.PRESETS ? options.preset : DashboardLayout.DEFAULT_PRESET;
+    this._layout = DashboardLayout.normalize(DashboardLayout.PRESETS[preset]);
+    this._presetName = preset;
+    this._editing = false;
+    this._drag = null;
+    this._changeCallbacks = [];
+  }
+
+  static get STORAGE_KEY() {
+    return "braven.dashboard.layout";
+  }
+
+  static get DEFAULT_PRESET() {
+    return "Full lab";
+  }
+
+  /**
+   * Widget catalogue: label and default span (columns × rows).
+   */
+  static get WIDGETS() {
+    return {
+      power: { label: "Power", w: 2, h: 2 },
+      laps: { label: "Laps & lactate curve", w: 2, h: 2 },
+      vo2: { label: "VO2", w: 1, h: 1 },
+      hr: { label: "Heart rate", w: 1, h: 1 },
+      cadence: { label: "Cadence", w: 1, h: 1 },
+      speed: { label: "Speed", w: 1, h: 1 },
+      lactate: { label: "Lactate entry", w: 1, h: 1 },
+      measurements: { label: "Manual measurements (RPE, glucose)", w: 1, h: 1 },
+      rideInfo: { label: "Ride info", w: 1, h: 1 },
+      temperature: { label: "Core & ambient temp", w: 1, h: 1 },
+      trainer: { label: "Trainer control", w: 2, h: 1 },
+    };
+  }
+
+  /** Built-in presets, always available on every display */
+  static get PRESETS() {
+    const grid = { columns: "3fr 3fr 2fr 2fr", rows: "3fr 3fr 2fr 1.5fr" };
+    return {
+      "Full lab": {
+        ...grid,
+        widgets: [
+          { id: "power", w: 2, h: 2 },
+          { id: "laps", w: 2, h: 2 },
+          { id: "vo2", w: 1, h: 1 },
+          { id: "hr", w: 1, h: 1 },
+          { id: "lactate", w: 1, h: 1 },
+          { id: "rideInfo", w: 1, h: 1 },
+          { id: "cadence", w: 1, h: 1 },
+          { id: "speed", w: 1, h: 1 },
+          { id: "trainer", w: 2, h: 1 },
+        ],
+      },
+      "Metrics only": {
+        columns: "1fr 1fr 1fr",
+        rows: "1fr 1fr 1fr",
+        widgets: [
+          { id: "power", w: 2, h: 1 },
+          { id: "hr", w: 1, h: 1 },
+          { id: "cadence", w: 1, h: 1 },
+          { id: "speed", w: 1, h: 1 },
+          { id: "vo2", w: 1, h: 1 },
+          { id: "temperature", w: 1, h: 1 },
+          { id: "rideInfo", w: 1, h: 1 },
+          { id: "laps", w: 1, h: 1 },
+        ],
+      },
+      "Power & HR only": {
+        ...grid,
+        widgets: [
+          { id: "power", w: 2, h: 2 },
+          { id: "laps", w: 2, h: 2 },
+          { id: "hr", w: 2, h: 1 },
+          { id: "cadence", w: 1, h: 1 },
+          { id: "rideInfo", w: 1, h: 1 },
+          { id: "speed", w: 1, h: 1 },
+          { id: "trainer", w: 3, h: 1 },
+        ],
+      },
+      "Lactate step test": {
+        ...grid,
+        widgets: [
+          { id: "power", w: 2, h: 2 },
+          { id: "laps", w: 2, h: 3 },
+          { id: "hr", w: 1, h: 1 },
+          { id: "lactate", w: 1, h: 1 },
+          { id: "trainer", w: 2, h: 1 },
+          { id: "cadence", w: 1, h: 1 },
+          { id: "speed", w: 1, h: 1 },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Clean up a layout from storage or the server: drop unknown and
+   * duplicate widgets, clamp spans to the grid, fall back to the default
+   * grid tracks when they aren't plain fr lists.
+   * @param {Object} layout
+   * @returns {Object} a new layout
+   */
+  static normalize(layout) {
+    const fallback = DashboardLayout.PRESETS[DashboardLayout.DEFAULT_PRESET];
+    const tracks = (value, def) =>
+      typeof value === "string" && /^\s*\d+(\.\d+)?fr(\s+\d+(\.\d+)?fr)*\s*$/.test(value)
+        ? value.trim()
+        : def;
+    const columns = tracks(layout && layout.columns, fallback.columns);
+    const rows = tracks(layout && layout.rows, fallback.rows);
+    const columnCount = columns.split(/\s+/).length;
+    const catalogue = DashboardLayout.WIDGETS;
+    const clamp = (v, max, def) => Math.max(1, Math.min(max, Math.round(v) || def));
+
+    const seen = new Set();
+    const widgets = [];
+    ((layout && layout.widgets) || []).forEach((w) => {
+      if (!w || !catalogue[w.id] || seen.has(w.id)) return;
+      seen.add(w.id);
+      widgets.push({
+        id: w.id,
+        w: clamp(w.w, columnCount, catalogue[w.id].w),
+        h: clamp(w.h, DashboardLayout.MAX_ROW_SPAN, catalogue[w.id].h),
+      });
+    });
+    return { columns, rows, widgets };
+  }
+
+  static get MAX_ROW_SPAN() {
+    return 6;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // ACTIVE LAYOUT
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Apply this display's saved layout (or the default).
+   * @returns {Object} the layout
+   */
+  restore() {
+    try {
+      const saved = this._storage && JSON.parse(this._storage.getItem(this._storageKey));
+      if (saved && saved.layout) {
+        this._layout = DashboardLayout.normalize(saved.layout);
+        this._presetName = saved.preset || null;
+      }
+    } catch (err) {
+      console.warn("[Layout] Ignoring unreadable saved layout:", err);
+    }
+    this._apply();
+    return this.getLayout();
+  }
+
+  /** @returns {Object} copy of the active layout */
+  getLayout() {
+    return JSON.parse(JSON.stringify(this._layout));
+  }
+
+  /** @returns {string|null} preset the active layout came from, null once edited */
+  getPresetName() {
+    return this._presetName;
+  }
+
+  /**
+   * Switch to a layout, e.g. a preset.
+   * @param {Object} layout
+   * @param {string} [presetName]
+   */
+  setLayout(layout, presetName = null) {
+    this._layout = DashboardLayout.normalize(layout);
+    this._presetName = presetName;
+    this._apply();
+    this._renderOverlays();
+    this._commit();
+  }
+
+  /**
+   * Register a callback fired whenever the layout changes.
+   * @param {function(Object)} callback - receives getLayout()
+   */
+  onChange(callback) {
+    this._changeCallbacks.push(callback);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // WIDGETS
+  // ═══════════════════════════════════════════════════════
+
+  /** @returns {string[]} catalogue widgets not in the layout */
+  hiddenWidgets() {
+    const shown = new Set(this._layout.widgets.map((w) => w.id));
+    return Object.keys(DashboardLayout.WIDGETS).filter((id) => !shown.has(id));
+  }
+
+  /**
+   * Add a widget at the end of the layout with its default span.
+   * @param {string} id
+   */
+  addWidget(id) {
+    const def = DashboardLayout.WIDGETS[id];
+    if (!def || this._layout.widgets.some((w) => w.id === id)) return;
+    this._layout.widgets.push({ id, w: def.w, h: def.h });
+    this._edited();
+  }
+
+  removeWidget(id) {
+    this._layout.widgets = this._layout.widgets.filter((w) => w.id !== id);
+    this._edited();
+  }
+
+  /**
+   * Move a widget to a position in the layout order.
+   * @param {string} id
+   * @param {number} index
+   */
+  moveWidget(id, index) {
+    const from = this._layout.widgets.findIndex((w) => w.id === id);
+    if (from < 0 || from === index) return;
+    const [widget] = this._layout.widgets.splice(from, 1);
+    this._layout.widgets.splice(Math.max(0, Math.min(index, this._layout.widgets.length)), 0, widget);
+    this._edited();
+  }
+
+  /**
+   * Change a widget's span (clamped to the grid).
+   * @param {string} id
+   * @param {number} w - columns
+   * @param {number} h - rows
+   */
+  resizeWidget(id, w, h) {
+    const widget = this._layout.widgets.find((x) => x.id === id);
+    if (!widget) return;
+    const columnCount = this._layout.columns.split(/\s+/).length;
+    widget.w = Math.max(1, Math.min(columnCount, Math.round(w)));
+    widget.h = Math.max(1, Math.min(DashboardLayout.MAX_ROW_SPAN, Math.round(h)));
+    this._edited();
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // SERVER PRESETS
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Presets stored on the Karoo.
+   * @returns {Promise<Array<{name: string, layout: Object}>>}
+   */
+  async fetchPresets() {
+    const res = await this._fetch("/api/layouts");
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const result = await res.json();
+    return result.presets || [];
+  }
+
+  /**
+   * Store the active layout on the Karoo under `name` (replaces any preset
+   * of that name).
+   * @param {string} name
+   * @returns {Promise<Array<{name: string, layout: Object}>>} all stored presets
+   */
+  async savePreset(name) {
+    const presets = await this._post("/api/layouts", { name, layout: this._layout });
+    this._presetName = name.trim();
+    this._commit();
+    console.log(`[Layout] Saved preset "${name}"`);
+    return presets;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<Array<{name: string, layout: Object}>>} remaining presets
+   */
+  async deletePreset(name) {
+    const presets = await this._post("/api/layouts/delete", { name });
+    if (this._presetName === name) {
+      this._presetName = null;
+      this._commit();
+    }
+    return presets;
+  }
+
+  async _post(url, body) {
+    const res = await this._fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const result = await res.json();
+    if (!res.ok || !result.success) {
+      throw new Error(result.message || `HTTP ${res.status}`);
+    }
+    return result.presets || [];
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // EDIT MODE
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Show or hide the move / resize / remove overlays.
+   * @param {boolean} editing
+   */
+  setEditing(editing) {
+    this._editing = editing;
+    this._grid.classList.toggle("layout-editing", editing);
+    this._renderOverlays();
+  }
+
+  isEditing() {
+    return this._editing;
+  }
+
+  _renderOverlays() {
+    this._grid.querySelectorAll(".layout-overlay").forEach((el) => el.remove());
+    if (!this._editing) return;
+
+    this._layout.widgets.forEach((entry) => {
+      const el = this._widgetEl(entry.id);
+      if (!el) return;
+      const overlay = document.createElement("div");
+      overlay.className =
+        "layout-overlay absolute inset-0 z-20 flex flex-col rounded-xl bg-neutral-950/70 border-2 border-dashed border-white/30 cursor-move touch-none select-none";
+      overlay.innerHTML = `
+        <div class="flex items-center gap-1.5 p-2 text-xs font-semibold uppercase tracking-widest text-neutral-300">
+          <i data-lucide="grip" class="w-4 h-4"></i>
+          <span class="truncate">${DashboardLayout.WIDGETS[entry.id].label}</span>
+          <span class="text-neutral-500 tabular-nums">${entry.w}×${entry.h}</span>
+          <button data-layout-remove class="ml-auto p-1 rounded text-neutral-400 hover:text-red-400 hover:bg-white/10" title="Remove widget">
+            <i data-lucide="x" class="w-4 h-4"></i>
+          </button>
+        </div>
+        <div data-layout-resize class="absolute right-0 bottom-0 p-2 text-neutral-400 cursor-nwse-resize" title="Drag to resize">
+          <i data-lucide="move-diagonal-2" class="w-5 h-5"></i>
+        </div>`;
+      overlay.querySelector("[data-layout-remove]").addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.removeWidget(entry.id);
+      });
+      overlay.addEventListener("pointerdown", (e) => this._dragStart(e, entry.id, overlay));
+      overlay.addEventListener("pointermove", (e) => this._dragMove(e));
+      overlay.addEventListener("pointerup", (e) => this._dragEnd(e));
+      overlay.addEventListener("pointercancel", () => this._dragCancel());
+      el.appendChild(overlay);
+    });
+
+    if (typeof lucide !== "undefined") {
+      lucide.createIcons({ nodes: this._grid.querySelectorAll(".layout-overlay [data-lucide]") });
+    }
+  }
+
+  _dragStart(e, id, overlay) {
+    if (e.target.closest("[data-layout-remove]")) return;
+    const entry = this._layout.widgets.find((w) => w.id === id);
+    const rect = this._grid.getBoundingClientRect();
+    this._drag = {
+      id,
+      pointerId: e.pointerId,
+      resize: !!e.target.closest("[data-layout-resize]"),
+      startX: e.clientX,
+      startY: e.clientY,
+      startW: entry.w,
+      startH: entry.h,
+      // Average cell size; fr tracks are uneven, close enough to snap spans
+      cellW: rect.width / this._layout.columns.split(/\s+/).length,
+      cellH: rect.height / this._layout.rows.split(/\s+/).length,
+      target: null,
+    };
+    overlay.setPointerCapture(e.pointerId);
+    this._widgetEl(id).classList.add("opacity-60");
+    e.preventDefault();
+  }
+
+  _dragMove(e) {
+    const drag = this._drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+
+    if (drag.resize) {
+      const w = drag.startW + Math.round((e.clientX - drag.startX) / drag.cellW);
+      const h = drag.startH + Math.round((e.clientY - drag.startY) / drag.cellH);
+      const entry = this._layout.widgets.find((x) => x.id === drag.id);
+      if (entry.w !== w || entry.h !== h) {
+        // Live preview (overlays kept: this one holds the pointer capture);
+        // stored when the drag ends
+        const columnCount = this._layout.columns.split(/\s+/).length;
+        entry.w = Math.max(1, Math.min(columnCount, w));
+        entry.h = Math.max(1, Math.min(DashboardLayout.MAX_ROW_SPAN, h));
+        this._apply();
+      }
+      return;
+    }
+
+    const under = document.elementFromPoint(e.clientX, e.clientY);
+    const targetEl = under && under.closest("[data-widget]");
+    const target = targetEl && targetEl.dataset.widget !== drag.id ? targetEl.dataset.widget : null;
+    if (target !== drag.target) {
+      if (drag.target) this._widgetEl(drag.target).classList.remove("ring-2", "ring-purple-400");
+      if (target) this._widgetEl(target).classList.add("ring-2", "ring-purple-400");
+      drag.target = target;
+    }
+  }
+
+  _dragEnd(e) {
+    const drag = this._drag;
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    this._dragCancel();
+    if (drag.resize) {
+      this._edited();
+    } else if (drag.target) {
+      this.moveWidget(drag.id, this._layout.widgets.findIndex((w) => w.id === drag.target));
+    }
+  }
+
+  _dragCancel() {
+    const drag = this._drag;
+    if (!drag) return;
+    this._drag = null;
+    const el = this._widgetEl(drag.id);
+    if (el) el.classList.remove("opacity-60");
+    if (drag.target) this._widgetEl(drag.target).classList.remove("ring-2", "ring-purple-400");
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // INTERNALS
+  // ═══════════════════════════════════════════════════════
+
+  _widgetEl(id) {
+    return this._grid.querySelector(`[data-widget="${id}"]`);
+  }
+
+  /**
+   * Show, order and size the widgets. Hidden widgets stay in the DOM so
+   * renderer element references remain valid.
+   */
+  _apply() {
+    const layout = this._layout;
+    this._grid.style.setProperty("--layout-columns", layout.columns);
+    this._grid.style.setProperty("--layout-column-count", layout.columns.split(/\s+/).length);
+    this._grid.style.setProperty("--layout-rows", layout.rows);
+
+    this._grid.querySelectorAll("[data-widget]").forEach((el) => {
+      const index = layout.widgets.findIndex((w) => w.id === el.dataset.widget);
+      el.classList.toggle("hidden", index < 0);
+      if (index < 0) return;
+      const entry = layout.widgets[index];
+      el.style.order = index;
+      el.style.gridColumn = `span ${entry.w}`;
+      el.style.gridRow = `span ${entry.h}`;
+    });
+  }
+
+  _edited() {
+    this._presetName = null;
+    this._apply();
+    this._renderOverlays();
+    this._commit();
+  }
+
+  _commit() {
+    if (this._storage) {
+      try {
+        this._storage.setItem(
+          this._storageKey,
+          JSON.stringify({ preset: this._presetName, layout: this._layout }),
+        );
+      } catch (err) {
+        console.warn("[Layout] Failed to save layout:", err);
+      }
+    }
+    const layout = this.getLayout();
+    this._changeCallbacks.forEach((cb) => cb(layout));
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DashboardLayout;
+}
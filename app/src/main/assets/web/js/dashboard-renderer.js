@@ -30,6 +30,8 @@ class DashboardRenderer {
       power: document.getElementById("power"),
       power3sAvg: document.getElementById("power3sAvg"),
       powerZoneBadge: document.getElementById("powerZoneBadge"),
+      powerCard: document.getElementById("powerCard"),
+      powerWkg: document.getElementById("powerWkg"),
       lapPower: document.getElementById("lapPower"),
       lapNormalizedPower: document.getElementById("lapNormalizedPower"),
       lapMaxPower: document.getElementById("lapMaxPower"),
@@ -46,6 +48,8 @@ class DashboardRenderer {
       maxHeartRate: document.getElementById("maxHeartRate"),
       lapHeartRate: document.getElementById("lapHeartRate"),
       hrLiveBadge: document.getElementById("hrLiveBadge"),
+      hrZoneBadge: document.getElementById("hrZoneBadge"),
+      hrCard: document.getElementById("hrCard"),
       hrGraph: document.getElementById("hrGraph"),
 
       // Cadence
@@ -79,6 +83,18 @@ class DashboardRenderer {
       // Lap List Table
       lapListBody: document.getElementById("lapListBody"),
       currentLapRow: document.getElementById("currentLapRow"),
+      lapTableHeadRow: document.getElementById("lapTableHeadRow"),
+
+      // Lactate Curve Analysis
+      lactateCurveGraph: document.getElementById("lactateCurveGraph"),
+      lactateThresholdList: document.getElementById("lactateThresholdList"),
+
+      // Session Summary
+      summaryStatus: document.getElementById("summaryStatus"),
+      summaryMetrics: document.getElementById("summaryMetrics"),
+      summaryEfforts: document.getElementById("summaryEfforts"),
+      summaryPowerZones: document.getElementById("summaryPowerZones"),
+      summaryHrZones: document.getElementById("summaryHrZones"),
 
       // Lactate
       lactateValue: document.getElementById("lactateValue"),
@@ -92,21 +108,39 @@ class DashboardRenderer {
       trainerTargetDisplay: document.getElementById("trainerTargetDisplay"),
       trainerError: document.getElementById("trainerError"),
       trainerDeviceList: document.getElementById("trainerDeviceList"),
+
+      // Workout
+      workoutStatus: document.getElementById("workoutStatus"),
+      workoutStepLabel: document.getElementById("workoutStepLabel"),
+      workoutStepTarget: document.getElementById("workoutStepTarget"),
+      workoutCountdown: document.getElementById("workoutCountdown"),
+      workoutNextStep: document.getElementById("workoutNextStep"),
+      workoutProgress: document.getElementById("workoutProgress"),
+      workoutPauseBtn: document.getElementById("workoutPauseBtn"),
     };
 
     // ─── Graph Data Buffers (Full Session - No Limit) ─────
-    this._powerHistory = [];
-    this._power3sHistory = [];
-    this._hrHistory = [];
-    this._cadenceHistory = [];
-    this._vo2History = [];
+    // SeriesBuffer: chunked storage with running extents, decimated per
+    // pixel column at draw time
+    this._powerHistory = new SeriesBuffer();
+    this._power3sHistory = new SeriesBuffer();
+    this._hrHistory = new SeriesBuffer();
+    this._cadenceHistory = new SeriesBuffer();
+    this._vo2History = new SeriesBuffer();
+    this._drawPending = false;
 
     // ─── Lap History Tracking ─────────────────────────────
     this._lapHistory = []; // Array of completed laps
+    this._lapAnnotations = {}; // lapNumber → fields to merge once the lap completes
     this._currentLapNumber = 0;
+    this._lapCallbacks = [];
+    this._comparison = null; // SessionComparison reference overlaid on laps and curve
+    this._measurements = []; // ManualMeasurements of the ride (RPE, glucose, …)
+    this._measurementTypes = []; // enabled types — one extra lap table column each
     // ─── Lactate Tracking ───────────────────────────
     this._currentLactate = null; // Latest lactate reading (mmol/L)
     this._lactateTimestamp = null; // When last reading was taken
+    this._healthShown = false; // setConnectionHealth() owns lastUpdate once called
     // ─── Graph Colors ─────────────────────────────────────
     this._graphColors = {
       power: {
@@ -117,8 +151,20 @@ class DashboardRenderer {
       vo2: { line: "#06b6d4", fill: "rgba(6, 182, 212, 0.15)" },
       hr: { line: "#f43f5e", fill: "rgba(244, 63, 94, 0.15)" },
       cadence: { line: "#3b82f6", fill: "rgba(59, 130, 246, 0.15)" },
+      lactate: { line: "#fb7185", point: "#f43f5e" },
     };
 
+    // Threshold marker styling for the lactate curve
+    this._thresholdStyles = {
+      lt1: { label: "LT1", color: "#4ade80" },
+      lt2: { label: "LT2", color: "#facc15" },
+      obla2: { label: "OBLA 2", color: "#60a5fa" },
+      obla4: { label: "OBLA 4", color: "#f97316" },
+      dmax: { label: "Dmax", color: "#c084fc" },
+      modDmax: { label: "ModDmax", color: "#f472b6" },
+    };
+    this._lactateAnalysis = null;
+
     // ─── Tracking ─────────────────────────────────────────
     this._prevCoreTemp = null;
     this._cadenceSum = 0;
@@ -126,8 +172,8 @@ class DashboardRenderer {
     this._lastElapsedTime = 0; // Track ride state transitions
     this._rideState = "idle"; // 'idle' | 'recording' | 'paused'
 
-    // Zone names for power
-    this._zoneNames = ["", "Z1", "Z2", "Z3", "Z4", "Z5", "Z6", "Z7"];
+    // Athlete profile (AthleteProfile) — zones and W/kg; null = Karoo zones only
+    this._profile = null;
 
     // Initialize canvas contexts
     this._initGraphs();
@@ -171,7 +217,7 @@ class DashboardRenderer {
       }
     });
     // Redraw after resize
-    this._drawAllGraphs();
+    this._scheduleDraw();
   }
 
   // ═══════════════════════════════════════════════════════
@@ -189,7 +235,7 @@ class DashboardRenderer {
     this._updateLactate(data);
     this._updateTrainer(data);
     this._updateHeader(data);
-    this._drawAllGraphs();
+    this._scheduleDraw();
   }
 
   // ═══════════════════════════════════════════════════════
@@ -218,12 +264,23 @@ class DashboardRenderer {
       }
     }
 
-    // Power zone badge
-    if (this._els.powerZoneBadge && data.powerZone !== undefined) {
+    // Power zone badge — profile zones on 3s power, else the Karoo's zone
+    const zoneWatts = data.power3sAvg !== undefined ? data.power3sAvg : data.power;
+    const powerZone = this._profile ? this._profile.powerZoneFor(zoneWatts) : null;
+    if (powerZone) {
+      this._setZoneBadge(this._els.powerZoneBadge, this._els.powerCard, powerZone);
+    } else if (this._els.powerZoneBadge && data.powerZone !== undefined) {
+      this._setZoneBadge(this._els.powerZoneBadge, this._els.powerCard, null);
       this._els.powerZoneBadge.textContent =
         data.powerZone > 0 ? `Zone ${data.powerZone}` : "--";
     }
 
+    // Power-to-weight
+    if (this._els.powerWkg && zoneWatts !== undefined) {
+      const wkg = this._profile ? this._profile.wattsPerKg(zoneWatts) : null;
+      this._els.powerWkg.textContent = wkg !== null ? wkg.toFixed(2) : "--";
+    }
+
     // Lap power stats
     if (this._els.lapPower && data.lapPower !== undefined) {
       this._els.lapPower.textContent =
@@ -287,6 +344,9 @@ class DashboardRenderer {
       if (data.heartRate > 0) {
         this._hrHistory.push(data.heartRate);
       }
+
+      const hrZone = this._profile ? this._profile.hrZoneFor(data.heartRate) : null;
+      this._setZoneBadge(this._els.hrZoneBadge, this._els.hrCard, hrZone);
     }
 
     if (this._els.maxHeartRate && data.maxHeartRate !== undefined) {
@@ -363,17 +423,25 @@ class DashboardRenderer {
       data.lapNumber > this._currentLapNumber
     ) {
       // If we had a previous lap (not the first), save it to history
-      if (this._currentLapNumber > 0 && data.lastLapTime > 0) {
-        this._lapHistory.push({
-          number: this._currentLapNumber,
-          time: data.lastLapTime,
-          power: data.lastLapPower || 0,
-          speed: data.lastLapSpeed || 0,
-          heartRate: this._lastLapHR || 0,
-          cadence: this._lastLapCadence || 0,
-          lactate: this._currentLactate,
-        });
-        this._renderLapList();
+      if (this._currentLapNumber > 0) {
+        let completed = null;
+        if (data.lastLapTime > 0) {
+          completed = {
+            number: this._currentLapNumber,
+            time: data.lastLapTime,
+            power: data.lastLapPower || 0,
+            speed: data.lastLapSpeed || 0,
+            heartRate: this._lastLapHR || 0,
+            cadence: this._lastLapCadence || 0,
+            lactate: this._currentLactate,
+            target: this._lastLapTarget ?? null,
+            ...this._lapAnnotations[this._currentLapNumber],
+          };
+          this._lapHistory.push(completed);
+          delete this._lapAnnotations[this._currentLapNumber];
+          this._renderLapList();
+        }
+        this._lapCallbacks.forEach((cb) => cb(data.lapNumber, completed));
       }
       this._currentLapNumber = data.lapNumber;
     }
@@ -381,6 +449,7 @@ class DashboardRenderer {
     // Track current lap metrics for when lap completes
     if (data.lapHeartRate !== undefined) this._lastLapHR = data.lapHeartRate;
     if (data.lapCadence !== undefined) this._lastLapCadence = data.lapCadence;
+    if (data.trainerTargetPower !== undefined) this._lastLapTarget = data.trainerTargetPower;
 
     // Update old lap display elements (for backwards compat)
     if (this._els.lapNumber && data.lapNumber !== undefined) {
@@ -396,6 +465,35 @@ class DashboardRenderer {
     this._renderCurrentLapRow(data);
   }
 
+  /**
+   * Register a callback fired when the Karoo starts a new lap (not for the
+   * lap already running when the page opens).
+   * @param {function(number, Object|null)} callback - (lapNumber, completedLap)
+   */
+  onLapChange(callback) {
+    this._lapCallbacks.push(callback);
+  }
+
+  /**
+   * Merge extra fields into a lap row (e.g. a lactate reading that arrived
+   * after the lap ended, or an incomplete-stage flag). Annotations for the
+   * lap in progress are held until it completes.
+   * @param {number} lapNumber
+   * @param {Object} fields
+   */
+  annotateLap(lapNumber, fields) {
+    const lap = this._lapHistory.find((l) => l.number === lapNumber);
+    if (lap) {
+      Object.assign(lap, fields);
+      this._renderLapList();
+    } else {
+      this._lapAnnotations[lapNumber] = {
+        ...this._lapAnnotations[lapNumber],
+        ...fields,
+      };
+    }
+  }
+
   /**
    * Render the current (in-progress) lap row at the top of the table
    */
@@ -407,14 +505,22 @@ class DashboardRenderer {
     const lapPower = data.lapPower || 0;
     const lapHR = data.lapHeartRate || 0;
     const lapCadence = data.lapCadence || 0;
+    const d = this._compareLap({
+      power: lapPower,
+      heartRate: lapHR,
+      cadence: lapCadence,
+      lactate: this._currentLactate,
+      target: data.trainerTargetPower ?? null,
+    });
 
     this._els.currentLapRow.innerHTML = `
       <td class="px-3 py-2 text-cyan-400 font-semibold">${lapNum}</td>
       <td class="px-3 py-2 font-mono text-cyan-300">${this._formatTime(lapTime)}</td>
-      <td class="px-3 py-2 font-semibold text-cyan-400">${lapPower > 0 ? lapPower : "--"}</td>
-      <td class="px-3 py-2 text-cyan-300">${lapHR > 0 ? lapHR : "--"}</td>
-      <td class="px-3 py-2 text-cyan-300">${lapCadence > 0 ? lapCadence : "--"}</td>
-      <td class="px-3 py-2 text-cyan-300 font-mono">${this._currentLactate !== null ? this._currentLactate.toFixed(1) : "--"}</td>
+      <td class="px-3 py-2 font-semibold text-cyan-400">${lapPower > 0 ? lapPower : "--"}${this._deltaHtml(d, "power")}</td>
+      <td class="px-3 py-2 text-cyan-300">${lapHR > 0 ? lapHR : "--"}${this._deltaHtml(d, "heartRate")}</td>
+      <td class="px-3 py-2 text-cyan-300">${lapCadence > 0 ? lapCadence : "--"}${this._deltaHtml(d, "cadence")}</td>
+      <td class="px-3 py-2 text-cyan-300 font-mono">${this._currentLactate !== null ? this._currentLactate.toFixed(1) : "--"}${this._deltaHtml(d, "lactate")}</td>
+      ${this._measurementCells(lapNum, "text-cyan-300")}
     `;
   }
 
@@ -430,18 +536,422 @@ class DashboardRenderer {
     // Render laps in reverse order (newest first)
     for (let i = this._lapHistory.length - 1; i >= 0; i--) {
       const lap = this._lapHistory[i];
+      const d = this._compareLap(lap);
       const row = document.createElement("tr");
       row.className = "border-b border-neutral-800 hover:bg-neutral-800/50";
       row.innerHTML = `
         <td class="px-3 py-2 text-neutral-400">${lap.number}</td>
         <td class="px-3 py-2 font-mono">${this._formatTime(lap.time)}</td>
-        <td class="px-3 py-2 font-semibold text-orange-400">${lap.power > 0 ? lap.power : "--"}</td>
-        <td class="px-3 py-2">${lap.heartRate > 0 ? lap.heartRate : "--"}</td>
-        <td class="px-3 py-2">${lap.cadence > 0 ? lap.cadence : "--"}</td>
-        <td class="px-3 py-2 font-mono text-rose-400">${lap.lactate !== null && lap.lactate !== undefined ? lap.lactate.toFixed(1) : "--"}</td>
+        <td class="px-3 py-2 font-semibold text-orange-400"${this._zoneStyle("power", lap.power)}>${lap.power > 0 ? lap.power : "--"}${this._deltaHtml(d, "power")}</td>
+        <td class="px-3 py-2"${this._zoneStyle("hr", lap.heartRate)}>${lap.heartRate > 0 ? lap.heartRate : "--"}${this._deltaHtml(d, "heartRate")}</td>
+        <td class="px-3 py-2">${lap.cadence > 0 ? lap.cadence : "--"}${this._deltaHtml(d, "cadence")}</td>
+        <td class="px-3 py-2 font-mono text-rose-400">${lap.lactate !== null && lap.lactate !== undefined ? lap.lactate.toFixed(1) : lap.incomplete ? '<span class="text-amber-500" title="No lactate reading for this stage">!</span>' : "--"}${this._deltaHtml(d, "lactate")}</td>
+        ${this._measurementCells(lap.number, "text-sky-300")}
       `;
       this._els.lapListBody.appendChild(row);
     }
+
+    this._updateLactateAnalysis();
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // MANUAL MEASUREMENTS
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Show manual measurements as extra lap table columns, one per type.
+   * @param {Array<Object>} measurements - ManualMeasurements.getMeasurements()
+   * @param {Array<Object>} types - ManualMeasurements.getEnabledTypes()
+   */
+  setMeasurements(measurements, types) {
+    this._measurements = measurements || [];
+    this._measurementTypes = types || [];
+    const head = this._els.lapTableHeadRow;
+    if (head) {
+      head.querySelectorAll("[data-measurement]").forEach((th) => th.remove());
+      this._measurementTypes.forEach((type) => {
+        const th = document.createElement("th");
+        th.className = "px-2 py-1 text-left text-sky-400";
+        th.dataset.measurement = type.key;
+        th.title = type.unit ? `${type.label} (${type.unit})` : type.label;
+        th.textContent = type.short;
+        head.appendChild(th);
+      });
+    }
+    // The current-lap row picks the columns up with the next sample
+    this._renderLapList();
+  }
+
+  /** Latest value of each shown type taken during the lap, as table cells */
+  _measurementCells(lapNumber, color) {
+    if (this._measurementTypes.length === 0) return "";
+    const values = {};
+    this._measurements
+      .filter((m) => m.lap === lapNumber)
+      .forEach((m) => {
+        values[m.type] = m.value;
+      });
+    return this._measurementTypes
+      .map((type) => {
+        const value = values[type.key];
+        const text =
+          value === undefined
+            ? "--"
+            : typeof ManualMeasurements !== "undefined"
+              ? ManualMeasurements.format(value, type)
+              : value;
+        return `<td data-measurement="${type.key}" class="px-3 py-2 font-mono ${color}">${text}</td>`;
+      })
+      .join("");
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // SESSION COMPARISON
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Overlay a previous test on the lap table (per-stage deltas) and the
+   * lactate curve, or clear it with null.
+   * @param {Object|null} reference - SessionComparison.fromSession()/fromFile()
+   */
+  setComparison(reference) {
+    this._comparison = reference;
+    this._renderLapList();
+  }
+
+  getComparison() {
+    return this._comparison;
+  }
+
+  /**
+   * Deltas against the matching reference stage, with the reference lap
+   * itself as `ref`.
+   * @returns {Object|null}
+   */
+  _compareLap(lap) {
+    if (!this._comparison || typeof SessionComparison === "undefined") return null;
+    const ref = SessionComparison.match(lap, this._comparison);
+    const delta = SessionComparison.delta(lap, ref);
+    return delta ? { ...delta, ref } : null;
+  }
+
+  /**
+   * Small signed delta under a lap table value. At the same wattage, lower
+   * HR and lactate are improvements (green); power and cadence are neutral.
+   */
+  _deltaHtml(comparison, key) {
+    if (!comparison || comparison[key] === null) return "";
+    const value = comparison[key];
+    const ref = comparison.ref[key];
+    const digits = key === "lactate" ? 1 : 0;
+    let color = "text-neutral-500";
+    if ((key === "heartRate" || key === "lactate") && value !== 0) {
+      color = value < 0 ? "text-emerald-400" : "text-rose-400";
+    }
+    return `<span class="block text-[9px] font-normal ${color}" title="Lap ${comparison.ref.number} of reference: ${ref.toFixed(digits)}">${value > 0 ? "+" : ""}${value.toFixed(digits)}</span>`;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // SESSION RESTORE
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Replace graph buffers and the lap list with a recorded session
+   * (SessionRecorder.getSession() shape) — used after a page reload and
+   * when reopening a past recording.
+   * @param {Object} session
+   * @param {Object} [options]
+   * @param {boolean} [options.live] - the last lap is still in progress and
+   *   is left to the live current-lap row
+   */
+  rehydrate(session, options = {}) {
+    const samples = session.samples || [];
+    const positive = (key) => samples.map((s) => s[key]).filter((v) => v > 0);
+
+    const cadence = positive("cadence");
+    this._powerHistory = SeriesBuffer.from(positive("power"));
+    this._power3sHistory = SeriesBuffer.from(positive("power3s"));
+    this._hrHistory = SeriesBuffer.from(positive("heartRate"));
+    this._cadenceHistory = SeriesBuffer.from(cadence);
+    this._vo2History = SeriesBuffer.from(positive("vo2"));
+    this._cadenceSum = cadence.reduce((a, b) => a + b, 0);
+    this._cadenceCount = cadence.length;
+
+    const last = samples[samples.length - 1];
+    this._currentLapNumber = last ? last.lapNumber : 0;
+    this._lapAnnotations = {};
+    this._lapHistory = (session.laps || [])
+      .filter((lap) => !options.live || lap.number < this._currentLapNumber)
+      .map((lap) => ({
+        number: lap.number,
+        time: lap.duration,
+        power: lap.avgPower || 0,
+        speed: lap.duration > 0 ? (lap.distance / lap.duration) * 3600 : 0,
+        heartRate: lap.avgHeartRate || 0,
+        cadence: lap.avgCadence || 0,
+        lactate: lap.lactate ?? null,
+        target: lap.trainerTarget ?? null,
+        ...(lap.incomplete ? { incomplete: true } : {}),
+      }));
+
+    this._measurements = session.measurements || [];
+
+    const readings = session.lactateReadings || [];
+    const reading = readings[readings.length - 1];
+    this._currentLactate = reading ? reading.value : null;
+    this._lactateTimestamp = reading ? reading.t : null;
+    if (this._els.lactateValue) {
+      this._els.lactateValue.textContent = reading ? reading.value.toFixed(1) : "--";
+    }
+
+    this._renderLapList();
+    this._scheduleDraw();
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // SESSION SUMMARY
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Render whole-session analytics.
+   * @param {Object|null} summary - SessionMetrics.compute()
+   * @param {Object} [options]
+   * @param {boolean} [options.final] - session has ended (values frozen)
+   */
+  setSessionSummary(summary, options = {}) {
+    const els = this._els;
+    if (!els.summaryMetrics) return;
+
+    if (els.summaryStatus) {
+      els.summaryStatus.textContent = !summary ? "--" : options.final ? "Final" : "Live";
+      els.summaryStatus.className = `font-semibold uppercase tracking-wide ${
+        !summary ? "text-neutral-600" : options.final ? "text-neutral-400" : "text-emerald-400"
+      }`;
+    }
+
+    const s = summary || {};
+    const fmt = (v, suffix = "") => (v === null || v === undefined ? "--" : `${v}${suffix}`);
+    const cell = (label, value) => `
+      <div>
+        <div class="text-neutral-500 uppercase">${label}</div>
+        <div class="text-sm font-semibold text-white tabular-nums">${value}</div>
+      </div>`;
+
+    els.summaryMetrics.innerHTML = [
+      cell("Time", summary ? this._formatTime(s.duration) : "--"),
+      cell("Avg", fmt(s.avgPower, " W")),
+      cell("NP", fmt(s.np, " W")),
+      cell("IF", fmt(s.intensityFactor)),
+      cell("TSS", fmt(s.tss)),
+      cell("VI", fmt(s.variabilityIndex)),
+      cell("Work", fmt(s.kj, " kJ")),
+      cell("Pw:HR", fmt(s.decoupling, "%")),
+      cell("Avg HR", s.avgHeartRate > 0 ? s.avgHeartRate : "--"),
+      cell("Max HR", s.maxHeartRate > 0 ? s.maxHeartRate : "--"),
+      cell("Avg Cad", s.avgCadence > 0 ? s.avgCadence : "--"),
+      cell("Max", fmt(s.maxPower, " W")),
+    ].join("");
+
+    if (els.summaryEfforts) {
+      const labels = { 5: "5s", 60: "1min", 300: "5min", 1200: "20min" };
+      els.summaryEfforts.innerHTML = Object.entries(labels)
+        .map(([w, label]) => cell(label, fmt(s.bestEfforts ? s.bestEfforts[w] : null, " W")))
+        .join("");
+    }
+
+    this._renderZoneHistogram(els.summaryPowerZones, s.timeInPowerZones, "Set FTP");
+    this._renderZoneHistogram(els.summaryHrZones, s.timeInHrZones, "Set LTHR / HR max");
+  }
+
+  _renderZoneHistogram(el, buckets, emptyText) {
+    if (!el) return;
+    if (!buckets || buckets.length === 0) {
+      el.innerHTML = `<div class="text-neutral-600">${emptyText}</div>`;
+      return;
+    }
+    const total = buckets.reduce((sum, b) => sum + b.seconds, 0) || 1;
+    el.innerHTML = buckets
+      .map(({ zone, seconds }) => {
+        const pct = (seconds / total) * 100;
+        return `
+        <div class="flex items-center gap-1.5" title="${zone.name}">
+          <span class="w-5 text-neutral-500">Z${zone.index}</span>
+          <div class="flex-1 h-2 rounded bg-neutral-800 overflow-hidden">
+            <div class="h-full rounded" style="width: ${pct.toFixed(1)}%; background: ${zone.color}"></div>
+          </div>
+          <span class="w-12 text-right text-neutral-400 tabular-nums">${this._formatTime(seconds)}</span>
+        </div>`;
+      })
+      .join("");
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // LACTATE CURVE ANALYSIS
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Re-run threshold analysis over completed laps and redraw the curve.
+   */
+  _updateLactateAnalysis() {
+    if (typeof LactateAnalysis === "undefined") return;
+    this._lactateAnalysis = LactateAnalysis.analyze(this._lapHistory);
+    this._renderThresholdList();
+    this._drawLactateCurve();
+  }
+
+  /**
+   * Latest threshold analysis (null until 3 laps have a reading).
+   * @returns {Object|null}
+   */
+  getLactateAnalysis() {
+    return this._lactateAnalysis;
+  }
+
+  /**
+   * Size the curve canvas to its (now visible) container and redraw.
+   */
+  refreshLactateCurve() {
+    const canvas = this._els.lactateCurveGraph;
+    if (canvas && canvas.parentElement) {
+      const rect = canvas.parentElement.getBoundingClientRect();
+      canvas.width = rect.width;
+      canvas.height = rect.height;
+    }
+    this._renderThresholdList();
+    this._drawLactateCurve();
+  }
+
+  _renderThresholdList() {
+    const list = this._els.lactateThresholdList;
+    if (!list) return;
+
+    const analysis = this._lactateAnalysis;
+    if (!analysis) {
+      list.innerHTML = `<div class="col-span-full text-neutral-600">Need 3+ laps with lactate readings</div>`;
+      return;
+    }
+
+    const shifts =
+      typeof SessionComparison !== "undefined"
+        ? SessionComparison.thresholdDeltas(analysis, this._comparison)
+        : {};
+    list.innerHTML = Object.entries(this._thresholdStyles)
+      .map(([key, style]) => {
+        const t = analysis.thresholds[key];
+        const shift = shifts[key];
+        return `<div class="flex items-center gap-1.5">
+          <span class="w-2 h-2 rounded-full shrink-0" style="background:${style.color}"></span>
+          <span class="text-neutral-500 w-14">${style.label}</span>
+          <span class="font-semibold text-white tabular-nums">${t ? `${t.power} W` : "--"}</span>
+          <span class="text-neutral-500 tabular-nums">${t && t.heartRate ? `${t.heartRate} bpm` : ""}</span>
+          ${shift !== undefined ? `<span class="tabular-nums ${shift > 0 ? "text-emerald-400" : shift < 0 ? "text-rose-400" : "text-neutral-500"}" title="vs ${this._comparison.label}">${shift > 0 ? "+" : ""}${shift} W</span>` : ""}
+        </div>`;
+      })
+      .join("");
+  }
+
+  _drawLactateCurve() {
+    const canvas = this._els.lactateCurveGraph;
+    const analysis = this._lactateAnalysis;
+    if (!canvas || canvas.width === 0) return;
+
+    const ctx = canvas.getContext("2d");
+    const width = canvas.width;
+    const height = canvas.height;
+    const pad = { left: 28, right: 8, top: 8, bottom: 18 };
+    ctx.clearRect(0, 0, width, height);
+    const reference = this._comparison && this._comparison.analysis;
+    if (!analysis && !reference) return;
+
+    // Axes span both tests when a reference is overlaid
+    const shown = [analysis, reference].filter(Boolean);
+    const minP = Math.min(...shown.map((a) => a.range[0]));
+    const maxP = Math.max(...shown.map((a) => a.range[1]));
+    const xMin = minP - 10;
+    const xMax = maxP + 10;
+    const yMax = Math.ceil(
+      Math.max(...shown.flatMap((a) => a.points.map((p) => p.lactate))) + 1,
+    );
+    const getX = (p) =>
+      pad.left + ((p - xMin) / (xMax - xMin)) * (width - pad.left - pad.right);
+    const getY = (la) =>
+      height - pad.bottom - (la / yMax) * (height - pad.top - pad.bottom);
+
+    // Axes + gridlines (every 1 mmol/L)
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.06)";
+    ctx.fillStyle = "#737373";
+    ctx.font = "9px Inter, sans-serif";
+    ctx.lineWidth = 1;
+    for (let la = 0; la <= yMax; la++) {
+      ctx.beginPath();
+      ctx.moveTo(pad.left, getY(la));
+      ctx.lineTo(width - pad.right, getY(la));
+      ctx.stroke();
+      ctx.fillText(`${la}`, 4, getY(la) + 3);
+    }
+    ctx.fillText(`${minP} W`, getX(minP) - 10, height - 4);
+    ctx.fillText(`${maxP} W`, getX(maxP) - 20, height - 4);
+
+    // Reference test: dashed grey curve, hollow points
+    if (reference) {
+      const [refMin, refMax] = reference.range;
+      ctx.beginPath();
+      ctx.strokeStyle = "#a3a3a3";
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([5, 4]);
+      for (let p = refMin; p <= refMax; p += 2) {
+        const y = getY(LactateAnalysis.polyval(reference.coefficients, p));
+        if (p === refMin) ctx.moveTo(getX(p), y);
+        else ctx.lineTo(getX(p), y);
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+      reference.points.forEach((pt) => {
+        ctx.beginPath();
+        ctx.arc(getX(pt.power), getY(pt.lactate), 3, 0, Math.PI * 2);
+        ctx.stroke();
+      });
+      ctx.fillStyle = "#a3a3a3";
+      const label = `vs ${this._comparison.label}`;
+      ctx.fillText(label, width - pad.right - ctx.measureText(label).width, pad.top + 8);
+    }
+    if (!analysis) return;
+
+    // Threshold markers
+    ctx.setLineDash([3, 3]);
+    Object.entries(this._thresholdStyles).forEach(([key, style]) => {
+      const t = analysis.thresholds[key];
+      if (!t) return;
+      ctx.strokeStyle = style.color;
+      ctx.beginPath();
+      ctx.moveTo(getX(t.power), pad.top);
+      ctx.lineTo(getX(t.power), height - pad.bottom);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // Fitted curve
+    ctx.beginPath();
+    ctx.strokeStyle = this._graphColors.lactate.line;
+    ctx.lineWidth = 2;
+    for (let p = minP; p <= maxP; p += 2) {
+      const y = getY(LactateAnalysis.polyval(analysis.coefficients, p));
+      if (p === minP) ctx.moveTo(getX(p), y);
+      else ctx.lineTo(getX(p), y);
+    }
+    ctx.stroke();
+
+    // Measured points
+    analysis.points.forEach((pt) => {
+      ctx.beginPath();
+      ctx.arc(getX(pt.power), getY(pt.lactate), 3.5, 0, Math.PI * 2);
+      ctx.fillStyle = this._graphColors.lactate.point;
+      ctx.fill();
+      ctx.beginPath();
+      ctx.arc(getX(pt.power), getY(pt.lactate), 1.5, 0, Math.PI * 2);
+      ctx.fillStyle = "#fff";
+      ctx.fill();
+    });
   }
 
   // ═══════════════════════════════════════════════════════
@@ -651,7 +1161,8 @@ class DashboardRenderer {
       this._els.batteryPercent.textContent =
         data.batteryPercent >= 0 ? `${data.batteryPercent}%` : "--%";
     }
-    if (this._els.lastUpdate) {
+    // Once a ConnectionHealth reports in, lastUpdate shows its figures instead
+    if (this._els.lastUpdate && !this._healthShown) {
       this._els.lastUpdate.textContent = `Updated ${new Date().toLocaleTimeString()}`;
     }
   }
@@ -660,6 +1171,23 @@ class DashboardRenderer {
   // SPARKLINE GRAPH RENDERING
   // ═══════════════════════════════════════════════════════
 
+  /**
+   * Redraw the sparklines on the next animation frame. Any number of data
+   * messages, resizes or profile changes within a frame cost one redraw.
+   */
+  _scheduleDraw() {
+    if (this._drawPending) return;
+    this._drawPending = true;
+    const raf =
+      typeof requestAnimationFrame === "function"
+        ? requestAnimationFrame
+        : (cb) => setTimeout(cb, 16);
+    raf(() => {
+      this._drawPending = false;
+      this._drawAllGraphs();
+    });
+  }
+
   _drawAllGraphs() {
     this._drawSparkline(
       this._powerCtx,
@@ -669,6 +1197,7 @@ class DashboardRenderer {
         showFill: true,
         secondary: this._powerHistory,
         secondaryColor: this._graphColors.power.secondary,
+        zoneColor: this._zoneColorFn("power"),
       },
     );
     this._drawSparkline(this._vo2Ctx, this._vo2History, this._graphColors.vo2, {
@@ -676,6 +1205,7 @@ class DashboardRenderer {
     });
     this._drawSparkline(this._hrCtx, this._hrHistory, this._graphColors.hr, {
       showFill: true,
+      zoneColor: this._zoneColorFn("hr"),
     });
     this._drawSparkline(
       this._cadenceCtx,
@@ -685,92 +1215,102 @@ class DashboardRenderer {
     );
   }
 
-  _drawSparkline(ctx, data, colors, options = {}) {
-    if (!ctx || !data || data.length < 2) return;
+  /**
+   * Draw a series decimated to one min/max bucket per pixel column, so the
+   * cost is bounded by the canvas width rather than the session length.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {SeriesBuffer} series
+   */
+  _drawSparkline(ctx, series, colors, options = {}) {
+    if (!ctx || !series || series.length < 2) return;
 
     const canvas = ctx.canvas;
     const width = canvas.width;
     const height = canvas.height;
     const padding = 4;
+    const plotWidth = width - padding * 2;
 
     // Clear
     ctx.clearRect(0, 0, width, height);
+    if (plotWidth < 2) return;
 
-    // Calculate bounds
-    const min = Math.min(...data) * 0.9;
-    const max = Math.max(...data) * 1.1;
+    // Bounds from the buffer's running extents
+    const min = series.min * 0.9;
+    const max = series.max * 1.1;
     const range = max - min || 1;
 
-    const xStep = (width - padding * 2) / (data.length - 1);
-
     // Helper to get Y position
     const getY = (val) =>
       height - padding - ((val - min) / range) * (height - padding * 2);
 
     // Draw secondary line (instant power behind 3s avg)
-    if (
-      options.secondary &&
-      options.secondary.length > 1 &&
-      options.secondaryColor
-    ) {
-      ctx.beginPath();
-      ctx.strokeStyle = options.secondaryColor;
-      ctx.lineWidth = 1;
-      ctx.globalAlpha = 0.3;
-
-      const secMin = Math.min(...options.secondary) * 0.9;
-      const secMax = Math.max(...options.secondary) * 1.1;
+    const secondary = options.secondary;
+    if (secondary && secondary.length > 1 && options.secondaryColor) {
+      const secMin = secondary.min * 0.9;
+      const secMax = secondary.max * 1.1;
       const secRange = secMax - secMin || 1;
-      const secXStep = (width - padding * 2) / (options.secondary.length - 1);
       const getSecY = (val) =>
         height - padding - ((val - secMin) / secRange) * (height - padding * 2);
 
-      options.secondary.forEach((val, i) => {
-        const x = padding + i * secXStep;
-        const y = getSecY(val);
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
-      });
+      const sec = secondary.decimate(plotWidth);
+      const secXStep = plotWidth / Math.max(1, sec.count - 1);
+      ctx.beginPath();
+      ctx.strokeStyle = options.secondaryColor;
+      ctx.lineWidth = 1;
+      ctx.globalAlpha = 0.3;
+      for (let c = 0; c < sec.count; c++) {
+        this._traceColumn(ctx, sec, c, padding + c * secXStep, getSecY, c === 0);
+      }
       ctx.stroke();
       ctx.globalAlpha = 1;
     }
 
-    // Draw fill
+    const cols = series.decimate(plotWidth);
+    const xStep = plotWidth / Math.max(1, cols.count - 1);
+
+    // Draw fill along the upper envelope
     if (options.showFill) {
       ctx.beginPath();
       ctx.moveTo(padding, height - padding);
-      data.forEach((val, i) => {
-        const x = padding + i * xStep;
-        const y = getY(val);
-        ctx.lineTo(x, y);
-      });
-      ctx.lineTo(padding + (data.length - 1) * xStep, height - padding);
+      for (let c = 0; c < cols.count; c++) {
+        ctx.lineTo(padding + c * xStep, getY(cols.max[c]));
+      }
+      ctx.lineTo(padding + (cols.count - 1) * xStep, height - padding);
       ctx.closePath();
       ctx.fillStyle = colors.fill;
       ctx.fill();
     }
 
-    // Draw main line
-    ctx.beginPath();
-    ctx.strokeStyle = colors.line;
+    // Draw main line (one run per colour when colour-coded by zone; a
+    // column takes the colour of its peak so short surges stay visible)
+    const colorAt = options.zoneColor || (() => colors.line);
     ctx.lineWidth = 2;
     ctx.lineCap = "round";
     ctx.lineJoin = "round";
 
-    data.forEach((val, i) => {
-      const x = padding + i * xStep;
-      const y = getY(val);
-      if (i === 0) ctx.moveTo(x, y);
-      else ctx.lineTo(x, y);
-    });
+    let runColor = null;
+    for (let c = 0; c < cols.count; c++) {
+      const x = padding + c * xStep;
+      const color = colorAt(cols.max[c]);
+      if (c > 0 && color !== runColor) {
+        // Close the previous run at this column's entry point
+        this._traceColumn(ctx, cols, c, x, getY, false, true);
+        ctx.strokeStyle = runColor;
+        ctx.stroke();
+      }
+      this._traceColumn(ctx, cols, c, x, getY, c === 0 || color !== runColor);
+      runColor = color;
+    }
+    ctx.strokeStyle = runColor;
     ctx.stroke();
 
     // Draw current value dot
-    const lastX = padding + (data.length - 1) * xStep;
-    const lastY = getY(data[data.length - 1]);
+    const lastValue = series.last();
+    const lastX = padding + (cols.count - 1) * xStep;
+    const lastY = getY(lastValue);
     ctx.beginPath();
     ctx.arc(lastX, lastY, 4, 0, Math.PI * 2);
-    ctx.fillStyle = colors.line;
+    ctx.fillStyle = colorAt(lastValue);
     ctx.fill();
     ctx.beginPath();
     ctx.arc(lastX, lastY, 2, 0, Math.PI * 2);
@@ -778,6 +1318,83 @@ class DashboardRenderer {
     ctx.fill();
   }
 
+  /**
+   * Add one decimated column to the current path: through its extremes in
+   * the order they occurred, ending on its last value.
+   * @param {boolean} start - begin a new path at this column
+   * @param {boolean} [entryOnly] - only draw to the column's first point
+   */
+  _traceColumn(ctx, cols, c, x, getY, start, entryOnly = false) {
+    const lo = getY(cols.min[c]);
+    const hi = getY(cols.max[c]);
+    const first = cols.minFirst[c] ? lo : hi;
+    if (start) {
+      ctx.beginPath();
+      ctx.moveTo(x, first);
+    } else {
+      ctx.lineTo(x, first);
+    }
+    if (entryOnly || lo === hi) return;
+    ctx.lineTo(x, cols.minFirst[c] ? hi : lo);
+    ctx.lineTo(x, getY(cols.last[c]));
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // ATHLETE ZONES
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Use an athlete profile for zone colours and W/kg.
+   * @param {AthleteProfile|null} profile
+   */
+  setProfile(profile) {
+    this._profile = profile;
+    this._renderLapList();
+    this._scheduleDraw();
+  }
+
+  /**
+   * Colour a zone badge and its card's accent border; null resets both.
+   */
+  _setZoneBadge(badge, card, zone) {
+    if (badge) {
+      if (zone) {
+        badge.textContent = `Z${zone.index} ${zone.name}`;
+        badge.style.color = zone.color;
+        badge.style.backgroundColor = `${zone.color}33`;
+        badge.classList.remove("hidden");
+      } else {
+        badge.style.color = "";
+        badge.style.backgroundColor = "";
+        if (badge !== this._els.powerZoneBadge) badge.classList.add("hidden");
+      }
+    }
+    if (card) card.style.borderLeftColor = zone ? zone.color : "";
+  }
+
+  /**
+   * value → zone colour for sparklines, or undefined without zones.
+   * @param {'power'|'hr'} kind
+   */
+  _zoneColorFn(kind) {
+    if (!this._profile) return undefined;
+    const zones = kind === "power" ? this._profile.powerZones() : this._profile.hrZones();
+    if (zones.length === 0) return undefined;
+    const fallback = this._graphColors[kind].line;
+    return (value) => {
+      const zone = AthleteProfile.zoneFor(zones, value);
+      return zone ? zone.color : fallback;
+    };
+  }
+
+  /** Inline colour style for a lap cell, or "" */
+  _zoneStyle(kind, value) {
+    if (!this._profile) return "";
+    const zone =
+      kind === "power" ? this._profile.powerZoneFor(value) : this._profile.hrZoneFor(value);
+    return zone ? ` style="color: ${zone.color}"` : "";
+  }
+
   // ═══════════════════════════════════════════════════════
   // CONNECTION STATUS
   // ═══════════════════════════════════════════════════════
@@ -811,6 +1428,101 @@ class DashboardRenderer {
     }
   }
 
+  /**
+   * Show ConnectionHealth figures: an amber badge while the link is
+   * degraded, and data age / RTT / message rate in lastUpdate.
+   * @param {Object} status - ConnectionHealth.getStatus()
+   */
+  setConnectionHealth(status) {
+    this._healthShown = true;
+    if (status.state === "disconnected") {
+      this.setConnectionStatus(false);
+    } else if (status.state === "degraded") {
+      if (this._els.connectionBadge) {
+        this._els.connectionBadge.className =
+          "flex items-center gap-2 px-3 py-1 rounded-full bg-amber-500/10 border border-amber-500/20";
+      }
+      if (this._els.pingDot) {
+        this._els.pingDot.className = "absolute inline-flex h-full w-full rounded-full bg-amber-400 opacity-75";
+      }
+      if (this._els.solidDot) {
+        this._els.solidDot.className = "relative inline-flex rounded-full h-2 w-2 bg-amber-500";
+      }
+      if (this._els.connectionText) {
+        this._els.connectionText.className = "text-xs font-medium text-amber-500 tracking-wide uppercase";
+        this._els.connectionText.textContent =
+          status.dataAge !== null && status.dataAge > 5000
+            ? `Stale ${Math.round(status.dataAge / 1000)}s`
+            : "Degraded";
+      }
+    } else {
+      this.setConnectionStatus(true);
+    }
+
+    const el = this._els.lastUpdate;
+    if (!el) return;
+    const parts = [];
+    if (status.dataAge !== null) parts.push(`Data ${(status.dataAge / 1000).toFixed(1)}s old`);
+    if (status.rtt !== null) parts.push(`${Math.round(status.rtt)} ms`);
+    parts.push(`${status.rate.toFixed(1)} msg/s`);
+    el.textContent = parts.join(" · ");
+    el.title = [
+      status.reasons.length ? `Degraded: ${status.reasons.join(", ")}` : "Connection healthy",
+      status.clockOffset !== null ? `Karoo clock offset ${Math.round(status.clockOffset)} ms` : null,
+    ]
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // WORKOUT STATUS
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Render WorkoutEngine progress (current/next step + countdown).
+   * @param {Object} snapshot - WorkoutEngine.getSnapshot()
+   */
+  setWorkoutStatus(snapshot) {
+    const els = this._els;
+    if (!els.workoutStatus) return;
+
+    const active = snapshot.state !== "idle" && snapshot.step !== null;
+    els.workoutStatus.classList.toggle("hidden", !active);
+    if (!active) return;
+
+    if (els.workoutStepLabel) {
+      els.workoutStepLabel.textContent =
+        snapshot.state === "finished" ? "Workout complete" : snapshot.step.label;
+    }
+    if (els.workoutStepTarget) {
+      els.workoutStepTarget.textContent =
+        snapshot.targetWatts !== null ? `${snapshot.targetWatts} W` : "--";
+    }
+    if (els.workoutCountdown) {
+      els.workoutCountdown.textContent =
+        snapshot.state === "finished"
+          ? "00:00"
+          : this._formatTime(Math.ceil(snapshot.stepRemaining));
+      els.workoutCountdown.classList.toggle(
+        "text-red-400",
+        snapshot.state === "running" && snapshot.stepRemaining <= 5,
+      );
+    }
+    if (els.workoutNextStep) {
+      els.workoutNextStep.textContent = snapshot.nextStep
+        ? `Next: ${snapshot.nextStep.label} · ${snapshot.nextTargetWatts ?? "--"} W`
+        : "Next: finish";
+    }
+    if (els.workoutProgress && snapshot.totalDuration > 0) {
+      const pct = Math.min(100, (snapshot.position / snapshot.totalDuration) * 100);
+      els.workoutProgress.style.width = `${pct}%`;
+    }
+    if (els.workoutPauseBtn) {
+      els.workoutPauseBtn.textContent =
+        snapshot.state === "paused" ? "Resume" : "Pause";
+    }
+  }
+
   // ═══════════════════════════════════════════════════════
   // RIDE STATE
   // ═══════════════════════════════════════════════════════
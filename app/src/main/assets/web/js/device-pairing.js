@@ -0,0 +1,254 @@
+/**
+ * Braven Lab Dashboard — Device Pairing
+ *
+ * Pairs this display with the Karoo using the PIN shown on its screen and
+ * keeps the resulting token, which carries a role:
+ *
+ *   viewer   — unpaired; watches only
+ *   athlete  — also marks laps and logs own measurements
+ *   coach    — also controls the trainer, enters lactate, edits profile/notes
+ *
+ * The role is chosen on the Karoo when it shows the PIN, not by the display.
+ * The token is remembered per display in localStorage and sent with every
+ * POST (Authorization: Bearer …) and on the /live WebSocket (?token=…).
+ * Only a Karoo that reports `required: false` leaves every display in the
+ * coach role; any other answer (or none) keeps an unpaired display a viewer.
+ */
+class DevicePairing {
+  /**
+   * @param {Object} [options]
+   * @param {function} [options.fetchFn] - fetch() implementation (mockable)
+   * @param {Storage|null} [options.storage] - defaults to localStorage
+   * @param {function(): number} [options.now] - clock (mockable)
+   */
+  constructor(options = {}) {
+    this._fetch = options.fetchFn || ((url, init) => fetch(url, init));
+    this._storage =
+      options.storage !== undefined
+        ? options.storage
+        : typeof localStorage !== "undefined"
+          ? localStorage
+          : null;
+    this._now = options.now || (() => Date.now());
+
+    this._pairing = null; // {token, role, name, expiresAt}
+    this._open = false; // Karoo doesn't require pairing
+    this._expiryTimer = null;
+    this._changeCallbacks = [];
+
+    // Handed to other modules as their fetchFn
+    this.fetch = this.fetch.bind(this);
+  }
+
+  static get STORAGE_KEY() {
+    return "braven.pairing";
+  }
+
+  /** Roles from least to most allowed */
+  static get ROLES() {
+    return ["viewer", "athlete", "coach"];
+  }
+
+  /**
+   * Load this display's saved pairing.
+   * @returns {string} the role
+   */
+  restore() {
+    try {
+      const saved = this._storage && JSON.parse(this._storage.getItem(DevicePairing.STORAGE_KEY));
+      if (saved && saved.token && saved.expiresAt > this._now()) {
+        this._pairing = saved;
+        this._scheduleExpiry();
+      }
+    } catch (err) {
+      console.warn("[Pairing] Ignoring unreadable saved pairing:", err);
+    }
+    return this.getRole();
+  }
+
+  /**
+   * Ask the Karoo whether pairing is required and whether this display's
+   * token is still valid.
+   * @returns {Promise<string>} the role
+   */
+  async verify() {
+    let info;
+    try {
+      const res = await this.fetch("/api/pair");
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      info = await res.json();
+    } catch (err) {
+      // Fail closed: without an explicit "not required", stay a viewer
+      this._setOpen(false);
+      throw err;
+    }
+    this._setOpen(info.required === false);
+    if (!this._open && this._pairing && !info.paired) {
+      this.expire();
+    } else if (info.paired && this._pairing) {
+      this._pairing = { ...this._pairing, role: info.role, expiresAt: info.expiresAt };
+      this._save();
+    }
+    return this.getRole();
+  }
+
+  /**
+   * Pair with the PIN shown on the Karoo; the role is the one the Karoo
+   * showed the PIN for.
+   * @param {string} pin
+   * @param {string} [name] - shown in the Karoo's log
+   * @returns {Promise<string>} the new role
+   * @throws {Error} with .code 'wrong_pin' | 'locked' | … if refused
+   */
+  async pair(pin, name = "") {
+    const res = await this._fetch("/api/pair", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ pin: String(pin).trim(), name }),
+    });
+    const result = await res.json();
+    if (!res.ok || !result.success) {
+      const err = new Error(result.message || `HTTP ${res.status}`);
+      err.code = result.code || null;
+      throw err;
+    }
+    this._pairing = { token: result.token, role: result.role, name: result.name, expiresAt: result.expiresAt };
+    this._save();
+    console.log(`[Pairing] Paired as ${result.role}`);
+    this._notify("paired");
+    return this.getRole();
+  }
+
+  /**
+   * Forget this display's pairing, on the Karoo too (best effort).
+   * @returns {Promise<void>}
+   */
+  async unpair() {
+    if (!this._pairing) return;
+    try {
+      await this.fetch("/api/pair/revoke", { method: "POST" });
+    } catch (err) {
+      console.warn("[Pairing] Failed to revoke token on the Karoo:", err);
+    }
+    this._clear();
+    console.log("[Pairing] Unpaired");
+    this._notify("unpaired");
+  }
+
+  /**
+   * Drop a token the Karoo no longer accepts.
+   * @param {string} [reason]
+   */
+  expire(reason = "expired") {
+    if (!this._pairing) return;
+    this._clear();
+    console.log(`[Pairing] Pairing ${reason}`);
+    this._notify(reason);
+  }
+
+  /**
+   * fetch() that sends this display's token; a 401 means it's no longer
+   * valid and drops it.
+   * @param {string} url
+   * @param {Object} [init]
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, init = {}) {
+    const token = this.getToken();
+    const headers = token ? { ...(init.headers || {}), Authorization: `Bearer ${token}` } : init.headers;
+    const res = await this._fetch(url, headers ? { ...init, headers } : init);
+    if (res.status === 401 && token) this.expire();
+    return res;
+  }
+
+  /** @returns {string} 'viewer' | 'athlete' | 'coach' */
+  getRole() {
+    if (this._open) return "coach";
+    return this.getToken() ? this._pairing.role : "viewer";
+  }
+
+  /**
+   * @param {string} role - minimum role
+   * @returns {boolean} whether this display has at least that role
+   */
+  can(role) {
+    return DevicePairing.ROLES.indexOf(this.getRole()) >= DevicePairing.ROLES.indexOf(role);
+  }
+
+  /** @returns {boolean} whether the Karoo requires pairing at all */
+  isRequired() {
+    return !this._open;
+  }
+
+  /** @returns {Object|null} {role, name, expiresAt} of a valid pairing */
+  getPairing() {
+    if (!this.getToken()) return null;
+    const { role, name, expiresAt } = this._pairing;
+    return { role, name, expiresAt };
+  }
+
+  /** @returns {string|null} the token, unless missing or expired */
+  getToken() {
+    return this._pairing && this._pairing.expiresAt > this._now() ? this._pairing.token : null;
+  }
+
+  /**
+   * Register a callback fired when the role may have changed.
+   * @param {function(string, string)} callback - (role, reason) with reason
+   *   'paired' | 'unpaired' | 'expired' | 'open'
+   */
+  onChange(callback) {
+    this._changeCallbacks.push(callback);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // INTERNALS
+  // ═══════════════════════════════════════════════════════
+
+  _setOpen(open) {
+    if (open === this._open) return;
+    this._open = open;
+    this._notify("open");
+  }
+
+  _save() {
+    if (this._storage) {
+      try {
+        this._storage.setItem(DevicePairing.STORAGE_KEY, JSON.stringify(this._pairing));
+      } catch (err) {
+        console.warn("[Pairing] Failed to save pairing:", err);
+      }
+    }
+    this._scheduleExpiry();
+  }
+
+  _clear() {
+    this._pairing = null;
+    clearTimeout(this._expiryTimer);
+    this._expiryTimer = null;
+    if (this._storage) {
+      try {
+        this._storage.removeItem(DevicePairing.STORAGE_KEY);
+      } catch (err) {
+        console.warn("[Pairing] Failed to clear pairing:", err);
+      }
+    }
+  }
+
+  /** Tell listeners when the token runs out, not just on the next request */
+  _scheduleExpiry() {
+    clearTimeout(this._expiryTimer);
+    if (!this._pairing) return;
+    const remaining = this._pairing.expiresAt - this._now();
+    this._expiryTimer = setTimeout(() => this.expire(), Math.min(Math.max(remaining, 0), 2 ** 31 - 1));
+  }
+
+  _notify(reason) {
+    const role = this.getRole();
+    this._changeCallbacks.forEach((cb) => cb(role, reason));
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DevicePairing;
+}
@@ -0,0 +1,648 @@
+/**
+ * Braven Lab Dashboard — FIT Activity Encoder / Decoder
+ *
+ * Minimal Garmin FIT (Flexible and Interoperable Data Transfer) support:
+ * encodes a SessionRecorder session into an activity file (file_id, timer
+ * events, per-second records, laps, session, activity) that TrainingPeaks
+ * and Golden Cheetah import, and decodes FIT files — including Karoo files
+ * with developer fields and compressed timestamps — back into messages.
+ *
+ * Pure JS, no DOM: bytes in and out as Uint8Array.
+ */
+class FitFile {
+  // ═══════════════════════════════════════════════════════
+  // PROFILE
+  // ═══════════════════════════════════════════════════════
+
+  /** Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z) */
+  static get EPOCH_OFFSET() {
+    return 631065600;
+  }
+
+  /** Global message numbers */
+  static get MESG() {
+    return {
+      FILE_ID: 0,
+      SESSION: 18,
+      LAP: 19,
+      RECORD: 20,
+      EVENT: 21,
+      ACTIVITY: 34,
+      FIELD_DESCRIPTION: 206,
+      DEVELOPER_DATA_ID: 207,
+    };
+  }
+
+  /** Base types: [id, size, invalid value] */
+  static get TYPE() {
+    return {
+      enum: [0x00, 1, 0xff],
+      sint8: [0x01, 1, 0x7f],
+      uint8: [0x02, 1, 0xff],
+      uint16: [0x84, 2, 0xffff],
+      sint32: [0x85, 4, 0x7fffffff],
+      uint32: [0x86, 4, 0xffffffff],
+      uint32z: [0x8c, 4, 0],
+      float32: [0x88, 4, 0xffffffff],
+      string: [0x07, 32, 0], // fixed width, zero-padded
+    };
+  }
+
+  /**
+   * Field layouts for the messages we write: [fieldNum, name, type, scale].
+   * Values are scaled (value * scale) and rounded on encode.
+   */
+  static get LAYOUTS() {
+    return {
+      [FitFile.MESG.FILE_ID]: [
+        [0, "type", "enum", 1],
+        [1, "manufacturer", "uint16", 1],
+        [2, "product", "uint16", 1],
+        [3, "serialNumber", "uint32z", 1],
+        [4, "timeCreated", "uint32", 1],
+      ],
+      [FitFile.MESG.EVENT]: [
+        [253, "timestamp", "uint32", 1],
+        [0, "event", "enum", 1],
+        [1, "eventType", "enum", 1],
+      ],
+      [FitFile.MESG.RECORD]: [
+        [253, "timestamp", "uint32", 1],
+        [3, "heartRate", "uint8", 1],
+        [4, "cadence", "uint8", 1],
+        [5, "distance", "uint32", 100], // m
+        [6, "speed", "uint16", 1000], // m/s
+        [7, "power", "uint16", 1],
+      ],
+      [FitFile.MESG.LAP]: [
+        [254, "messageIndex", "uint16", 1],
+        [253, "timestamp", "uint32", 1],
+        [0, "event", "enum", 1],
+        [1, "eventType", "enum", 1],
+        [2, "startTime", "uint32", 1],
+        [7, "totalElapsedTime", "uint32", 1000], // s
+        [8, "totalTimerTime", "uint32", 1000], // s
+        [9, "totalDistance", "uint32", 100], // m
+        [15, "avgHeartRate", "uint8", 1],
+        [16, "maxHeartRate", "uint8", 1],
+        [17, "avgCadence", "uint8", 1],
+        [19, "avgPower", "uint16", 1],
+        [20, "maxPower", "uint16", 1],
+        [24, "lapTrigger", "enum", 1],
+      ],
+      [FitFile.MESG.SESSION]: [
+        [254, "messageIndex", "uint16", 1],
+        [253, "timestamp", "uint32", 1],
+        [0, "event", "enum", 1],
+        [1, "eventType", "enum", 1],
+        [2, "startTime", "uint32", 1],
+        [5, "sport", "enum", 1],
+        [6, "subSport", "enum", 1],
+        [7, "totalElapsedTime", "uint32", 1000],
+        [8, "totalTimerTime", "uint32", 1000],
+        [9, "totalDistance", "uint32", 100],
+        [16, "avgHeartRate", "uint8", 1],
+        [17, "maxHeartRate", "uint8", 1],
+        [18, "avgCadence", "uint8", 1],
+        [20, "avgPower", "uint16", 1],
+        [21, "maxPower", "uint16", 1],
+        [25, "firstLapIndex", "uint16", 1],
+        [26, "numLaps", "uint16", 1],
+      ],
+      [FitFile.MESG.ACTIVITY]: [
+        [253, "timestamp", "uint32", 1],
+        [0, "totalTimerTime", "uint32", 1000],
+        [1, "numSessions", "uint16", 1],
+        [2, "type", "enum", 1],
+        [3, "event", "enum", 1],
+        [4, "eventType", "enum", 1],
+      ],
+      [FitFile.MESG.DEVELOPER_DATA_ID]: [[3, "developerDataIndex", "uint8", 1]],
+      [FitFile.MESG.FIELD_DESCRIPTION]: [
+        [0, "developerDataIndex", "uint8", 1],
+        [1, "fieldDefinitionNumber", "uint8", 1],
+        [2, "fitBaseTypeId", "uint8", 1],
+        [3, "fieldName", "string", 1],
+        [8, "units", "string", 1],
+      ],
+    };
+  }
+
+  /**
+   * Developer fields on our records: [fieldNum, name, type, units]. FIT has
+   * no native core temperature (field 13 is the head unit's ambient sensor),
+   * so it is written under the name the Karoo uses for CORE, and lactate
+   * under the extension's own Lactate field.
+   */
+  static get RECORD_DEV_FIELDS() {
+    return [
+      [0, "Lactate", "float32", "mmol/L"],
+      [1, "core_temperature", "float32", "C"],
+    ];
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // ENCODE
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Encode a recorded session as a FIT activity file.
+   * @param {Object} session - SessionRecorder.getSession()
+   * @returns {Uint8Array}
+   */
+  static encode(session) {
+    const samples = session.samples || [];
+    if (samples.length === 0) throw new Error("Session has no samples");
+
+    const M = FitFile.MESG;
+    const fitTime = (ms) => Math.round(ms / 1000) - FitFile.EPOCH_OFFSET;
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const startTime = fitTime(first.t);
+    const endTime = fitTime(last.t);
+    const totalTime = last.elapsed - first.elapsed + 1;
+
+    const writer = new FitWriter();
+    writer.write(M.FILE_ID, {
+      type: 4, // activity
+      manufacturer: 255, // development
+      product: 0,
+      serialNumber: 1,
+      timeCreated: startTime,
+    });
+    writer.defineDeveloperFields(M.RECORD, FitFile.RECORD_DEV_FIELDS);
+    writer.write(M.EVENT, { timestamp: startTime, event: 0, eventType: 0 }); // timer start
+
+    // Each reading goes on the record of the second it was taken
+    const lactateAt = new Map();
+    (session.lactateReadings || []).forEach((r) => {
+      lactateAt.set(samples.find((s) => s.elapsed >= r.elapsed) || last, r.value);
+    });
+
+    samples.forEach((s) => {
+      writer.write(
+        M.RECORD,
+        {
+          timestamp: fitTime(s.t),
+          heartRate: s.heartRate || null,
+          cadence: s.cadence || null,
+          distance: s.distance * 1000,
+          speed: s.speed / 3.6,
+          power: s.power,
+        },
+        {
+          Lactate: lactateAt.has(s) ? lactateAt.get(s) : null,
+          core_temperature: s.coreTemp > 0 ? s.coreTemp : null,
+        },
+      );
+    });
+
+    const laps = session.laps || [];
+    laps.forEach((lap, i) => {
+      const lapEnd = fitTime(lap.startTime) + lap.duration;
+      writer.write(M.LAP, {
+        messageIndex: i,
+        timestamp: lapEnd,
+        event: 9, // lap
+        eventType: 1, // stop
+        startTime: fitTime(lap.startTime),
+        totalElapsedTime: lap.duration,
+        totalTimerTime: lap.duration,
+        totalDistance: lap.distance * 1000,
+        avgHeartRate: lap.avgHeartRate || null,
+        maxHeartRate: lap.maxHeartRate || null,
+        avgCadence: lap.avgCadence || null,
+        avgPower: lap.avgPower,
+        maxPower: lap.maxPower,
+        lapTrigger: i === laps.length - 1 ? 7 : 0, // session_end : manual
+      });
+    });
+
+    const avg = (key) => {
+      const vals = samples.map((s) => s[key]).filter((v) => v > 0);
+      return vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null;
+    };
+    const max = (key) => samples.reduce((m, s) => Math.max(m, s[key] || 0), 0) || null;
+
+    writer.write(M.EVENT, { timestamp: endTime, event: 0, eventType: 4 }); // timer stop_all
+    writer.write(M.SESSION, {
+      messageIndex: 0,
+      timestamp: endTime,
+      event: 8, // session
+      eventType: 1,
+      startTime,
+      sport: 2, // cycling
+      subSport: 6, // indoor_cycling
+      totalElapsedTime: totalTime,
+      totalTimerTime: totalTime,
+      totalDistance: (last.distance - first.distance) * 1000,
+      avgHeartRate: avg("heartRate"),
+      maxHeartRate: max("heartRate"),
+      avgCadence: avg("cadence"),
+      avgPower: avg("power"),
+      maxPower: max("power"),
+      firstLapIndex: 0,
+      numLaps: laps.length,
+    });
+    writer.write(M.ACTIVITY, {
+      timestamp: endTime,
+      totalTimerTime: totalTime,
+      numSessions: 1,
+      type: 0, // manual
+      event: 26, // activity
+      eventType: 1,
+    });
+
+    return writer.finish();
+  }
+
+  /**
+   * FIT CRC-16.
+   * @param {ArrayLike<number>} bytes
+   * @returns {number}
+   */
+  static crc(bytes) {
+    const table = [
+      0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401, 0xa001,
+      0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400,
+    ];
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      const byte = bytes[i];
+      let tmp = table[crc & 0xf];
+      crc = (crc >> 4) & 0x0fff;
+      crc = crc ^ tmp ^ table[byte & 0xf];
+      tmp = table[crc & 0xf];
+      crc = (crc >> 4) & 0x0fff;
+      crc = crc ^ tmp ^ table[(byte >> 4) & 0xf];
+    }
+    return crc;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // DECODE
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Decode a FIT file into raw messages.
+   * @param {Uint8Array|ArrayBuffer} input
+   * @returns {Array<{global: number, fields: Object<number, number>, dev: Object<string, number>}>}
+   *   field values are raw (unscaled); invalid values are omitted. Developer
+   *   field values are keyed by their field_description name.
+   */
+  static decode(input) {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const headerSize = bytes[0];
+    const dataSize = view.getUint32(4, true);
+    if (String.fromCharCode(...bytes.subarray(8, 12)) !== ".FIT") {
+      throw new Error("Not a FIT file");
+    }
+
+    const definitions = {};
+    const devFields = {}; // "devIndex:fieldNum" → {name, type}
+    const messages = [];
+    let lastTimestamp = 0;
+    let pos = headerSize;
+    const end = headerSize + dataSize;
+
+    while (pos < end) {
+      const header = bytes[pos++];
+
+      if (header & 0x80) {
+        // Compressed timestamp header: local type in bits 5-6, offset in 0-4
+        const local = (header >> 5) & 0x03;
+        const offset = header & 0x1f;
+        let ts = (lastTimestamp & ~0x1f) + offset;
+        if (offset < (lastTimestamp & 0x1f)) ts += 0x20;
+        lastTimestamp = ts;
+        const msg = FitFile._readData(view, pos, definitions[local], devFields);
+        pos += definitions[local].size;
+        msg.fields[253] = ts;
+        messages.push(msg);
+        continue;
+      }
+
+      const local = header & 0x0f;
+      if (header & 0x40) {
+        const littleEndian = bytes[pos + 1] === 0;
+        const global = view.getUint16(pos + 2, littleEndian);
+        const count = bytes[pos + 4];
+        pos += 5;
+        const fields = [];
+        for (let i = 0; i < count; i++, pos += 3) {
+          fields.push({ num: bytes[pos], size: bytes[pos + 1], type: bytes[pos + 2] });
+        }
+        const devs = [];
+        if (header & 0x20) {
+          const devCount = bytes[pos++];
+          for (let i = 0; i < devCount; i++, pos += 3) {
+            devs.push({ num: bytes[pos], size: bytes[pos + 1], devIndex: bytes[pos + 2] });
+          }
+        }
+        const size = [...fields, ...devs].reduce((sum, f) => sum + f.size, 0);
+        definitions[local] = { global, littleEndian, fields, devs, size };
+      } else {
+        const def = definitions[local];
+        if (!def) throw new Error(`Data message for undefined local type ${local}`);
+        const msg = FitFile._readData(view, pos, def, devFields);
+        pos += def.size;
+        if (msg.fields[253] !== undefined) lastTimestamp = msg.fields[253];
+        if (def.global === FitFile.MESG.FIELD_DESCRIPTION) {
+          // Names/types needed to interpret later developer data
+          devFields[`${msg.fields[0]}:${msg.fields[1]}`] = {
+            name: msg.fields[3],
+            type: msg.fields[2],
+          };
+        }
+        messages.push(msg);
+      }
+    }
+    return messages;
+  }
+
+  static _readData(view, pos, def, devFields) {
+    const fields = {};
+    const dev = {};
+    let p = pos;
+    def.fields.forEach((f) => {
+      const value = FitFile._readValue(view, p, f, def.littleEndian);
+      if (value !== null) fields[f.num] = value;
+      p += f.size;
+    });
+    def.devs.forEach((d) => {
+      const desc = devFields[`${d.devIndex}:${d.num}`];
+      if (desc) {
+        const value = FitFile._readValue(
+          view,
+          p,
+          { size: d.size, type: desc.type },
+          def.littleEndian,
+        );
+        if (value !== null) dev[desc.name] = value;
+      }
+      p += d.size;
+    });
+    return { global: def.global, fields, dev };
+  }
+
+  static _readValue(view, pos, field, le) {
+    const baseType = field.type & 0x1f;
+    let value;
+    switch (baseType) {
+      case 0x00: // enum
+      case 0x02: // uint8
+      case 0x0a: // uint8z
+      case 0x0d: // byte
+        if (field.size !== 1) return null;
+        value = view.getUint8(pos);
+        return value === (baseType === 0x0a ? 0 : 0xff) ? null : value;
+      case 0x01:
+        if (field.size !== 1) return null;
+        value = view.getInt8(pos);
+        return value === 0x7f ? null : value;
+      case 0x04: // uint16
+      case 0x0b: // uint16z
+        if (field.size !== 2) return null;
+        value = view.getUint16(pos, le);
+        return value === (baseType === 0x0b ? 0 : 0xffff) ? null : value;
+      case 0x03:
+        if (field.size !== 2) return null;
+        value = view.getInt16(pos, le);
+        return value === 0x7fff ? null : value;
+      case 0x06: // uint32
+      case 0x0c: // uint32z
+        if (field.size !== 4) return null;
+        value = view.getUint32(pos, le);
+        return value === (baseType === 0x0c ? 0 : 0xffffffff) ? null : value;
+      case 0x05:
+        if (field.size !== 4) return null;
+        value = view.getInt32(pos, le);
+        return value === 0x7fffffff ? null : value;
+      case 0x08: // float32
+        if (field.size !== 4) return null;
+        value = view.getFloat32(pos, le);
+        return view.getUint32(pos, le) === 0xffffffff || isNaN(value) ? null : value;
+      case 0x07: {
+        // string (null-terminated UTF-8)
+        const raw = new Uint8Array(view.buffer, view.byteOffset + pos, field.size);
+        const len = raw.indexOf(0) === -1 ? raw.length : raw.indexOf(0);
+        return len === 0 ? null : new TextDecoder().decode(raw.subarray(0, len));
+      }
+      default:
+        return null; // float64, arrays — not needed here
+    }
+  }
+
+  /**
+   * Decode a FIT activity into the SessionRecorder session shape, so an
+   * exported (or Karoo) FIT file can be re-imported.
+   * @param {Uint8Array|ArrayBuffer} input
+   * @returns {{startTime: number, samples: Array, laps: Array, lactateReadings: Array}}
+   */
+  static toSession(input) {
+    const M = FitFile.MESG;
+    const ms = (fitTs) => (fitTs + FitFile.EPOCH_OFFSET) * 1000;
+    const messages = FitFile.decode(input);
+
+    const records = messages.filter((m) => m.global === M.RECORD && m.fields[253] !== undefined);
+    if (records.length === 0) throw new Error("FIT file has no records");
+    const t0 = records[0].fields[253];
+
+    const lapMsgs = messages.filter((m) => m.global === M.LAP);
+    const lapStarts = lapMsgs.map((m) => m.fields[2] ?? t0);
+    const lapOf = (ts) => {
+      let n = 1;
+      lapStarts.forEach((start, i) => {
+        if (ts >= start) n = i + 1;
+      });
+      return n;
+    };
+
+    const samples = records.map((m) => {
+      const f = m.fields;
+      return {
+        t: ms(f[253]),
+        elapsed: f[253] - t0 + 1,
+        power: f[7] ?? 0,
+        power3s: 0,
+        heartRate: f[3] ?? 0,
+        cadence: f[4] ?? 0,
+        speed: f[6] !== undefined ? Math.round((f[6] / 1000) * 3.6 * 10) / 10 : 0,
+        distance: f[5] !== undefined ? f[5] / 100000 : 0,
+        elevation: f[2] !== undefined ? f[2] / 5 - 500 : 0,
+        grade: 0,
+        coreTemp:
+          m.dev.core_temperature !== undefined
+            ? Math.round(m.dev.core_temperature * 100) / 100
+            : 0,
+        vo2: 0,
+        lapNumber: lapOf(f[253]),
+        trainerTarget: null,
+        latitude: f[0] !== undefined ? f[0] * (180 / 2 ** 31) : 0,
+        longitude: f[1] !== undefined ? f[1] * (180 / 2 ** 31) : 0,
+      };
+    });
+
+    const laps = lapMsgs.map((m, i) => {
+      const f = m.fields;
+      const start = f[2] ?? t0;
+      return {
+        number: i + 1,
+        startTime: ms(start),
+        startElapsed: start - t0 + 1,
+        duration: Math.round((f[7] ?? 0) / 1000),
+        avgPower: f[19] ?? 0,
+        maxPower: f[20] ?? 0,
+        avgHeartRate: f[15] ?? 0,
+        maxHeartRate: f[16] ?? 0,
+        avgCadence: f[17] ?? 0,
+        distance: (f[9] ?? 0) / 100000,
+        lactate: null,
+        trainerTarget: null,
+      };
+    });
+
+    // Lactate developer field written by BravenDashboardExtension (or encode())
+    // (the same reading can land on two consecutive records around a 1 Hz tick)
+    const lactateReadings = records
+      .filter((m) => m.dev.Lactate !== undefined)
+      .map((m) => ({
+        t: ms(m.fields[253]),
+        elapsed: m.fields[253] - t0 + 1,
+        lapNumber: lapOf(m.fields[253]),
+        value: Math.round(m.dev.Lactate * 10) / 10,
+      }))
+      .filter(
+        (r, i, all) =>
+          i === 0 || r.value !== all[i - 1].value || r.elapsed - all[i - 1].elapsed > 2,
+      );
+    lactateReadings.forEach((r) => {
+      const lap = laps[r.lapNumber - 1];
+      if (lap) lap.lactate = r.value;
+    });
+
+    return { startTime: samples[0].t, samples, laps, lactateReadings };
+  }
+}
+
+/**
+ * Accumulates FIT definition + data messages and wraps them in the
+ * file header and CRC. Each global message gets its own local type.
+ */
+class FitWriter {
+  constructor() {
+    this._bytes = [];
+    this._localTypes = {}; // global → local message type
+    this._devFields = {}; // global → [fieldNum, name, type, units]
+  }
+
+  /** Developer data index of the fields we describe */
+  static get DEV_INDEX() {
+    return 0;
+  }
+
+  /**
+   * Describe developer fields (developer_data_id + field_description) and
+   * append them to every message of `global`. Call before its first write().
+   * @param {number} global - FitFile.MESG value
+   * @param {Array<Array>} fields - [fieldNum, name, type, units]
+   */
+  defineDeveloperFields(global, fields) {
+    const M = FitFile.MESG;
+    if (!(M.FIELD_DESCRIPTION in this._localTypes)) {
+      this.write(M.DEVELOPER_DATA_ID, { developerDataIndex: FitWriter.DEV_INDEX });
+    }
+    fields.forEach(([num, name, type, units]) => {
+      this.write(M.FIELD_DESCRIPTION, {
+        developerDataIndex: FitWriter.DEV_INDEX,
+        fieldDefinitionNumber: num,
+        fitBaseTypeId: FitFile.TYPE[type][0],
+        fieldName: name,
+        units,
+      });
+    });
+    this._devFields[global] = fields;
+  }
+
+  /**
+   * Append a data message (and its definition on first use).
+   * @param {number} global - FitFile.MESG value
+   * @param {Object} values - keyed by FitFile.LAYOUTS field name; null = invalid
+   * @param {Object} [devValues] - keyed by developer field name; null = invalid
+   */
+  write(global, values, devValues = {}) {
+    const layout = FitFile.LAYOUTS[global];
+    const devFields = this._devFields[global] || [];
+    if (!(global in this._localTypes)) {
+      const local = Object.keys(this._localTypes).length;
+      this._localTypes[global] = local;
+      this._define(local, global, layout, devFields);
+    }
+    this._bytes.push(this._localTypes[global]);
+    layout.forEach(([, name, type, scale]) => this._pushValue(values[name], type, scale));
+    devFields.forEach(([, name, type]) => this._pushValue(devValues[name], type, 1));
+  }
+
+  _define(local, global, layout, devFields) {
+    // definition (with developer fields), reserved, little-endian
+    this._bytes.push(0x40 | (devFields.length > 0 ? 0x20 : 0) | local, 0, 0);
+    this._push(global, 2);
+    this._bytes.push(layout.length);
+    layout.forEach(([num, , type]) => {
+      const [id, size] = FitFile.TYPE[type];
+      this._bytes.push(num, size, id);
+    });
+    if (devFields.length > 0) {
+      this._bytes.push(devFields.length);
+      devFields.forEach(([num, , type]) => {
+        this._bytes.push(num, FitFile.TYPE[type][1], FitWriter.DEV_INDEX);
+      });
+    }
+  }
+
+  _pushValue(v, type, scale) {
+    const [, size, invalid] = FitFile.TYPE[type];
+    if (type === "string") {
+      const text = new TextEncoder().encode(v || "").subarray(0, size - 1);
+      for (let i = 0; i < size; i++) this._bytes.push(i < text.length ? text[i] : 0);
+    } else if (v === null || v === undefined || isNaN(v)) {
+      this._push(invalid, size);
+    } else if (type === "float32") {
+      const view = new DataView(new ArrayBuffer(4));
+      view.setFloat32(0, v * scale, true);
+      this._push(view.getUint32(0, true), size);
+    } else {
+      this._push(Math.round(v * scale), size);
+    }
+  }
+
+  _push(value, size) {
+    for (let i = 0; i < size; i++) this._bytes.push((value >>> (8 * i)) & 0xff);
+  }
+
+  /**
+   * @returns {Uint8Array} complete file: header + records + CRC
+   */
+  finish() {
+    const dataSize = this._bytes.length;
+    const header = [14, 0x20, 0x54, 0x08]; // size, protocol 2.0 (developer fields), profile 21.32
+    for (let i = 0; i < 4; i++) header.push((dataSize >>> (8 * i)) & 0xff);
+    header.push(0x2e, 0x46, 0x49, 0x54); // ".FIT"
+    const headerCrc = FitFile.crc(header);
+    header.push(headerCrc & 0xff, headerCrc >> 8);
+
+    const out = new Uint8Array(14 + dataSize + 2);
+    out.set(header, 0);
+    out.set(this._bytes, 14);
+    const crc = FitFile.crc(out.subarray(0, 14 + dataSize));
+    out[14 + dataSize] = crc & 0xff;
+    out[15 + dataSize] = crc >> 8;
+    return out;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = FitFile;
+  module.exports.FitWriter = FitWriter;
+}
@@ -0,0 +1,195 @@
+/**
+ * Braven Lab Dashboard — Lab Devices
+ *
+ * Tracks several Karoos at once for the multi-athlete lab view: one
+ * BravenWebSocketClient per device (explicit "host:port"), the latest
+ * sample from each, the athlete name from its /api/profile, and whether the
+ * rig is live, stale (connected but silent) or disconnected.
+ *
+ * The device list is remembered in localStorage. No DOM dependencies.
+ */
+class LabDevices {
+  /**
+   * @param {Object} [options]
+   * @param {function(string): BravenWebSocketClient} [options.createClient]
+   * @param {function} [options.fetchFn] - fetch() implementation (mockable)
+   * @param {Storage|null} [options.storage] - defaults to localStorage
+   * @param {number} [options.staleAfter] - ms without data before a rig is stale
+   */
+  constructor(options = {}) {
+    this._createClient =
+      options.createClient || ((host) => new BravenWebSocketClient({ host }));
+    this._fetch = options.fetchFn || ((url, init) => fetch(url, init));
+    this._storage =
+      options.storage !== undefined
+        ? options.storage
+        : typeof localStorage !== "undefined"
+          ? localStorage
+          : null;
+    this._staleAfter = options.staleAfter || 5000;
+
+    this._devices = new Map(); // host → device
+    this._changeCallbacks = [];
+  }
+
+  static get STORAGE_KEY() {
+    return "braven.lab.devices";
+  }
+
+  static get DEFAULT_PORT() {
+    return 8080;
+  }
+
+  /**
+   * Reduce "http://192.168.1.20:8080/coach" (or a bare IP) to "host:port".
+   * @param {string} input
+   * @returns {string|null} null if it isn't a usable host
+   */
+  static normalizeHost(input) {
+    const text = String(input || "")
+      .trim()
+      .replace(/^[a-z]+:\/\//i, "")
+      .replace(/[/?#].*$/, "");
+    if (!/^[a-z0-9.-]+(:\d{1,5})?$/i.test(text)) return null;
+    return text.includes(":") ? text.toLowerCase() : `${text.toLowerCase()}:${LabDevices.DEFAULT_PORT}`;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // DEVICE LIST
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Connect to the remembered devices, or to `defaults` on first use.
+   * @param {string[]} [defaults]
+   */
+  restore(defaults = []) {
+    let hosts = null;
+    try {
+      hosts = this._storage && JSON.parse(this._storage.getItem(LabDevices.STORAGE_KEY));
+    } catch (err) {
+      console.warn("[Lab] Ignoring unreadable device list:", err);
+    }
+    (Array.isArray(hosts) ? hosts : defaults).forEach((host) => this.add(host));
+  }
+
+  /**
+   * Start following a Karoo.
+   * @param {string} input - host, host:port or URL
+   * @returns {string} the normalized host
+   * @throws {Error} if the host is invalid
+   */
+  add(input) {
+    const host = LabDevices.normalizeHost(input);
+    if (!host) throw new Error(`Not a Karoo address: ${input}`);
+    if (this._devices.has(host)) return host;
+
+    const device = {
+      host,
+      client: this._createClient(host),
+      connected: false,
+      everConnected: false,
+      data: null,
+      lastDataAt: null,
+      athlete: null,
+    };
+    this._devices.set(host, device);
+
+    device.client.onData((data) => {
+      device.data = data;
+      device.lastDataAt = Date.now();
+      this._notify();
+    });
+    device.client.onStatusChange((connected) => {
+      device.connected = connected;
+      if (connected) {
+        device.everConnected = true;
+        this._loadAthlete(device);
+      }
+      this._notify();
+    });
+    device.client.connect();
+
+    console.log(`[Lab] Following ${host}`);
+    this._persist();
+    this._notify();
+    return host;
+  }
+
+  /**
+   * Stop following a Karoo.
+   * @param {string} host
+   */
+  remove(host) {
+    const device = this._devices.get(host);
+    if (!device) return;
+    this._devices.delete(host);
+    device.client.disconnect();
+    console.log(`[Lab] Removed ${host}`);
+    this._persist();
+    this._notify();
+  }
+
+  /**
+   * Device snapshots for display, in the order they were added.
+   * @param {number} [now]
+   * @returns {Array<{host: string, status: string, data: Object|null,
+   *   athlete: string|null, ageMs: number|null}>}
+   *   status: 'connecting' | 'live' | 'stale' | 'disconnected'
+   */
+  list(now = Date.now()) {
+    return [...this._devices.values()].map((device) => ({
+      host: device.host,
+      status: this._status(device, now),
+      data: device.data,
+      athlete: device.athlete,
+      ageMs: device.lastDataAt !== null ? now - device.lastDataAt : null,
+    }));
+  }
+
+  /**
+   * Register a callback fired when any device's data or status changes.
+   * @param {function(LabDevices)} callback
+   */
+  onChange(callback) {
+    this._changeCallbacks.push(callback);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // INTERNALS
+  // ═══════════════════════════════════════════════════════
+
+  _status(device, now) {
+    if (!device.connected) return device.everConnected ? "disconnected" : "connecting";
+    if (device.lastDataAt === null || now - device.lastDataAt > this._staleAfter) return "stale";
+    return "live";
+  }
+
+  async _loadAthlete(device) {
+    try {
+      const res = await this._fetch(`http://${device.host}/api/profile`);
+      if (!res.ok) return;
+      const profile = await res.json();
+      device.athlete = profile.name || null;
+      this._notify();
+    } catch (err) {
+      console.warn(`[Lab] Profile unavailable for ${device.host}:`, err);
+    }
+  }
+
+  _persist() {
+    if (!this._storage) return;
+    try {
+      this._storage.setItem(LabDevices.STORAGE_KEY, JSON.stringify([...this._devices.keys()]));
+    } catch (err) {
+      console.warn("[Lab] Failed to save device list:", err);
+    }
+  }
+
+  _notify() {
+    this._changeCallbacks.forEach((cb) => cb(this));
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LabDevices;
+}
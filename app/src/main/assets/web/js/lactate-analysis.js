@@ -0,0 +1,234 @@
+/**
+ * Braven Lab Dashboard — Lactate Threshold Analysis
+ *
+ * Fits a polynomial lactate–power curve through completed laps and derives
+ * the standard threshold estimates, each with the heart rate at that power
+ * (interpolated from the lap data):
+ *
+ *   LT1      — first rise of baseline + 0.5 mmol/L (configurable)
+ *   LT2      — baseline + 1.5 mmol/L (configurable)
+ *   OBLA 2/4 — fixed 2.0 and 4.0 mmol/L concentrations
+ *   Dmax     — max distance between the curve and the line joining the first
+ *              and last *measured* points (Cheng 1992 joins the end points of
+ *              the fitted curve instead, so results differ slightly)
+ *   ModDmax  — as Dmax, but the line starts at the measured point preceding
+ *              the first rise > 0.4 mmol/L (Bishop 1998)
+ *
+ * Thresholds are only reported inside the measured power range — the curve
+ * is never extrapolated.
+ */
+class LactateAnalysis {
+  /** Analysis defaults */
+  static get DEFAULTS() {
+    return {
+      degree: 3,
+      lt1Delta: 0.5,
+      lt2Delta: 1.5,
+      modDmaxRise: 0.4,
+      resolution: 1, // watts per search step
+    };
+  }
+
+  /**
+   * Analyse lap history.
+   * @param {Array<Object>} laps - DashboardRenderer lap entries ({power, heartRate, lactate})
+   * @param {Object} [options] - see DEFAULTS
+   * @returns {Object|null} null when fewer than 3 laps carry a reading
+   */
+  static analyze(laps, options = {}) {
+    const opts = { ...LactateAnalysis.DEFAULTS, ...options };
+
+    const points = (laps || [])
+      .filter((l) => l.lactate != null && l.power > 0)
+      .map((l) => ({
+        power: l.power,
+        lactate: l.lactate,
+        heartRate: l.heartRate > 0 ? l.heartRate : null,
+      }))
+      .sort((a, b) => a.power - b.power);
+
+    if (points.length < 3) return null;
+
+    const degree = Math.min(opts.degree, points.length - 1);
+    const coefficients = LactateAnalysis.polyfit(
+      points.map((p) => p.power),
+      points.map((p) => p.lactate),
+      degree,
+    );
+    const curve = (x) => LactateAnalysis.polyval(coefficients, x);
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    const at = (power) =>
+      power === null
+        ? null
+        : {
+            power: Math.round(power),
+            lactate: Math.round(curve(power) * 100) / 100,
+            heartRate: LactateAnalysis._heartRateAt(points, power),
+          };
+
+    // Baseline = lowest measured reading; search for rises only beyond it
+    const baselinePoint = points.reduce((min, p) => (p.lactate < min.lactate ? p : min));
+    const search = (target) =>
+      LactateAnalysis._firstCrossing(curve, baselinePoint.power, last.power, target, opts.resolution);
+
+    return {
+      points,
+      degree,
+      coefficients,
+      range: [first.power, last.power],
+      baseline: baselinePoint.lactate,
+      thresholds: {
+        lt1: at(search(baselinePoint.lactate + opts.lt1Delta)),
+        lt2: at(search(baselinePoint.lactate + opts.lt2Delta)),
+        obla2: at(search(2.0)),
+        obla4: at(search(4.0)),
+        dmax: at(LactateAnalysis._dmax(curve, first, last, opts.resolution)),
+        modDmax: at(
+          LactateAnalysis._dmax(
+            curve,
+            LactateAnalysis._modDmaxStart(points, opts.modDmaxRise),
+            last,
+            opts.resolution,
+          ),
+        ),
+      },
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // CURVE FITTING
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Least-squares polynomial fit (normal equations, x scaled for conditioning).
+   * @param {number[]} xs
+   * @param {number[]} ys
+   * @param {number} degree
+   * @returns {{scale: number, terms: number[]}} terms[i] multiplies (x/scale)^i
+   */
+  static polyfit(xs, ys, degree) {
+    const scale = Math.max(...xs.map(Math.abs)) || 1;
+    const n = degree + 1;
+    const ata = Array.from({ length: n }, () => new Array(n).fill(0));
+    const aty = new Array(n).fill(0);
+
+    xs.forEach((x, k) => {
+      const xs_ = x / scale;
+      const pows = [];
+      for (let i = 0; i < n; i++) pows.push(Math.pow(xs_, i));
+      for (let i = 0; i < n; i++) {
+        aty[i] += pows[i] * ys[k];
+        for (let j = 0; j < n; j++) ata[i][j] += pows[i] * pows[j];
+      }
+    });
+
+    return { scale, terms: LactateAnalysis._solve(ata, aty) };
+  }
+
+  /**
+   * Evaluate a polyfit() result at x.
+   */
+  static polyval(coefficients, x) {
+    const xs = x / coefficients.scale;
+    return coefficients.terms.reduce((sum, c, i) => sum + c * Math.pow(xs, i), 0);
+  }
+
+  /** Gaussian elimination with partial pivoting */
+  static _solve(a, b) {
+    const n = b.length;
+    const m = a.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) {
+        if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+      }
+      [m[col], m[pivot]] = [m[pivot], m[col]];
+      const div = m[col][col] || 1e-12;
+      for (let r = 0; r < n; r++) {
+        if (r === col) continue;
+        const f = m[r][col] / div;
+        for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+      }
+    }
+    return m.map((row, i) => row[n] / (row[i] || 1e-12));
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // THRESHOLD SEARCH
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * First power in [from, to] where the curve rises through `target`.
+   */
+  static _firstCrossing(curve, from, to, target, step) {
+    let prevX = from;
+    let prevY = curve(from);
+    if (prevY >= target) return null; // already above at the start
+    for (let x = from + step; x <= to; x += step) {
+      const y = curve(x);
+      if (y >= target) {
+        // Linear interpolation within the step
+        return prevX + ((target - prevY) / (y - prevY)) * (x - prevX);
+      }
+      prevX = x;
+      prevY = y;
+    }
+    return null;
+  }
+
+  /**
+   * Power between two measured points where the chord lies furthest above
+   * the curve. With a fixed chord, perpendicular distance is proportional
+   * to vertical distance, so the vertical gap is maximised.
+   */
+  static _dmax(curve, start, end, step) {
+    if (!start || end.power <= start.power) return null;
+    const slope = (end.lactate - start.lactate) / (end.power - start.power);
+    let best = null;
+    let bestGap = 0;
+    for (let x = start.power; x <= end.power; x += step) {
+      const gap = start.lactate + slope * (x - start.power) - curve(x);
+      if (gap > bestGap) {
+        bestGap = gap;
+        best = x;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Point preceding the first increase greater than `rise` between
+   * consecutive measurements (Bishop's modified Dmax start point).
+   */
+  static _modDmaxStart(points, rise) {
+    for (let i = 1; i < points.length; i++) {
+      if (points[i].lactate - points[i - 1].lactate > rise) return points[i - 1];
+    }
+    return null;
+  }
+
+  /**
+   * Heart rate at a power, linearly interpolated between laps
+   * (extrapolated from the nearest segment at the ends).
+   */
+  static _heartRateAt(points, power) {
+    const hr = points.filter((p) => p.heartRate !== null);
+    if (hr.length === 0) return null;
+    if (hr.length === 1) return hr[0].heartRate;
+
+    let i = hr.findIndex((p) => p.power >= power);
+    if (i === -1) i = hr.length - 1;
+    else if (i === 0) i = 1;
+    const a = hr[i - 1];
+    const b = hr[i];
+    if (b.power === a.power) return Math.round((a.heartRate + b.heartRate) / 2);
+    const t = (power - a.power) / (b.power - a.power);
+    return Math.round(a.heartRate + t * (b.heartRate - a.heartRate));
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LactateAnalysis;
+}
@@ -0,0 +1,295 @@
+/**
+ * Braven Lab Dashboard — Incremental Lactate Step-Test Protocol
+ *
+ * Runs a graded step test on top of WorkoutEngine: each stage is an ERG
+ * step, a lap is marked on the Karoo at every stage boundary, and the coach
+ * is prompted to draw blood `drawOffset` seconds before the stage ends.
+ * Readings are matched to the oldest stage still waiting for one; a stage
+ * with no reading `graceSeconds` after it ends is flagged incomplete.
+ */
+class LactateProtocol {
+  /**
+   * @param {WorkoutEngine} engine - drives the trainer
+   */
+  constructor(engine) {
+    this._engine = engine;
+    this._client = null;
+
+    this._config = null;
+    this._stages = [];
+    this._running = false;
+    this._currentStage = -1;
+    this._lastElapsed = 0;
+    this._lastLapNumber = null;
+    this._lastLactateTimestamp = null;
+    this._hasSample = false;
+
+    this._promptCallbacks = [];
+    this._stageCallbacks = [];
+
+    this._engine.onStepChange((step, index) => this._onStageStart(index));
+    this._engine.onChange((snapshot) => this._onEngineChange(snapshot));
+  }
+
+  /** Default protocol — 50 W start, +25 W every 4 min, draw 30 s before end */
+  static get DEFAULTS() {
+    return {
+      startWatts: 50,
+      increment: 25,
+      stageSeconds: 240,
+      drawOffset: 30,
+      maxStages: 12,
+      graceSeconds: 90,
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // CONTROL
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Start the protocol. Marks a lap so stage 1 begins on a clean lap.
+   * @param {Object} config - see DEFAULTS
+   */
+  start(config) {
+    this._config = { ...LactateProtocol.DEFAULTS, ...config };
+    const c = this._config;
+
+    this._stages = [];
+    const blocks = [];
+    for (let i = 0; i < c.maxStages; i++) {
+      const watts = c.startWatts + i * c.increment;
+      blocks.push({
+        type: "step",
+        label: `Stage ${i + 1}`,
+        duration: c.stageSeconds,
+        target: { watts },
+      });
+      this._stages.push({
+        number: i + 1,
+        watts,
+        lapNumber: null,
+        startElapsed: null,
+        endElapsed: null,
+        prompted: false,
+        lactate: null,
+        lactateTimestamp: null,
+        incomplete: false,
+      });
+    }
+
+    this._currentStage = -1;
+    this._engine.load(blocks, "Lactate Step Test");
+    // Set after load(): its idle notification must not read as "stopped"
+    this._running = true;
+    this._engine.start();
+    console.log(
+      `[Protocol] Started: ${c.startWatts} W +${c.increment} W / ${c.stageSeconds}s`,
+    );
+  }
+
+  /**
+   * End the test (e.g. at exhaustion). The stage in progress still gets
+   * its grace period for a final reading.
+   */
+  stop() {
+    if (!this._running) return;
+    this._closeStage(this._currentStage);
+    this._running = false;
+    this._engine.stop();
+    this._notifyStage();
+  }
+
+  isRunning() {
+    return this._running;
+  }
+
+  /**
+   * Configuration of the protocol last started (kept after it stops).
+   * @returns {Object|null}
+   */
+  getConfig() {
+    return this._config ? { ...this._config } : null;
+  }
+
+  /**
+   * Completed and in-progress stages.
+   * @returns {Array<Object>}
+   */
+  getStages() {
+    return this._stages.filter((s) => s.startElapsed !== null);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // EVENTS
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Register a callback for blood-draw prompts.
+   * @param {function(Object|null)} callback - stage to draw for, or null to clear
+   */
+  onPrompt(callback) {
+    this._promptCallbacks.push(callback);
+  }
+
+  /**
+   * Register a callback fired when any stage record changes.
+   * @param {function(Array<Object>)} callback - getStages()
+   */
+  onStageUpdate(callback) {
+    this._stageCallbacks.push(callback);
+  }
+
+  /**
+   * Follow a client's samples and mark stage laps through it.
+   * @param {BravenWebSocketClient} client
+   */
+  attach(client) {
+    this._client = client;
+    client.onData((data) => this.update(data));
+  }
+
+  /**
+   * Feed a SessionState sample — tracks lap numbers, incoming
+   * lactate readings and grace-period expiry.
+   * @param {Object} data
+   */
+  update(data) {
+    if (data.elapsedTime !== undefined) this._lastElapsed = data.elapsedTime;
+
+    // Karoo confirms the lap we requested at the stage boundary
+    if (data.lapNumber !== undefined && data.lapNumber !== this._lastLapNumber) {
+      const increased =
+        this._lastLapNumber !== null && data.lapNumber > this._lastLapNumber;
+      this._lastLapNumber = data.lapNumber;
+      const stage = this._stages[this._currentStage];
+      if (this._running && increased && stage && stage.lapNumber === null) {
+        stage.lapNumber = data.lapNumber;
+        this._notifyStage();
+      }
+    }
+
+    // New reading (lactateTimestamp changes on every submission)
+    // (the first sample only establishes the baseline)
+    if (
+      data.lactateTimestamp !== undefined &&
+      data.lactateTimestamp !== this._lastLactateTimestamp
+    ) {
+      this._lastLactateTimestamp = data.lactateTimestamp;
+      if (this._hasSample && data.lactate != null) {
+        this._assignReading(data.lactate, data.lactateTimestamp);
+      }
+    }
+    this._hasSample = true;
+
+    this._expireStages();
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // INTERNALS
+  // ═══════════════════════════════════════════════════════
+
+  _onStageStart(index) {
+    if (!this._running || index < 0) return;
+    this._closeStage(this._currentStage);
+    this._currentStage = index;
+
+    const stage = this._stages[index];
+    stage.startElapsed = this._lastElapsed;
+    this._markLap();
+    this._notifyStage();
+  }
+
+  _onEngineChange(snapshot) {
+    if (!this._running) return;
+
+    // Workout stopped from the trainer panel, or final stage completed
+    if (snapshot.state === "idle" || snapshot.state === "finished") {
+      this.stop();
+      return;
+    }
+
+    const stage = this._stages[this._currentStage];
+    if (stage && !stage.prompted && snapshot.stepRemaining <= this._config.drawOffset) {
+      stage.prompted = true;
+      console.log(`[Protocol] Draw prompt for stage ${stage.number}`);
+      this._promptCallbacks.forEach((cb) => cb(stage));
+    }
+  }
+
+  _closeStage(index) {
+    const stage = this._stages[index];
+    if (stage && stage.endElapsed === null) {
+      stage.endElapsed = this._lastElapsed;
+      // Stopped before the draw point — still ask for an exhaustion sample
+      if (!stage.prompted) {
+        stage.prompted = true;
+        this._promptCallbacks.forEach((cb) => cb(stage));
+      }
+    }
+  }
+
+  /**
+   * Match a reading to the oldest stage still waiting for one;
+   * readings entered before any prompt go to the current stage.
+   */
+  _assignReading(value, timestamp) {
+    const target =
+      this._stages.find(
+        (s) => s.prompted && s.lactate === null && !s.incomplete,
+      ) || (this._running ? this._stages[this._currentStage] : null);
+    if (!target) return;
+
+    target.lactate = value;
+    target.lactateTimestamp = timestamp;
+    console.log(`[Protocol] Stage ${target.number}: ${value} mmol/L`);
+
+    const waiting = this._stages.find(
+      (s) => s.prompted && s.lactate === null && !s.incomplete,
+    );
+    this._promptCallbacks.forEach((cb) => cb(waiting || null));
+    this._notifyStage();
+  }
+
+  _expireStages() {
+    if (!this._config) return;
+    let changed = false;
+    this._stages.forEach((s) => {
+      if (
+        s.endElapsed !== null &&
+        s.lactate === null &&
+        !s.incomplete &&
+        this._lastElapsed - s.endElapsed > this._config.graceSeconds
+      ) {
+        s.incomplete = true;
+        changed = true;
+        console.warn(`[Protocol] Stage ${s.number} incomplete — no lactate reading`);
+      }
+    });
+    if (changed) {
+      const waiting = this._stages.find(
+        (s) => s.prompted && s.lactate === null && !s.incomplete,
+      );
+      this._promptCallbacks.forEach((cb) => cb(waiting || null));
+      this._notifyStage();
+    }
+  }
+
+  _markLap() {
+    Promise.resolve()
+      .then(() => {
+        if (!this._client) throw new Error("No Karoo client attached");
+        return this._client.markLap();
+      })
+      .catch((err) => console.error("[Protocol] Failed to mark lap:", err));
+  }
+
+  _notifyStage() {
+    const stages = this.getStages();
+    this._stageCallbacks.forEach((cb) => cb(stages));
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LactateProtocol;
+}
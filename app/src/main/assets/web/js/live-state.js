@@ -0,0 +1,76 @@
+/**
+ * Braven Lab Dashboard — Live State
+ *
+ * Client-side copy of the Karoo's SessionState for protocol 2 of the /live
+ * WebSocket: a full snapshot, then numbered deltas carrying only the fields
+ * that changed. Merges them in order and reports a gap in the sequence so
+ * the client can ask for a new snapshot.
+ *
+ * Full states from protocol 1 servers (or /api/history) replace the state
+ * without touching the sequence. No DOM dependencies.
+ */
+class LiveState {
+  constructor() {
+    this._state = null;
+    this._seq = null; // null until a snapshot anchors the delta stream
+  }
+
+  /**
+   * Start over from a full snapshot.
+   * @param {Object} state
+   * @param {number} seq
+   */
+  applySnapshot(state, seq) {
+    this._state = { ...state };
+    this._seq = seq;
+  }
+
+  /**
+   * Merge a delta.
+   * @param {Object} changes - changed fields
+   * @param {number} seq
+   * @returns {'applied'|'stale'|'gap'} 'stale' for a delta already covered
+   *   by the snapshot (or with no snapshot to apply to), 'gap' if deltas
+   *   were missed — the state is left as it was until the next snapshot
+   */
+  applyDelta(changes, seq) {
+    if (this._seq === null || seq <= this._seq) return "stale";
+    if (seq !== this._seq + 1) {
+      this._seq = null;
+      return "gap";
+    }
+    Object.assign(this._state, changes);
+    this._seq = seq;
+    return "applied";
+  }
+
+  /**
+   * Replace the state with a full protocol 1 message.
+   * @param {Object} state
+   */
+  replace(state) {
+    this._state = { ...state };
+  }
+
+  /**
+   * Ignore deltas until the next snapshot (e.g. on a new connection) while
+   * keeping the last known state readable.
+   */
+  invalidate() {
+    this._seq = null;
+  }
+
+  /** @returns {Object|null} copy of the current state */
+  getState() {
+    return this._state ? { ...this._state } : null;
+  }
+
+  /** @returns {number|null} seq of the last merged snapshot or delta */
+  getSeq() {
+    return this._seq;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = LiveState;
+}
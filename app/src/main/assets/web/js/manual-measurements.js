@@ -0,0 +1,300 @@
+/**
+ * Braven Lab Dashboard — Manual Measurements
+ *
+ * Subjective and point-of-care readings taken alongside lactate: Borg RPE
+ * (6–20 or CR10), leg and breathing ratings, blood glucose. Each type has
+ * its own unit, range and stepper increment; the set is configurable and
+ * remembered per display in localStorage.
+ *
+ *   Type         {key, label, short, unit, min, max, step, enabled}
+ *                short — lap table column / export label, e.g. "RPE"
+ *   Measurement  {id, t, elapsed, lap, type, value, unit}
+ *
+ * Measurements are stored on the Karoo (/api/measurements), which stamps
+ * them with elapsed time and lap and broadcasts additions/deletions to
+ * every connected dashboard, like SessionNotes. No DOM dependencies.
+ */
+class ManualMeasurements {
+  /**
+   * @param {Object} [options]
+   * @param {function} [options.fetchFn] - fetch() implementation (mockable)
+   * @param {Storage|null} [options.storage] - defaults to localStorage
+   */
+  constructor(options = {}) {
+    this._fetch = options.fetchFn || ((url, init) => fetch(url, init));
+    this._storage =
+      options.storage !== undefined
+        ? options.storage
+        : typeof localStorage !== "undefined"
+          ? localStorage
+          : null;
+
+    this._types = ManualMeasurements.DEFAULT_TYPES;
+    this._measurements = [];
+    this._changeCallbacks = [];
+  }
+
+  static get STORAGE_KEY() {
+    return "braven.measurements.types";
+  }
+
+  /** Built-in types; CR10 RPE and glucose start disabled */
+  static get DEFAULT_TYPES() {
+    return [
+      { key: "rpe", label: "RPE (Borg 6–20)", short: "RPE", unit: "", min: 6, max: 20, step: 1, enabled: true },
+      { key: "cr10", label: "RPE (CR10)", short: "CR10", unit: "", min: 0, max: 10, step: 0.5, enabled: false },
+      { key: "legs", label: "Legs (CR10)", short: "Legs", unit: "", min: 0, max: 10, step: 1, enabled: true },
+      { key: "breathing", label: "Breathing (CR10)", short: "Breath", unit: "", min: 0, max: 10, step: 1, enabled: true },
+      { key: "glucose", label: "Glucose", short: "Glu", unit: "mmol/L", min: 0, max: 30, step: 0.1, enabled: false },
+    ];
+  }
+
+  /**
+   * Fill in defaults and check a type.
+   * @param {Object} type
+   * @returns {Object}
+   * @throws {Error} if the key, range or step is invalid
+   */
+  static normalizeType(type) {
+    const key = String(type.key || "").trim();
+    if (!/^[a-z0-9-]{1,24}$/.test(key)) {
+      throw new Error(`Key must be 1-24 lowercase letters, digits or dashes: "${key}"`);
+    }
+    const min = Number(type.min);
+    const max = Number(type.max);
+    const step = Number(type.step);
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+      throw new Error(`${key}: min must be below max`);
+    }
+    if (!(step > 0) || step > max - min) throw new Error(`${key}: step must be between 0 and max − min`);
+    const label = String(type.label || "").trim() || key;
+    return {
+      key,
+      label,
+      short: String(type.short || "").trim() || label,
+      unit: String(type.unit || "").trim().slice(0, 16),
+      min,
+      max,
+      step,
+      enabled: type.enabled !== false,
+    };
+  }
+
+  /**
+   * Display text of a measurement: short label, value and unit, e.g.
+   * "RPE 15", "Glu 5.4 mmol/L". Unknown types fall back to their key.
+   * @param {Object} measurement
+   * @param {Array<Object>} [types]
+   * @returns {string}
+   */
+  static label(measurement, types = ManualMeasurements.DEFAULT_TYPES) {
+    const type = types.find((t) => t.key === measurement.type);
+    const value = ManualMeasurements.format(measurement.value, type);
+    const unit = measurement.unit || (type ? type.unit : "");
+    return `${type ? type.short : measurement.type} ${value}${unit ? ` ${unit}` : ""}`;
+  }
+
+  /**
+   * A value with as many decimals as the type's step.
+   * @param {number} value
+   * @param {Object} [type]
+   * @returns {string}
+   */
+  static format(value, type) {
+    const step = type ? type.step : 1;
+    const decimals = (String(step).split(".")[1] || "").length;
+    return Number(value).toFixed(decimals);
+  }
+
+  /**
+   * Latest value of each type per lap.
+   * @param {Array<Object>} measurements
+   * @param {number} lapNumber
+   * @returns {Object} type key → value
+   */
+  static forLap(measurements, lapNumber) {
+    const values = {};
+    (measurements || [])
+      .filter((m) => m.lap === lapNumber)
+      .forEach((m) => {
+        values[m.type] = m.value;
+      });
+    return values;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // TYPES
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Load the types saved on this display, if any.
+   */
+  restore() {
+    try {
+      const saved = this._storage && JSON.parse(this._storage.getItem(ManualMeasurements.STORAGE_KEY));
+      if (Array.isArray(saved)) this._types = saved.map(ManualMeasurements.normalizeType);
+    } catch (err) {
+      console.warn("[Measure] Ignoring saved types:", err);
+    }
+  }
+
+  /** @returns {Array<Object>} copies of the configured types */
+  getTypes() {
+    return this._types.map((t) => ({ ...t }));
+  }
+
+  /** @returns {Array<Object>} types offered in the panel and lap table */
+  getEnabledTypes() {
+    return this.getTypes().filter((t) => t.enabled);
+  }
+
+  /**
+   * Replace the type set.
+   * @param {Array<Object>} types
+   * @throws {Error} if a type is invalid or a key is repeated (nothing is changed)
+   */
+  setTypes(types) {
+    const normalized = types.map(ManualMeasurements.normalizeType);
+    const keys = new Set();
+    normalized.forEach((t) => {
+      if (keys.has(t.key)) throw new Error(`Duplicate key: ${t.key}`);
+      keys.add(t.key);
+    });
+    this._types = normalized;
+    if (this._storage) {
+      try {
+        this._storage.setItem(ManualMeasurements.STORAGE_KEY, JSON.stringify(this._types));
+      } catch (err) {
+        console.warn("[Measure] Failed to save types:", err);
+      }
+    }
+    this._notify("types");
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // SYNC
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Follow measurement events from a BravenWebSocketClient, reloading the
+   * list on every (re)connect to pick up anything missed meanwhile.
+   * @param {BravenWebSocketClient} client
+   */
+  attach(client) {
+    client.onEvent((event) => {
+      if (event.type === "measurement") {
+        this._upsert(event.measurement);
+      } else if (event.type === "measurementDeleted") {
+        this._remove(event.id);
+      } else if (event.type === "measurementsCleared") {
+        this._measurements = [];
+        this._notify("clear");
+      }
+    });
+    client.onStatusChange((connected) => {
+      if (connected) this.load();
+    });
+  }
+
+  /**
+   * Replace the local list with the Karoo's.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const res = await this._fetch("/api/measurements");
+      if (!res.ok) return;
+      const body = await res.json();
+      this._measurements = (body.measurements || []).sort((a, b) => a.id - b.id);
+      this._notify("load");
+    } catch (err) {
+      console.warn("[Measure] Failed to load measurements:", err);
+    }
+  }
+
+  /**
+   * Record a value at the current ride time.
+   * @param {string} key - type key
+   * @param {number} value
+   * @returns {Promise<Object>} the stored measurement
+   * @throws {Error} if the value is out of range, or the Karoo rejects it or
+   *   can't be reached
+   */
+  async add(key, value) {
+    const type = this._types.find((t) => t.key === key);
+    if (!type) throw new Error(`Unknown measurement: ${key}`);
+    if (!(value >= type.min && value <= type.max)) {
+      throw new Error(`${type.label} must be ${type.min}–${type.max}`);
+    }
+    const res = await this._fetch("/api/measurements", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ type: key, value, unit: type.unit }),
+    });
+    const body = await res.json();
+    if (!res.ok || !body.success) throw new Error(body.message || `HTTP ${res.status}`);
+    const m = body.measurement;
+    console.log(`[Measure] ${ManualMeasurements.label(m, this._types)} at ${m.elapsed}s (lap ${m.lap})`);
+    this._upsert(m);
+    return m;
+  }
+
+  /**
+   * Delete a measurement.
+   * @param {number} id
+   * @returns {Promise<void>}
+   * @throws {Error} if the Karoo rejects it or can't be reached
+   */
+  async remove(id) {
+    const res = await this._fetch("/api/measurements/delete", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ id }),
+    });
+    const body = await res.json();
+    if (!res.ok || !body.success) throw new Error(body.message || `HTTP ${res.status}`);
+    this._remove(id);
+  }
+
+  /** @returns {Array<Object>} measurements, oldest first */
+  getMeasurements() {
+    return [...this._measurements];
+  }
+
+  /**
+   * Register a callback fired when the measurements or the types change.
+   * @param {function(Array<Object>, string)} callback - (measurements, reason)
+   *   where reason is 'load' | 'add' | 'delete' | 'clear' (the Karoo started
+   *   a new ride) | 'types'
+   */
+  onChange(callback) {
+    this._changeCallbacks.push(callback);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // INTERNALS
+  // ═══════════════════════════════════════════════════════
+
+  // Our own POST response and its broadcast both arrive — keep one copy
+  _upsert(measurement) {
+    if (this._measurements.some((m) => m.id === measurement.id)) return;
+    this._measurements.push(measurement);
+    this._measurements.sort((a, b) => a.id - b.id);
+    this._notify("add");
+  }
+
+  _remove(id) {
+    const before = this._measurements.length;
+    this._measurements = this._measurements.filter((m) => m.id !== id);
+    if (this._measurements.length !== before) this._notify("delete");
+  }
+
+  _notify(reason) {
+    const measurements = this.getMeasurements();
+    this._changeCallbacks.forEach((cb) => cb(measurements, reason));
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ManualMeasurements;
+}
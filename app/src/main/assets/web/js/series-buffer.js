@@ -0,0 +1,161 @@
+/**
+ * Braven Lab Dashboard — Series Buffer
+ *
+ * Append-only numeric series for the sparklines, sized for multi-hour
+ * sessions:
+ *
+ *   - Chunked Float32Array storage: appends never copy the existing data
+ *   - Incremental extents: min / max are maintained on push, O(1) to read
+ *   - Min/max decimation: reduces any length to one {min, max, last} bucket
+ *     per pixel column, written into reused typed arrays so a redraw
+ *     allocates nothing
+ *
+ * Pure data structure, no DOM — usable from Node.
+ */
+class SeriesBuffer {
+  /**
+   * @param {number} [chunkSize] - values per storage chunk
+   */
+  constructor(chunkSize = SeriesBuffer.CHUNK_SIZE) {
+    this._chunkSize = chunkSize;
+    this._chunks = [];
+    this.length = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+
+    // Decimation output, reused between frames
+    this._columns = {
+      count: 0,
+      min: new Float32Array(0),
+      max: new Float32Array(0),
+      last: new Float32Array(0),
+      minFirst: new Uint8Array(0),
+    };
+  }
+
+  /** Default chunk length (1 h 8 min at 1 Hz) */
+  static get CHUNK_SIZE() {
+    return 4096;
+  }
+
+  /**
+   * Build a buffer from an array of values.
+   * @param {number[]} values
+   * @returns {SeriesBuffer}
+   */
+  static from(values) {
+    const buffer = new SeriesBuffer();
+    for (let i = 0; i < values.length; i++) buffer.push(values[i]);
+    return buffer;
+  }
+
+  /**
+   * Append a value.
+   * @param {number} value
+   */
+  push(value) {
+    const offset = this.length % this._chunkSize;
+    if (offset === 0) this._chunks.push(new Float32Array(this._chunkSize));
+    this._chunks[this._chunks.length - 1][offset] = value;
+    this.length++;
+    if (value < this.min) this.min = value;
+    if (value > this.max) this.max = value;
+  }
+
+  /**
+   * Value at index `i` (no bounds check).
+   * @param {number} i
+   * @returns {number}
+   */
+  get(i) {
+    return this._chunks[(i / this._chunkSize) | 0][i % this._chunkSize];
+  }
+
+  /** @returns {number|undefined} the most recent value */
+  last() {
+    return this.length > 0 ? this.get(this.length - 1) : undefined;
+  }
+
+  clear() {
+    this._chunks = [];
+    this.length = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+  }
+
+  /** @returns {number[]} a plain copy (exports, tests) */
+  toArray() {
+    const out = new Array(this.length);
+    for (let i = 0; i < this.length; i++) out[i] = this.get(i);
+    return out;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // DECIMATION
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Reduce the series to at most `maxColumns` buckets of consecutive
+   * values. Each bucket keeps its min, max, last value and whether the min
+   * came before the max, so a line drawn min→max (or max→min) then to the
+   * next bucket keeps every spike visible. Series shorter than
+   * `maxColumns` get one bucket per value.
+   *
+   * The returned object is owned by the buffer and overwritten by the next
+   * call — draw from it immediately.
+   *
+   * @param {number} maxColumns - typically the canvas width in pixels
+   * @returns {{count: number, min: Float32Array, max: Float32Array,
+   *   last: Float32Array, minFirst: Uint8Array}}
+   */
+  decimate(maxColumns) {
+    const n = this.length;
+    const count = Math.max(0, Math.min(n, Math.floor(maxColumns)));
+    const cols = this._columns;
+    if (cols.min.length < count) {
+      cols.min = new Float32Array(count);
+      cols.max = new Float32Array(count);
+      cols.last = new Float32Array(count);
+      cols.minFirst = new Uint8Array(count);
+    }
+    cols.count = count;
+
+    const size = this._chunkSize;
+    let chunkIndex = 0;
+    let chunk = this._chunks[0];
+    let offset = 0;
+    let i = 0;
+    for (let c = 0; c < count; c++) {
+      const end = Math.floor(((c + 1) * n) / count);
+      let lo = Infinity;
+      let hi = -Infinity;
+      let loAt = 0;
+      let hiAt = 0;
+      let v = 0;
+      for (; i < end; i++) {
+        if (offset === size) {
+          chunk = this._chunks[++chunkIndex];
+          offset = 0;
+        }
+        v = chunk[offset++];
+        if (v < lo) {
+          lo = v;
+          loAt = i;
+        }
+        if (v > hi) {
+          hi = v;
+          hiAt = i;
+        }
+      }
+      cols.min[c] = lo;
+      cols.max[c] = hi;
+      cols.last[c] = v;
+      cols.minFirst[c] = loAt <= hiAt ? 1 : 0;
+    }
+    return cols;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SeriesBuffer;
+}
@@ -0,0 +1,566 @@
+/**
+ * Braven Lab Dashboard — Interactive Session Chart
+ *
+ * Full-size chart over a recorded session (SessionRecorder shape) with a
+ * shared elapsed-time axis:
+ *   - power (left axis), heart rate (right axis), cadence and VO2 (own scales)
+ *   - lactate readings as labelled points
+ *   - lap boundary shading and trainer target overlay
+ *   - coach notes as labelled event markers
+ *   - cursor readout, wheel/drag pan & zoom, double-click to reset
+ *   - follow windows (last 1/5/20 min) or the whole session
+ */
+class SessionChart {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   */
+  constructor(canvas) {
+    this._canvas = canvas;
+    this._ctx = canvas.getContext("2d");
+    this._source = () => null;
+
+    this._series = {
+      power: true,
+      hr: true,
+      cadence: false,
+      vo2: false,
+      lactate: true,
+      target: true,
+      notes: true,
+    };
+    this._window = null; // seconds; null = whole session
+    this._follow = true; // view tracks the newest sample
+    this._view = null; // [startElapsed, endElapsed] when not following
+    this._cursorX = null;
+    this._drag = null;
+    this._frame = null;
+
+    this._colors = {
+      power: "#a855f7",
+      hr: "#f43f5e",
+      cadence: "#3b82f6",
+      vo2: "#06b6d4",
+      lactate: "#fb7185",
+      target: "#f59e0b",
+      notes: "#38bdf8",
+      grid: "rgba(255, 255, 255, 0.06)",
+      axis: "#737373",
+      lapShade: "rgba(255, 255, 255, 0.025)",
+      lapLine: "rgba(245, 158, 11, 0.35)",
+    };
+    this._margin = { left: 44, right: 40, top: 14, bottom: 22 };
+
+    this._bindEvents();
+  }
+
+  /** Available follow windows (seconds; null = whole session) */
+  static get WINDOWS() {
+    return { "1m": 60, "5m": 300, "20m": 1200, all: null };
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Provide the session to draw; called on every render.
+   * @param {function(): Object|null} source
+   */
+  setSource(source) {
+    this._source = source;
+    this.render();
+  }
+
+  /**
+   * Follow the last `seconds` of the session (null = whole session).
+   * @param {number|null} seconds
+   */
+  setWindow(seconds) {
+    this._window = seconds;
+    this._follow = true;
+    this._view = null;
+    this.render();
+  }
+
+  /**
+   * Show or hide a series.
+   * @param {'power'|'hr'|'cadence'|'vo2'|'lactate'|'target'|'notes'} name
+   * @param {boolean} visible
+   */
+  setSeries(name, visible) {
+    if (!(name in this._series)) return;
+    this._series[name] = visible;
+    this.render();
+  }
+
+  isFollowing() {
+    return this._follow;
+  }
+
+  /**
+   * Schedule a redraw on the next animation frame.
+   */
+  render() {
+    if (this._frame) return;
+    const raf =
+      typeof requestAnimationFrame !== "undefined"
+        ? requestAnimationFrame
+        : (fn) => setTimeout(fn, 16);
+    this._frame = raf(() => {
+      this._frame = null;
+      this._draw();
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // INTERACTION
+  // ═══════════════════════════════════════════════════════
+
+  _bindEvents() {
+    const c = this._canvas;
+    c.style.touchAction = "none";
+
+    c.addEventListener(
+      "wheel",
+      (e) => {
+        e.preventDefault();
+        const range = this._currentRange();
+        if (!range) return;
+        const at = this._elapsedAt(e.offsetX, range);
+        const factor = e.deltaY > 0 ? 1.25 : 0.8;
+        this._setView([at - (at - range[0]) * factor, at + (range[1] - at) * factor]);
+      },
+      { passive: false },
+    );
+
+    c.addEventListener("pointerdown", (e) => {
+      const range = this._currentRange();
+      if (!range) return;
+      c.setPointerCapture(e.pointerId);
+      this._drag = { x: e.offsetX, range };
+    });
+
+    c.addEventListener("pointermove", (e) => {
+      this._cursorX = e.offsetX;
+      if (this._drag) {
+        const { x, range } = this._drag;
+        const perPx = (range[1] - range[0]) / this._plotWidth();
+        const shift = (x - e.offsetX) * perPx;
+        if (Math.abs(e.offsetX - x) > 2) this._setView([range[0] + shift, range[1] + shift]);
+      }
+      this.render();
+    });
+
+    const endDrag = () => {
+      this._drag = null;
+    };
+    c.addEventListener("pointerup", endDrag);
+    c.addEventListener("pointercancel", endDrag);
+    c.addEventListener("pointerleave", () => {
+      this._cursorX = null;
+      this.render();
+    });
+
+    c.addEventListener("dblclick", () => this.setWindow(null));
+
+    if (typeof ResizeObserver !== "undefined") {
+      new ResizeObserver(() => this.render()).observe(c);
+    }
+  }
+
+  /**
+   * Manual pan/zoom: stop following and clamp to the recorded range.
+   */
+  _setView([start, end]) {
+    const bounds = this._dataBounds();
+    if (!bounds) return;
+    const span = Math.max(10, Math.min(end - start, bounds[1] - bounds[0] || 10));
+    start = Math.max(bounds[0], Math.min(start, bounds[1] - span));
+    this._view = [start, start + span];
+    // Panned back to the live edge — resume following
+    this._follow = start + span >= bounds[1];
+    if (this._follow) this._window = span;
+    this.render();
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // GEOMETRY
+  // ═══════════════════════════════════════════════════════
+
+  _samples() {
+    const session = this._source();
+    return session && session.samples ? session.samples : [];
+  }
+
+  _dataBounds() {
+    const samples = this._samples();
+    if (samples.length === 0) return null;
+    return [samples[0].elapsed, samples[samples.length - 1].elapsed];
+  }
+
+  _currentRange() {
+    const bounds = this._dataBounds();
+    if (!bounds) return null;
+    if (!this._follow && this._view) return this._view;
+    if (this._window === null) return [bounds[0], Math.max(bounds[1], bounds[0] + 10)];
+    return [bounds[1] - this._window, bounds[1]];
+  }
+
+  _plotWidth() {
+    return this._canvas.clientWidth - this._margin.left - this._margin.right;
+  }
+
+  _elapsedAt(x, range) {
+    const t = (x - this._margin.left) / this._plotWidth();
+    return range[0] + t * (range[1] - range[0]);
+  }
+
+  /** Index of the first sample with elapsed >= t (samples are ordered) */
+  static _lowerBound(samples, t) {
+    let lo = 0;
+    let hi = samples.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (samples[mid].elapsed < t) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  static _extent(samples, key, from, to) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = from; i < to; i++) {
+      const v = samples[i][key];
+      if (v === null || v === undefined || !(v > 0)) continue;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+    return min === Infinity ? null : [min, max];
+  }
+
+  static _tickStep(span, maxTicks) {
+    const steps = [5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200];
+    return steps.find((s) => span / s <= maxTicks) || 7200;
+  }
+
+  static _formatElapsed(sec) {
+    const s = Math.max(0, Math.round(sec));
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    const pad = (n) => n.toString().padStart(2, "0");
+    return h > 0 ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // DRAWING
+  // ═══════════════════════════════════════════════════════
+
+  _draw() {
+    const canvas = this._canvas;
+    const dpr = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (width === 0 || height === 0) return;
+    if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+      canvas.width = Math.round(width * dpr);
+      canvas.height = Math.round(height * dpr);
+    }
+    const ctx = this._ctx;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const session = this._source();
+    const samples = session && session.samples ? session.samples : [];
+    const range = this._currentRange();
+    const m = this._margin;
+    const plot = { x: m.left, y: m.top, w: width - m.left - m.right, h: height - m.top - m.bottom };
+
+    if (!range || samples.length < 2) {
+      ctx.fillStyle = this._colors.axis;
+      ctx.font = "12px sans-serif";
+      ctx.textAlign = "center";
+      ctx.fillText("No data recorded yet", width / 2, height / 2);
+      return;
+    }
+
+    const from = Math.max(0, SessionChart._lowerBound(samples, range[0]) - 1);
+    const to = Math.min(samples.length, SessionChart._lowerBound(samples, range[1]) + 1);
+    const xOf = (t) => plot.x + ((t - range[0]) / (range[1] - range[0])) * plot.w;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(plot.x, plot.y, plot.w, plot.h);
+    ctx.clip();
+    this._drawLaps(samples, from, to, xOf, plot);
+    ctx.restore();
+
+    this._drawTimeAxis(range, xOf, plot);
+
+    // Scales
+    const scales = {};
+    const powerExtent = SessionChart._extent(samples, "power", from, to);
+    const targetExtent = SessionChart._extent(samples, "trainerTarget", from, to);
+    const powerMax = Math.max(
+      powerExtent ? powerExtent[1] : 0,
+      targetExtent ? targetExtent[1] : 0,
+      100,
+    );
+    scales.power = [0, powerMax * 1.1];
+    const hrExtent = SessionChart._extent(samples, "heartRate", from, to);
+    scales.hr = hrExtent ? [Math.max(0, hrExtent[0] - 10), hrExtent[1] + 10] : [40, 200];
+    const cadExtent = SessionChart._extent(samples, "cadence", from, to);
+    scales.cadence = [0, (cadExtent ? cadExtent[1] : 120) * 1.1];
+    const vo2Extent = SessionChart._extent(samples, "vo2", from, to);
+    scales.vo2 = [0, (vo2Extent ? vo2Extent[1] : 60) * 1.1];
+
+    const yOf = ([lo, hi], v) => plot.y + plot.h - ((v - lo) / (hi - lo || 1)) * plot.h;
+    this._drawValueAxes(scales, yOf, plot);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(plot.x, plot.y, plot.w, plot.h);
+    ctx.clip();
+    const lines = [
+      ["vo2", "vo2", scales.vo2],
+      ["cadence", "cadence", scales.cadence],
+      ["hr", "heartRate", scales.hr],
+      ["power", "power", scales.power],
+    ];
+    lines.forEach(([series, key, scale]) => {
+      if (!this._series[series]) return;
+      const y = (v) => yOf(scale, v);
+      this._drawLine(samples, from, to, key, xOf, y, this._colors[series], 1.5);
+    });
+    if (this._series.target) {
+      this._drawTarget(samples, from, to, xOf, (v) => yOf(scales.power, v));
+    }
+    if (this._series.lactate) {
+      this._drawLactate(session.lactateReadings || [], range, xOf, plot);
+    }
+    if (this._series.notes) {
+      this._drawNotes(session.notes || [], range, xOf, plot);
+    }
+    ctx.restore();
+
+    this._drawCursor(samples, range, xOf, plot);
+  }
+
+  _drawLaps(samples, from, to, xOf, plot) {
+    const ctx = this._ctx;
+    let lapStart = from;
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "left";
+    for (let i = from + 1; i <= to; i++) {
+      const boundary = i === to || samples[i].lapNumber !== samples[i - 1].lapNumber;
+      if (!boundary) continue;
+      const lap = samples[lapStart].lapNumber;
+      const x0 = xOf(samples[lapStart].elapsed);
+      const x1 = xOf(samples[i - 1].elapsed);
+      if (lap % 2 === 0) {
+        ctx.fillStyle = this._colors.lapShade;
+        ctx.fillRect(x0, plot.y, x1 - x0, plot.h);
+      }
+      if (i < to) {
+        const bx = xOf(samples[i].elapsed);
+        ctx.strokeStyle = this._colors.lapLine;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(bx, plot.y);
+        ctx.lineTo(bx, plot.y + plot.h);
+        ctx.stroke();
+        ctx.fillStyle = this._colors.lapLine;
+        ctx.fillText(`L${samples[i].lapNumber}`, bx + 3, plot.y + 10);
+      }
+      lapStart = i;
+    }
+  }
+
+  _drawTimeAxis(range, xOf, plot) {
+    const ctx = this._ctx;
+    const step = SessionChart._tickStep(range[1] - range[0], Math.max(2, plot.w / 80));
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillStyle = this._colors.axis;
+    ctx.strokeStyle = this._colors.grid;
+    ctx.lineWidth = 1;
+    for (let t = Math.ceil(range[0] / step) * step; t <= range[1]; t += step) {
+      const x = xOf(t);
+      ctx.beginPath();
+      ctx.moveTo(x, plot.y);
+      ctx.lineTo(x, plot.y + plot.h);
+      ctx.stroke();
+      ctx.fillText(SessionChart._formatElapsed(t), x, plot.y + plot.h + 14);
+    }
+  }
+
+  _drawValueAxes(scales, yOf, plot) {
+    const ctx = this._ctx;
+    ctx.font = "10px sans-serif";
+    const ticks = 4;
+    for (let i = 0; i <= ticks; i++) {
+      const y = plot.y + (plot.h * i) / ticks;
+      ctx.strokeStyle = this._colors.grid;
+      ctx.beginPath();
+      ctx.moveTo(plot.x, y);
+      ctx.lineTo(plot.x + plot.w, y);
+      ctx.stroke();
+
+      const frac = 1 - i / ticks;
+      if (this._series.power) {
+        ctx.fillStyle = this._colors.power;
+        ctx.textAlign = "right";
+        const watts = scales.power[0] + frac * (scales.power[1] - scales.power[0]);
+        ctx.fillText(Math.round(watts), plot.x - 4, y + 3);
+      }
+      if (this._series.hr) {
+        ctx.fillStyle = this._colors.hr;
+        ctx.textAlign = "left";
+        const bpm = scales.hr[0] + frac * (scales.hr[1] - scales.hr[0]);
+        ctx.fillText(Math.round(bpm), plot.x + plot.w + 4, y + 3);
+      }
+    }
+  }
+
+  _drawLine(samples, from, to, key, xOf, yOf, color, width) {
+    const ctx = this._ctx;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = width;
+    ctx.lineJoin = "round";
+    ctx.beginPath();
+    let pen = false;
+    for (let i = from; i < to; i++) {
+      const v = samples[i][key];
+      // Gaps (sensor dropouts, zero HR) break the line
+      if (!(v > 0) && key !== "power") {
+        pen = false;
+        continue;
+      }
+      const x = xOf(samples[i].elapsed);
+      const y = yOf(v || 0);
+      if (pen) ctx.lineTo(x, y);
+      else ctx.moveTo(x, y);
+      pen = true;
+    }
+    ctx.stroke();
+  }
+
+  _drawTarget(samples, from, to, xOf, yOf) {
+    const ctx = this._ctx;
+    ctx.strokeStyle = this._colors.target;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    let pen = false;
+    let lastY = null;
+    for (let i = from; i < to; i++) {
+      const v = samples[i].trainerTarget;
+      if (v === null || v === undefined) {
+        pen = false;
+        continue;
+      }
+      const x = xOf(samples[i].elapsed);
+      const y = yOf(v);
+      if (!pen) ctx.moveTo(x, y);
+      else {
+        ctx.lineTo(x, lastY); // step shape
+        ctx.lineTo(x, y);
+      }
+      lastY = y;
+      pen = true;
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  _drawLactate(readings, range, xOf, plot) {
+    const visible = readings.filter((r) => r.elapsed >= range[0] && r.elapsed <= range[1]);
+    if (visible.length === 0) return;
+    const max = Math.max(4, ...readings.map((r) => r.value)) * 1.15;
+    const ctx = this._ctx;
+    ctx.font = "bold 10px sans-serif";
+    ctx.textAlign = "center";
+    visible.forEach((r) => {
+      const x = xOf(r.elapsed);
+      const y = plot.y + plot.h - (r.value / max) * plot.h;
+      ctx.fillStyle = this._colors.lactate;
+      ctx.beginPath();
+      ctx.arc(x, y, 4, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillText(r.value.toFixed(1), x, y - 7);
+    });
+  }
+
+  _drawNotes(notes, range, xOf, plot) {
+    const visible = notes.filter((n) => n.elapsed >= range[0] && n.elapsed <= range[1]);
+    if (visible.length === 0) return;
+    const ctx = this._ctx;
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "left";
+    ctx.strokeStyle = this._colors.notes;
+    ctx.fillStyle = this._colors.notes;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 3]);
+    visible.forEach((n, i) => {
+      const x = xOf(n.elapsed);
+      ctx.beginPath();
+      ctx.moveTo(x, plot.y);
+      ctx.lineTo(x, plot.y + plot.h);
+      ctx.stroke();
+      const label = typeof SessionNotes !== "undefined" ? SessionNotes.label(n) : n.text;
+      // Stagger labels so neighbouring notes don't overprint
+      ctx.fillText(label, x + 3, plot.y + 24 + (i % 3) * 12);
+    });
+    ctx.setLineDash([]);
+  }
+
+  _drawCursor(samples, range, xOf, plot) {
+    if (this._cursorX === null || this._drag) return;
+    const x = this._cursorX;
+    if (x < plot.x || x > plot.x + plot.w) return;
+    const t = this._elapsedAt(x, range);
+    let i = SessionChart._lowerBound(samples, t);
+    if (i >= samples.length) i = samples.length - 1;
+    if (i > 0 && Math.abs(samples[i - 1].elapsed - t) < Math.abs(samples[i].elapsed - t)) i--;
+    const s = samples[i];
+    const sx = xOf(s.elapsed);
+
+    const ctx = this._ctx;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.4)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(sx, plot.y);
+    ctx.lineTo(sx, plot.y + plot.h);
+    ctx.stroke();
+
+    const lines = [
+      [SessionChart._formatElapsed(s.elapsed) + `  ·  Lap ${s.lapNumber}`, "#e5e5e5"],
+    ];
+    if (this._series.power) lines.push([`${s.power} W`, this._colors.power]);
+    if (this._series.target && s.trainerTarget != null) {
+      lines.push([`Target ${s.trainerTarget} W`, this._colors.target]);
+    }
+    if (this._series.hr) lines.push([`${s.heartRate || "--"} bpm`, this._colors.hr]);
+    if (this._series.cadence) lines.push([`${s.cadence || "--"} rpm`, this._colors.cadence]);
+    if (this._series.vo2) lines.push([`VO2 ${s.vo2 ? s.vo2.toFixed(1) : "--"}`, this._colors.vo2]);
+
+    ctx.font = "11px sans-serif";
+    const boxW = Math.max(...lines.map(([text]) => ctx.measureText(text).width)) + 12;
+    const boxH = lines.length * 14 + 8;
+    const bx = sx + 8 + boxW > plot.x + plot.w ? sx - 8 - boxW : sx + 8;
+    const by = plot.y + 4;
+    ctx.fillStyle = "rgba(23, 23, 23, 0.92)";
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.1)";
+    ctx.fillRect(bx, by, boxW, boxH);
+    ctx.strokeRect(bx, by, boxW, boxH);
+    ctx.textAlign = "left";
+    lines.forEach(([text, color], k) => {
+      ctx.fillStyle = color;
+      ctx.fillText(text, bx + 6, by + 16 + k * 14);
+    });
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SessionChart;
+}
@@ -0,0 +1,148 @@
+/**
+ * Braven Lab Dashboard — Session Comparison
+ *
+ * Reduces a previous test — a stored session or an exported FIT / laps CSV
+ * file — to a reference the dashboard can overlay on the live or reviewed
+ * session: its laps (power, HR, cadence, lactate, ERG target) and its
+ * lactate curve.
+ *
+ * Laps are matched by stage rather than by number, so a test that started
+ * with an extra warm-up lap still lines up: first by the same ERG target,
+ * otherwise by the nearest average power within POWER_TOLERANCE. Deltas are
+ * current − reference; at the same wattage a lower HR or lactate is progress.
+ *
+ * No DOM dependencies (FitFile / SessionExport are needed for files).
+ */
+class SessionComparison {
+  /** Nearest-power matching window: whichever is larger */
+  static get POWER_TOLERANCE() {
+    return { watts: 10, fraction: 0.05 };
+  }
+
+  /**
+   * Build a reference from a session (SessionRecorder shape). Laps without
+   * power (pauses, empty laps) are skipped.
+   * @param {Object} session
+   * @param {string} [label]
+   * @returns {{label: string, startTime: number|null, laps: Array<Object>,
+   *   analysis: Object|null}}
+   */
+  static fromSession(session, label) {
+    const laps = (session.laps || [])
+      .filter((l) => l.avgPower > 0)
+      .map((l) => ({
+        number: l.number,
+        duration: l.duration,
+        target: l.trainerTarget ?? null,
+        power: l.avgPower,
+        heartRate: l.avgHeartRate || 0,
+        cadence: l.avgCadence || 0,
+        lactate: l.lactate ?? null,
+      }));
+    return {
+      label:
+        label ||
+        (session.startTime ? new Date(session.startTime).toLocaleDateString() : "Previous test"),
+      startTime: session.startTime || null,
+      laps,
+      analysis: LactateAnalysis.analyze(laps),
+    };
+  }
+
+  /**
+   * Build a reference from an exported file: a FIT activity or a laps CSV
+   * (SessionExport.lapsCsv).
+   * @param {string} name - file name, its extension picks the format
+   * @param {ArrayBuffer|string} content - bytes for .fit, text for .csv
+   * @returns {Object} see fromSession()
+   * @throws {Error} if the file can't be read as either
+   */
+  static fromFile(name, content) {
+    const label = name.replace(/\.[^.]+$/, "");
+    if (/\.fit$/i.test(name)) {
+      return SessionComparison.fromSession(FitFile.toSession(content), label);
+    }
+    if (/\.csv$/i.test(name)) {
+      const header = content.slice(0, content.indexOf("\n"));
+      if (!header.includes("avg_power_w")) {
+        throw new Error("Not a laps CSV — export \"Laps CSV\" from the session to compare");
+      }
+      const laps = SessionExport.parseCsv(content, SessionExport.LAP_COLUMNS);
+      const startTime = laps.length ? laps[0].startTime : null;
+      return SessionComparison.fromSession({ startTime, laps }, label);
+    }
+    throw new Error(`Unsupported file: ${name} (use .fit or a laps .csv)`);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // MATCHING
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * The reference lap ridden at the same stage as `lap`.
+   * @param {{power: number, target?: number|null}} lap
+   * @param {Object|null} reference
+   * @returns {Object|null}
+   */
+  static match(lap, reference) {
+    if (!reference || !lap) return null;
+    if (lap.target != null) {
+      const same = reference.laps.find((r) => r.target === lap.target);
+      if (same) return same;
+    }
+    if (!(lap.power > 0)) return null;
+
+    const { watts, fraction } = SessionComparison.POWER_TOLERANCE;
+    const tolerance = Math.max(watts, lap.power * fraction);
+    let best = null;
+    reference.laps.forEach((r) => {
+      const gap = Math.abs(r.power - lap.power);
+      if (gap <= tolerance && (!best || gap < Math.abs(best.power - lap.power))) best = r;
+    });
+    return best;
+  }
+
+  /**
+   * Current − reference for each metric both laps have.
+   * @param {Object} lap - {power, heartRate, cadence, lactate}
+   * @param {Object|null} ref - matched reference lap
+   * @returns {{power: number|null, heartRate: number|null, cadence: number|null,
+   *   lactate: number|null}|null}
+   */
+  static delta(lap, ref) {
+    if (!ref) return null;
+    const diff = (a, b, digits = 0) => {
+      if (!(a > 0) || !(b > 0)) return null;
+      const f = 10 ** digits;
+      return Math.round((a - b) * f) / f;
+    };
+    return {
+      power: diff(lap.power, ref.power),
+      heartRate: diff(lap.heartRate, ref.heartRate),
+      cadence: diff(lap.cadence, ref.cadence),
+      lactate: diff(lap.lactate, ref.lactate, 1),
+    };
+  }
+
+  /**
+   * Threshold shifts (current − reference watts) for every threshold both
+   * analyses found.
+   * @param {Object|null} analysis
+   * @param {Object|null} reference
+   * @returns {Object} threshold key → watts
+   */
+  static thresholdDeltas(analysis, reference) {
+    const deltas = {};
+    if (!analysis || !reference || !reference.analysis) return deltas;
+    Object.keys(analysis.thresholds).forEach((key) => {
+      const now = analysis.thresholds[key];
+      const then = reference.analysis.thresholds[key];
+      if (now && then) deltas[key] = now.power - then.power;
+    });
+    return deltas;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SessionComparison;
+}
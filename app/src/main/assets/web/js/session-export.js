@@ -0,0 +1,384 @@
+/**
+ * Braven Lab Dashboard — Session Export
+ *
+ * Serialises a SessionRecorder session to CSV (raw samples / laps / notes /
+ * manual measurements), TCX and FIT (via FitFile) for import into
+ * TrainingPeaks, Golden Cheetah or a spreadsheet, and to JSON for replay in
+ * SessionPlayer. Encoders are pure functions returning strings/bytes; only
+ * download() touches the DOM.
+ */
+class SessionExport {
+  /** Sample CSV columns: [header, sample key] */
+  static get SAMPLE_COLUMNS() {
+    return [
+      ["timestamp", "t"],
+      ["elapsed_s", "elapsed"],
+      ["lap", "lapNumber"],
+      ["power_w", "power"],
+      ["power_3s_w", "power3s"],
+      ["heart_rate_bpm", "heartRate"],
+      ["cadence_rpm", "cadence"],
+      ["speed_kmh", "speed"],
+      ["distance_km", "distance"],
+      ["elevation_m", "elevation"],
+      ["grade_pct", "grade"],
+      ["core_temp_c", "coreTemp"],
+      ["vo2", "vo2"],
+      ["trainer_target_w", "trainerTarget"],
+      ["latitude", "latitude"],
+      ["longitude", "longitude"],
+    ];
+  }
+
+  /** Lap CSV columns: [header, lap key] */
+  static get LAP_COLUMNS() {
+    return [
+      ["lap", "number"],
+      ["start", "startTime"],
+      ["start_elapsed_s", "startElapsed"],
+      ["duration_s", "duration"],
+      ["avg_power_w", "avgPower"],
+      ["max_power_w", "maxPower"],
+      ["avg_heart_rate_bpm", "avgHeartRate"],
+      ["max_heart_rate_bpm", "maxHeartRate"],
+      ["avg_cadence_rpm", "avgCadence"],
+      ["distance_km", "distance"],
+      ["lactate_mmol", "lactate"],
+      ["trainer_target_w", "trainerTarget"],
+    ];
+  }
+
+  /** Notes CSV columns: [header, note key] */
+  static get NOTE_COLUMNS() {
+    return [
+      ["timestamp", "t"],
+      ["elapsed_s", "elapsed"],
+      ["lap", "lap"],
+      ["tag", "tag"],
+      ["text", "text"],
+    ];
+  }
+
+  /** Manual measurements CSV columns: [header, measurement key] */
+  static get MEASUREMENT_COLUMNS() {
+    return [
+      ["timestamp", "t"],
+      ["elapsed_s", "elapsed"],
+      ["lap", "lap"],
+      ["type", "type"],
+      ["value", "value"],
+      ["unit", "unit"],
+    ];
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // CSV
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * One row per recorded second.
+   * @param {Object} session - SessionRecorder.getSession()
+   * @returns {string}
+   */
+  static samplesCsv(session) {
+    return SessionExport._csv(SessionExport.SAMPLE_COLUMNS, session.samples);
+  }
+
+  /**
+   * One row per lap, including lactate, trainer target and one column per
+   * manual measurement type recorded (e.g. "rpe", "glucose_mmol/L").
+   * @param {Object} session
+   * @returns {string}
+   */
+  static lapsCsv(session) {
+    const units = {};
+    (session.measurements || []).forEach((m) => {
+      if (!(m.type in units)) units[m.type] = m.unit;
+    });
+    const extra = Object.keys(units).map((type) => [
+      units[type] ? `${type}_${units[type]}` : type,
+      `m:${type}`,
+    ]);
+    const rows = (session.laps || []).map((lap) => {
+      const row = { ...lap };
+      Object.entries(lap.measurements || {}).forEach(([type, value]) => {
+        row[`m:${type}`] = value;
+      });
+      return row;
+    });
+    return SessionExport._csv([...SessionExport.LAP_COLUMNS, ...extra], rows);
+  }
+
+  /**
+   * One row per coach note / event marker.
+   * @param {Object} session
+   * @returns {string}
+   */
+  static notesCsv(session) {
+    return SessionExport._csv(SessionExport.NOTE_COLUMNS, session.notes);
+  }
+
+  /**
+   * One row per manual measurement (RPE, glucose, …).
+   * @param {Object} session
+   * @returns {string}
+   */
+  static measurementsCsv(session) {
+    return SessionExport._csv(SessionExport.MEASUREMENT_COLUMNS, session.measurements);
+  }
+
+  static _csv(columns, rows) {
+    const cell = (key, value) => {
+      if (value === null || value === undefined) return "";
+      if ((key === "t" || key === "startTime") && typeof value === "number") {
+        return new Date(value).toISOString();
+      }
+      let text = String(value);
+      // Text a spreadsheet would run as a formula gets a leading ' (parseCsv strips it)
+      const formula = typeof value !== "number" && /^[=+\-@]/.test(text);
+      if (formula) text = `'${text}`;
+      return formula || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.map(([header]) => header).join(",")];
+    (rows || []).forEach((row) => {
+      lines.push(columns.map(([, key]) => cell(key, row[key])).join(","));
+    });
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Parse a CSV produced by samplesCsv()/lapsCsv() back into objects.
+   * @param {string} text
+   * @param {Array<Array<string>>} columns - SAMPLE_COLUMNS or LAP_COLUMNS
+   * @returns {Array<Object>}
+   */
+  static parseCsv(text, columns) {
+    const lines = text.trim().split(/\r?\n/);
+    const headers = SessionExport._splitCsvLine(lines.shift() || "");
+    const keyFor = Object.fromEntries(columns);
+
+    return lines.map((line) => {
+      const cells = SessionExport._splitCsvLine(line);
+      const row = {};
+      headers.forEach((header, i) => {
+        const key = keyFor[header];
+        if (!key) return;
+        const raw = cells[i];
+        if (raw === undefined || raw === "") {
+          row[key] = null;
+        } else if (key === "t" || key === "startTime") {
+          row[key] = Date.parse(raw);
+        } else if (/^'[=+\-@]/.test(raw)) {
+          row[key] = raw.slice(1);
+        } else {
+          const num = Number(raw);
+          row[key] = isNaN(num) ? raw : num;
+        }
+      });
+      return row;
+    });
+  }
+
+  static _splitCsvLine(line) {
+    const cells = [];
+    let cur = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') {
+          cur += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cur += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ",") {
+        cells.push(cur);
+        cur = "";
+      } else {
+        cur += ch;
+      }
+    }
+    cells.push(cur);
+    return cells;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // TCX
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Garmin Training Center XML with laps and power (TPX extension) per trackpoint.
+   * @param {Object} session
+   * @returns {string}
+   */
+  static tcx(session) {
+    const samples = session.samples || [];
+    if (samples.length === 0) throw new Error("Session has no samples");
+    const iso = (ms) => new Date(ms).toISOString().replace(/\.\d{3}Z$/, "Z");
+    const laps =
+      session.laps && session.laps.length > 0
+        ? session.laps
+        : [{ number: 1, startTime: samples[0].t, duration: samples.length, distance: 0 }];
+
+    const trackpoint = (s) => {
+      const parts = [`<Time>${iso(s.t)}</Time>`];
+      parts.push(`<DistanceMeters>${(s.distance * 1000).toFixed(1)}</DistanceMeters>`);
+      if (s.heartRate > 0) {
+        parts.push(`<HeartRateBpm><Value>${s.heartRate}</Value></HeartRateBpm>`);
+      }
+      if (s.cadence > 0) parts.push(`<Cadence>${s.cadence}</Cadence>`);
+      parts.push(
+        `<Extensions><ns3:TPX><ns3:Speed>${(s.speed / 3.6).toFixed(3)}</ns3:Speed>` +
+          `<ns3:Watts>${s.power}</ns3:Watts></ns3:TPX></Extensions>`,
+      );
+      return `          <Trackpoint>${parts.join("")}</Trackpoint>`;
+    };
+
+    const lapXml = laps.map((lap) => {
+      const lapSamples = samples.filter((s) => s.lapNumber === lap.number);
+      const body = [
+        `      <Lap StartTime="${iso(lap.startTime)}">`,
+        `        <TotalTimeSeconds>${lap.duration}</TotalTimeSeconds>`,
+        `        <DistanceMeters>${((lap.distance || 0) * 1000).toFixed(1)}</DistanceMeters>`,
+        `        <Calories>0</Calories>`,
+      ];
+      if (lap.avgHeartRate > 0) {
+        body.push(`        <AverageHeartRateBpm><Value>${lap.avgHeartRate}</Value></AverageHeartRateBpm>`);
+      }
+      if (lap.maxHeartRate > 0) {
+        body.push(`        <MaximumHeartRateBpm><Value>${lap.maxHeartRate}</Value></MaximumHeartRateBpm>`);
+      }
+      body.push(`        <Intensity>Active</Intensity>`);
+      if (lap.avgCadence > 0) body.push(`        <Cadence>${lap.avgCadence}</Cadence>`);
+      body.push(`        <TriggerMethod>Manual</TriggerMethod>`);
+      // An empty <Track/> fails schema validation
+      if (lapSamples.length > 0) {
+        body.push(`        <Track>`);
+        lapSamples.forEach((s) => body.push(trackpoint(s)));
+        body.push(`        </Track>`);
+      }
+      const lapNotes = (session.notes || [])
+        .filter((n) => n.lap === lap.number)
+        .map((n) => {
+          const label =
+            typeof SessionNotes !== "undefined"
+              ? SessionNotes.label(n)
+              : [n.tag, n.text].filter(Boolean).join(": ");
+          return [n.elapsed, label];
+        });
+      const lapMeasurements = (session.measurements || [])
+        .filter((m) => m.lap === lap.number)
+        .map((m) => {
+          const label =
+            typeof ManualMeasurements !== "undefined"
+              ? ManualMeasurements.label(m)
+              : `${m.type} ${m.value}${m.unit ? ` ${m.unit}` : ""}`;
+          return [m.elapsed, label];
+        });
+      // TCX has no lactate field; readings go in the lap notes
+      const lapLactate = (session.lactateReadings || [])
+        .filter((r) => r.lapNumber === lap.number)
+        .map((r) => [r.elapsed, `Lactate ${r.value} mmol/L`]);
+      const entries = [...lapNotes, ...lapMeasurements, ...lapLactate].sort((a, b) => a[0] - b[0]);
+      if (entries.length > 0) {
+        const text = entries
+          .map(([elapsed, label]) => `${SessionExport._clock(elapsed)} ${label}`)
+          .join("\n");
+        body.push(`        <Notes>${SessionExport._xml(text)}</Notes>`);
+      }
+      if (lap.avgPower > 0) {
+        body.push(
+          `        <Extensions><ns3:LX><ns3:AvgWatts>${lap.avgPower}</ns3:AvgWatts></ns3:LX></Extensions>`,
+        );
+      }
+      body.push(`      </Lap>`);
+      return body.join("\n");
+    });
+
+    return [
+      `<?xml version="1.0" encoding="UTF-8"?>`,
+      `<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"` +
+        ` xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">`,
+      `  <Activities>`,
+      `    <Activity Sport="Biking">`,
+      `      <Id>${iso(samples[0].t)}</Id>`,
+      ...lapXml,
+      `      <Creator xsi:type="Device_t" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">`,
+      `        <Name>Braven Lab Dashboard</Name>`,
+      `      </Creator>`,
+      `    </Activity>`,
+      `  </Activities>`,
+      `</TrainingCenterDatabase>`,
+      ``,
+    ].join("\n");
+  }
+
+  static _clock(seconds) {
+    const m = Math.floor(seconds / 60);
+    const s = seconds % 60;
+    return `${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}`;
+  }
+
+  static _xml(text) {
+    return String(text).replace(/[&<>]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" })[c]);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // JSON
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * The complete session — everything SessionPlayer needs to replay it.
+   * @param {Object} session
+   * @returns {string}
+   */
+  static json(session) {
+    return JSON.stringify(session);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // DOWNLOAD
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Encode a session in the given format and trigger a browser download.
+   * @param {Object} session
+   * @param {'samples-csv'|'laps-csv'|'notes-csv'|'measurements-csv'|'tcx'|'fit'|'json'} format
+   */
+  static download(session, format) {
+    const base = `braven-${session.id || "session"}`;
+    const formats = {
+      "samples-csv": () => [SessionExport.samplesCsv(session), `${base}-samples.csv`, "text/csv"],
+      "laps-csv": () => [SessionExport.lapsCsv(session), `${base}-laps.csv`, "text/csv"],
+      "notes-csv": () => [SessionExport.notesCsv(session), `${base}-notes.csv`, "text/csv"],
+      "measurements-csv": () => [
+        SessionExport.measurementsCsv(session),
+        `${base}-measurements.csv`,
+        "text/csv",
+      ],
+      tcx: () => [SessionExport.tcx(session), `${base}.tcx`, "application/vnd.garmin.tcx+xml"],
+      fit: () => [FitFile.encode(session), `${base}.fit`, "application/vnd.ant.fit"],
+      json: () => [SessionExport.json(session), `${base}.json`, "application/json"],
+    };
+    if (!formats[format]) throw new Error(`Unknown export format: ${format}`);
+
+    const [content, filename, mime] = formats[format]();
+    const url = URL.createObjectURL(new Blob([content], { type: mime }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SessionExport;
+}
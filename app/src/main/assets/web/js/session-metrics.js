@@ -0,0 +1,177 @@
+/**
+ * Braven Lab Dashboard — Session Metrics
+ *
+ * Whole-session analytics over 1 Hz samples (SessionRecorder shape):
+ *
+ *   NP          — Normalized Power: 4th-power mean of 30 s rolling power
+ *   IF / TSS    — NP / FTP and TSS = s × NP × IF / (FTP × 3600) × 100
+ *   VI          — NP / average power
+ *   kJ          — mechanical work, Σ power × 1 s
+ *   Time in zone — seconds per power and HR zone (AthleteProfile zones)
+ *   Decoupling  — Pw:HR, efficiency factor (NP / avg HR) of the first half
+ *                 vs the second half, in %
+ *   Best efforts — highest mean power over 5 s, 1 min, 5 min and 20 min
+ *
+ * Pure functions, no DOM — usable from Node.
+ */
+class SessionMetrics {
+  /** Best-effort windows in seconds */
+  static get EFFORT_WINDOWS() {
+    return [5, 60, 300, 1200];
+  }
+
+  /**
+   * Compute the session summary.
+   * @param {Array<Object>} samples - {power, heartRate, cadence} at 1 Hz
+   * @param {Object} [options]
+   * @param {number} [options.ftp]
+   * @param {Array<Object>} [options.powerZones] - AthleteProfile.powerZones()
+   * @param {Array<Object>} [options.hrZones] - AthleteProfile.hrZones()
+   * @returns {Object|null} null without samples
+   */
+  static compute(samples, options = {}) {
+    if (!samples || samples.length === 0) return null;
+    const power = samples.map((s) => s.power || 0);
+    const hr = samples.map((s) => s.heartRate || 0);
+
+    const np = SessionMetrics.normalizedPower(power);
+    const avgPower = SessionMetrics.mean(power);
+    const ftp = options.ftp > 0 ? options.ftp : null;
+    const intensity = ftp && np !== null ? np / ftp : null;
+
+    return {
+      duration: samples.length,
+      avgPower: Math.round(avgPower),
+      maxPower: SessionMetrics.max(power),
+      np: np !== null ? Math.round(np) : null,
+      intensityFactor: intensity !== null ? Math.round(intensity * 100) / 100 : null,
+      tss:
+        intensity !== null
+          ? Math.round(((samples.length * np * intensity) / (ftp * 3600)) * 1000) / 10
+          : null,
+      variabilityIndex:
+        np !== null && avgPower > 0 ? Math.round((np / avgPower) * 100) / 100 : null,
+      kj: Math.round(power.reduce((a, b) => a + b, 0) / 1000),
+      avgHeartRate: Math.round(SessionMetrics.mean(hr.filter((v) => v > 0))),
+      maxHeartRate: SessionMetrics.max(hr),
+      avgCadence: Math.round(
+        SessionMetrics.mean(samples.map((s) => s.cadence || 0).filter((v) => v > 0)),
+      ),
+      decoupling: SessionMetrics.decoupling(power, hr),
+      timeInPowerZones: SessionMetrics.timeInZones(power, options.powerZones),
+      timeInHrZones: SessionMetrics.timeInZones(hr, options.hrZones),
+      bestEfforts: Object.fromEntries(
+        SessionMetrics.EFFORT_WINDOWS.map((w) => [w, SessionMetrics.bestEffort(power, w)]),
+      ),
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // POWER
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Normalized Power, or null for under 30 s of data.
+   * @param {number[]} power - 1 Hz watts
+   * @returns {number|null}
+   */
+  static normalizedPower(power) {
+    const window = 30;
+    if (power.length < window) return null;
+    let sum = 0;
+    let total = 0;
+    let count = 0;
+    for (let i = 0; i < power.length; i++) {
+      sum += power[i];
+      if (i >= window) sum -= power[i - window];
+      if (i >= window - 1) {
+        total += Math.pow(sum / window, 4);
+        count++;
+      }
+    }
+    return Math.pow(total / count, 0.25);
+  }
+
+  /**
+   * Highest mean power over any `window` consecutive seconds, or null if
+   * the session is shorter than the window.
+   * @param {number[]} power
+   * @param {number} window - seconds
+   * @returns {number|null}
+   */
+  static bestEffort(power, window) {
+    if (power.length < window) return null;
+    let sum = 0;
+    let best = 0;
+    for (let i = 0; i < power.length; i++) {
+      sum += power[i];
+      if (i >= window) sum -= power[i - window];
+      if (i >= window - 1 && sum > best) best = sum;
+    }
+    return Math.round(best / window);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // HEART RATE
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Pw:HR decoupling in % (positive = HR drifted up relative to power).
+   * Needs at least 10 min and heart rate in both halves.
+   * @param {number[]} power
+   * @param {number[]} hr
+   * @returns {number|null}
+   */
+  static decoupling(power, hr) {
+    if (power.length < 600) return null;
+    const half = Math.floor(power.length / 2);
+    const ef = (from, to) => {
+      const p = power.slice(from, to);
+      const h = hr.slice(from, to).filter((v) => v > 0);
+      const np = SessionMetrics.normalizedPower(p);
+      const avgHr = SessionMetrics.mean(h);
+      return np && avgHr > 0 ? np / avgHr : null;
+    };
+    const first = ef(0, half);
+    const second = ef(half, power.length);
+    if (!first || !second) return null;
+    return Math.round(((first - second) / first) * 1000) / 10;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // ZONES
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Seconds spent in each zone (zero values are not counted).
+   * @param {number[]} values - 1 Hz
+   * @param {Array<Object>} zones - [{index, name, min, max, color}]
+   * @returns {Array<{zone: Object, seconds: number}>}
+   */
+  static timeInZones(values, zones) {
+    if (!zones || zones.length === 0) return [];
+    const seconds = new Array(zones.length).fill(0);
+    values.forEach((v) => {
+      if (!(v > 0)) return;
+      let i = zones.findIndex((z) => v < z.max);
+      if (i < 0) i = zones.length - 1;
+      seconds[i]++;
+    });
+    return zones.map((zone, i) => ({ zone, seconds: seconds[i] }));
+  }
+
+  /** Largest value (0 if empty); a loop, since spreading hours of 1 Hz data overflows the stack */
+  static max(values) {
+    let max = 0;
+    for (let i = 0; i < values.length; i++) if (values[i] > max) max = values[i];
+    return max;
+  }
+
+  static mean(values) {
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SessionMetrics;
+}
@@ -0,0 +1,170 @@
+/**
+ * Braven Lab Dashboard — Session Notes
+ *
+ * Coach notes and event markers for the current ride. The Karoo stores
+ * them (/api/notes), stamps each with elapsed time and lap, and broadcasts
+ * additions/deletions to every connected dashboard over the WebSocket, so
+ * all displays share one timeline.
+ *
+ *   Note  {id, t, elapsed, lap, tag, text}
+ *         tag — key of TAGS or null for free text
+ *
+ * No DOM dependencies.
+ */
+class SessionNotes {
+  /**
+   * @param {Object} [options]
+   * @param {function} [options.fetchFn] - fetch() implementation (mockable)
+   */
+  constructor(options = {}) {
+    this._fetch = options.fetchFn || ((url, init) => fetch(url, init));
+    this._notes = [];
+    this._changeCallbacks = [];
+  }
+
+  /** Preset tags for the quick-notes bar */
+  static get TAGS() {
+    return {
+      rpe: "RPE",
+      gel: "Gel taken",
+      drink: "Drink",
+      nausea: "Nausea",
+      cramp: "Cramp",
+      sensor: "Sensor dropped",
+      stop: "Stopped",
+    };
+  }
+
+  /**
+   * Display text of a note: tag label then text, e.g. "RPE 15", "Gel taken",
+   * "felt dizzy".
+   * @param {Object} note
+   * @returns {string}
+   */
+  static label(note) {
+    const tag = note.tag ? SessionNotes.TAGS[note.tag] || note.tag : "";
+    return tag && note.text ? `${tag} ${note.text}` : tag || note.text;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // SYNC
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Follow note events from a BravenWebSocketClient, reloading the list on
+   * every (re)connect to pick up anything missed meanwhile.
+   * @param {BravenWebSocketClient} client
+   */
+  attach(client) {
+    client.onEvent((event) => {
+      if (event.type === "note") {
+        this._upsert(event.note);
+      } else if (event.type === "noteDeleted") {
+        this._remove(event.id);
+      } else if (event.type === "notesCleared") {
+        this._notes = [];
+        this._notify("clear");
+      }
+    });
+    client.onStatusChange((connected) => {
+      if (connected) this.load();
+    });
+  }
+
+  /**
+   * Replace the local list with the Karoo's.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const res = await this._fetch("/api/notes");
+      if (!res.ok) return;
+      const body = await res.json();
+      this._notes = (body.notes || []).sort((a, b) => a.id - b.id);
+      this._notify("load");
+    } catch (err) {
+      console.warn("[Notes] Failed to load notes:", err);
+    }
+  }
+
+  /**
+   * Add a note at the current ride time, or at elapsed/lap for a note made
+   * while the Karoo was out of reach; ride is the rideStartTime it was made
+   * in, and the Karoo refuses the note if that ride has ended.
+   * @param {{tag?: string|null, text?: string, elapsed?: number, lap?: number, ride?: number}} note
+   * @returns {Promise<Object>} the stored note
+   * @throws {Error} if the Karoo rejects it or can't be reached
+   */
+  async add({ tag = null, text = "", elapsed = null, lap = null, ride = null }) {
+    const stamp = elapsed !== null ? { elapsed, lap, ride } : {};
+    const res = await this._fetch("/api/notes", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ tag, text, ...stamp }),
+    });
+    const body = await res.json();
+    if (!res.ok || !body.success) throw new Error(body.message || `HTTP ${res.status}`);
+    console.log(`[Notes] Added "${SessionNotes.label(body.note)}" at ${body.note.elapsed}s`);
+    this._upsert(body.note);
+    return body.note;
+  }
+
+  /**
+   * Delete a note.
+   * @param {number} id
+   * @returns {Promise<void>}
+   * @throws {Error} if the Karoo rejects it or can't be reached
+   */
+  async remove(id) {
+    const res = await this._fetch("/api/notes/delete", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ id }),
+    });
+    const body = await res.json();
+    if (!res.ok || !body.success) throw new Error(body.message || `HTTP ${res.status}`);
+    this._remove(id);
+  }
+
+  /** @returns {Array<Object>} notes, oldest first */
+  getNotes() {
+    return [...this._notes];
+  }
+
+  /**
+   * Register a callback fired when the list changes.
+   * @param {function(Array<Object>, string)} callback - (notes, reason) where
+   *   reason is 'load' | 'add' | 'delete' | 'clear' (the Karoo started a new
+   *   ride and dropped the previous ride's notes)
+   */
+  onChange(callback) {
+    this._changeCallbacks.push(callback);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // INTERNALS
+  // ═══════════════════════════════════════════════════════
+
+  // Our own POST response and its broadcast both arrive — keep one copy
+  _upsert(note) {
+    if (this._notes.some((n) => n.id === note.id)) return;
+    this._notes.push(note);
+    this._notes.sort((a, b) => a.id - b.id);
+    this._notify("add");
+  }
+
+  _remove(id) {
+    const before = this._notes.length;
+    this._notes = this._notes.filter((n) => n.id !== id);
+    if (this._notes.length !== before) this._notify("delete");
+  }
+
+  _notify(reason) {
+    const notes = this.getNotes();
+    this._changeCallbacks.forEach((cb) => cb(notes, reason));
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SessionNotes;
+}
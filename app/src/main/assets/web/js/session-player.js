@@ -0,0 +1,378 @@
+/**
+ * Braven Lab Dashboard — Session Player
+ *
+ * Replays a recorded session through the dashboard for review, demos and
+ * staff training without a bike. Each recorded second is turned back into
+ * the SessionState message the Karoo would have broadcast (lap averages,
+ * last-lap summary, lactate) and delivered through the same onData
+ * interface as BravenWebSocketClient, so the renderer, charts and lap table
+ * behave exactly as they do live.
+ *
+ * Playback runs at SPEEDS × real time and can be paused, scrubbed and
+ * jumped to a lap. A private SessionRecorder follows the replay, so
+ * getSession() is what a live dashboard would have recorded up to the
+ * playhead (with the recording's notes, measurements and alerts up to it).
+ *
+ * Sources: a stored session (SessionStore) or an uploaded session JSON,
+ * samples CSV or FIT file (fromFile). No DOM dependencies.
+ */
+class SessionPlayer {
+  constructor() {
+    this._session = null;
+    this._states = [];
+    this._laps = []; // [{number, startElapsed}]
+    this._index = 0; // next state to deliver
+    this._speed = 1;
+    this._timer = null;
+    this._recorder = null; // follows the replay — see getSession()
+    this._counts = null; // annotations already copied into _recorder
+
+    this._dataCallbacks = [];
+    this._statusCallbacks = [];
+    this._changeCallbacks = [];
+  }
+
+  /** Playback speeds offered (× real time) */
+  static get SPEEDS() {
+    return [1, 2, 10];
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // SOURCES
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Read a session from an uploaded file: session JSON
+   * (SessionExport.json), samples CSV (SessionExport.samplesCsv) or FIT.
+   * @param {string} name - file name, its extension picks the format
+   * @param {ArrayBuffer|string} content - bytes for .fit, text otherwise
+   * @returns {Object} session (SessionRecorder shape)
+   * @throws {Error} if the file can't be read as a session
+   */
+  static fromFile(name, content) {
+    if (/\.fit$/i.test(name)) return FitFile.toSession(content);
+    if (/\.json$/i.test(name)) {
+      const session = JSON.parse(content);
+      if (!session || !Array.isArray(session.samples)) {
+        throw new Error("Not a session JSON — export \"Session JSON\" to replay");
+      }
+      return session;
+    }
+    if (/\.csv$/i.test(name)) {
+      const header = content.slice(0, content.indexOf("\n"));
+      if (!header.includes("elapsed_s") || !header.includes("power_w")) {
+        throw new Error("Not a samples CSV — export \"Samples CSV\" to replay");
+      }
+      const samples = SessionExport.parseCsv(content, SessionExport.SAMPLE_COLUMNS);
+      return { startTime: samples.length ? samples[0].t : null, samples };
+    }
+    throw new Error(`Unsupported file: ${name} (use .json, .csv or .fit)`);
+  }
+
+  /**
+   * Rebuild the SessionState messages of a recorded session, one per
+   * sample. Lap figures are running averages of the lap so far, like the
+   * Karoo's; lactate is the latest reading taken by then.
+   * @param {Object} session
+   * @returns {Array<Object>}
+   */
+  static toStates(session) {
+    const samples = session.samples || [];
+    const readings = [...(session.lactateReadings || [])].sort((a, b) => a.elapsed - b.elapsed);
+    const states = [];
+    let lap = null;
+    let lastLap = null;
+    let maxHeartRate = 0;
+    let reading = null;
+    let r = 0;
+
+    const avg = (acc) => (acc.count > 0 ? Math.round(acc.sum / acc.count) : 0);
+    const add = (acc, value) => {
+      if (value > 0) {
+        acc.sum += value;
+        acc.count++;
+      }
+    };
+
+    samples.forEach((s) => {
+      if (!lap || s.lapNumber !== lap.number) {
+        if (lap) lastLap = lap;
+        lap = {
+          number: s.lapNumber,
+          startElapsed: s.elapsed,
+          startDistance: s.distance,
+          time: 0,
+          distance: 0,
+          maxPower: 0,
+          power: { sum: 0, count: 0 },
+          heartRate: { sum: 0, count: 0 },
+          cadence: { sum: 0, count: 0 },
+        };
+      }
+      lap.time = s.elapsed - lap.startElapsed + 1;
+      lap.distance = Math.max(0, s.distance - lap.startDistance);
+      lap.maxPower = Math.max(lap.maxPower, s.power);
+      add(lap.power, s.power);
+      add(lap.heartRate, s.heartRate);
+      add(lap.cadence, s.cadence);
+      maxHeartRate = Math.max(maxHeartRate, s.heartRate);
+      while (r < readings.length && readings[r].elapsed <= s.elapsed) reading = readings[r++];
+
+      const speedOf = (l) => (l && l.time > 0 ? Math.round((l.distance / l.time) * 36000) / 10 : 0);
+      states.push({
+        timestamp: s.t,
+        elapsedTime: s.elapsed,
+        power: s.power,
+        power3sAvg: s.power3s,
+        heartRate: s.heartRate,
+        maxHeartRate,
+        cadence: s.cadence,
+        speed: s.speed,
+        averageSpeed: s.elapsed > 0 ? Math.round((s.distance / s.elapsed) * 36000) / 10 : 0,
+        distance: s.distance,
+        elevation: s.elevation,
+        grade: s.grade,
+        coreTemp: s.coreTemp,
+        vo2: s.vo2,
+        latitude: s.latitude,
+        longitude: s.longitude,
+        lapNumber: s.lapNumber,
+        lapTime: lap.time,
+        lapPower: avg(lap.power),
+        lapSpeed: speedOf(lap),
+        lapHeartRate: avg(lap.heartRate),
+        lapCadence: avg(lap.cadence),
+        lapDistance: lap.distance,
+        lapMaxPower: lap.maxPower,
+        lastLapTime: lastLap ? lastLap.time : 0,
+        lastLapPower: lastLap ? avg(lastLap.power) : 0,
+        lastLapSpeed: speedOf(lastLap),
+        lactate: reading ? reading.value : null,
+        lactateTimestamp: reading ? reading.t : null,
+        trainerTargetPower: s.trainerTarget ?? null,
+      });
+    });
+    return states;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // DATA SOURCE (BravenWebSocketClient interface)
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Register a callback for replayed ride data.
+   * @param {function(Object)} callback
+   */
+  onData(callback) {
+    this._dataCallbacks.push(callback);
+  }
+
+  /**
+   * Register a callback fired when a session is loaded (true) or unloaded.
+   * @param {function(boolean)} callback
+   */
+  onStatusChange(callback) {
+    this._statusCallbacks.push(callback);
+  }
+
+  /** @returns {boolean} a session is loaded */
+  isConnected() {
+    return this._session !== null;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // TRANSPORT
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Load a session, paused at its start.
+   * @param {Object} session - SessionRecorder shape
+   * @throws {Error} if the session has no samples
+   */
+  load(session) {
+    const states = SessionPlayer.toStates(session);
+    if (states.length === 0) throw new Error("Session has no samples to replay");
+    this.pause();
+    this._session = session;
+    this._states = states;
+    this._laps = [];
+    states.forEach((s) => {
+      const last = this._laps[this._laps.length - 1];
+      if (!last || last.number !== s.lapNumber) {
+        this._laps.push({ number: s.lapNumber, startElapsed: s.elapsedTime });
+      }
+    });
+    this._restart();
+    console.log(`[Player] Loaded ${states.length} samples, ${this._laps.length} laps`);
+    this._statusCallbacks.forEach((cb) => cb(true));
+    this._notify("load");
+  }
+
+  /** Stop and forget the session. */
+  unload() {
+    if (!this._session) return;
+    this.pause();
+    this._session = null;
+    this._states = [];
+    this._laps = [];
+    this._recorder = null;
+    this._statusCallbacks.forEach((cb) => cb(false));
+    this._notify("unload");
+  }
+
+  play() {
+    if (!this._session || this._timer) return;
+    // Replaying a finished session starts over from the top
+    if (this._index >= this._states.length) this.seek(this._states[0].elapsedTime);
+    this._timer = setInterval(() => this._step(), 1000 / this._speed);
+    this._notify("play");
+  }
+
+  pause() {
+    if (!this._timer) return;
+    clearInterval(this._timer);
+    this._timer = null;
+    this._notify("pause");
+  }
+
+  /**
+   * @param {number} speed - one of SPEEDS
+   */
+  setSpeed(speed) {
+    if (!SessionPlayer.SPEEDS.includes(speed)) throw new Error(`Unsupported speed: ${speed}`);
+    this._speed = speed;
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = setInterval(() => this._step(), 1000 / this._speed);
+    }
+    this._notify("speed");
+  }
+
+  /**
+   * Move the playhead to the first sample at or after `elapsed`. Everything
+   * before it is replayed silently into getSession(); listeners get a
+   * 'seek' change and should rebuild their view from getSession().
+   * @param {number} elapsed - seconds
+   */
+  seek(elapsed) {
+    if (!this._session) return;
+    let target = this._states.findIndex((s) => s.elapsedTime >= elapsed);
+    if (target < 0) target = this._states.length;
+    if (target < this._index) this._restart();
+    while (this._index < target) this._recorder.record(this._states[this._index++]);
+    this._syncAnnotations();
+    this._notify("seek");
+  }
+
+  /**
+   * Seek to the start of a lap.
+   * @param {number} lapNumber
+   */
+  jumpToLap(lapNumber) {
+    const lap = this._laps.find((l) => l.number === lapNumber);
+    if (lap) this.seek(lap.startElapsed);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // STATE
+  // ═══════════════════════════════════════════════════════
+
+  isPlaying() {
+    return this._timer !== null;
+  }
+
+  getSpeed() {
+    return this._speed;
+  }
+
+  /**
+   * @returns {{elapsed: number, start: number, end: number, lapNumber: number|null,
+   *   done: boolean}} playhead (last delivered sample) and session range, seconds
+   */
+  getPosition() {
+    const first = this._states[0];
+    const last = this._states[this._states.length - 1];
+    const current = this._states[this._index - 1];
+    return {
+      elapsed: current ? current.elapsedTime : first ? first.elapsedTime : 0,
+      start: first ? first.elapsedTime : 0,
+      end: last ? last.elapsedTime : 0,
+      lapNumber: current ? current.lapNumber : first ? first.lapNumber : null,
+      done: this._states.length > 0 && this._index >= this._states.length,
+    };
+  }
+
+  /** @returns {Array<{number: number, startElapsed: number}>} laps of the session */
+  getLaps() {
+    return this._laps.map((lap) => ({ ...lap }));
+  }
+
+  /**
+   * The session as recorded up to the playhead.
+   * @returns {Object|null} SessionRecorder.getSession() shape
+   */
+  getSession() {
+    if (!this._recorder) return null;
+    return { ...this._recorder.getSession(), id: this._session.id || "replay" };
+  }
+
+  /**
+   * Register a callback fired on every transport change and delivered sample.
+   * @param {function(string)} callback - reason: 'load' | 'unload' | 'play' |
+   *   'pause' | 'speed' | 'seek' | 'tick' | 'end'
+   */
+  onChange(callback) {
+    this._changeCallbacks.push(callback);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // INTERNALS
+  // ═══════════════════════════════════════════════════════
+
+  _restart() {
+    this._index = 0;
+    this._recorder = new SessionRecorder();
+    this._counts = { notes: -1, measurements: -1, alerts: 0 };
+  }
+
+  _step() {
+    if (this._index >= this._states.length) {
+      this.pause();
+      this._notify("end");
+      return;
+    }
+    const state = this._states[this._index++];
+    this._recorder.record(state);
+    this._syncAnnotations();
+    this._dataCallbacks.forEach((cb) => cb(state));
+    this._notify("tick");
+  }
+
+  // Notes, measurements and alerts of the recording, up to the playhead
+  _syncAnnotations() {
+    const elapsed = this.getPosition().elapsed;
+    const upTo = (items) => (items || []).filter((item) => item.elapsed <= elapsed);
+
+    const notes = upTo(this._session.notes);
+    if (notes.length !== this._counts.notes) {
+      this._counts.notes = notes.length;
+      this._recorder.setNotes(notes);
+    }
+    const measurements = upTo(this._session.measurements);
+    if (measurements.length !== this._counts.measurements) {
+      this._counts.measurements = measurements.length;
+      this._recorder.setMeasurements(measurements);
+    }
+    const alerts = upTo(this._session.alerts);
+    alerts.slice(this._counts.alerts).forEach((a) => this._recorder.addAlert(a));
+    this._counts.alerts = alerts.length;
+  }
+
+  _notify(reason) {
+    this._changeCallbacks.forEach((cb) => cb(reason));
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SessionPlayer;
+}
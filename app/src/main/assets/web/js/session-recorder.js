@@ -0,0 +1,374 @@
+/**
+ * Braven Lab Dashboard — Session Recorder
+ *
+ * Keeps a second-by-second record of everything that arrives through
+ * BravenWebSocketClient.onData, plus lap summaries and lactate readings,
+ * any alerts raised during the ride, the coach's notes and manual
+ * measurements (RPE, glucose, …), so the session can be exported after the
+ * fact. One sample is stored per elapsed second; nothing is recorded while
+ * the Karoo ride is idle.
+ */
+class SessionRecorder {
+  constructor() {
+    this._changeCallbacks = [];
+    this.reset();
+  }
+
+  /**
+   * Start a fresh, empty session.
+   */
+  reset() {
+    this._session = {
+      id: SessionRecorder._newId(),
+      startTime: null, // unix ms of the first sample
+      samples: [],
+      laps: [],
+      lactateReadings: [],
+      alerts: [],
+      notes: [],
+      measurements: [],
+    };
+    this._lapAnnotations = {};
+    this._lastElapsed = null;
+    this._lastLapNumber = null;
+    this._lastLactateTimestamp = undefined;
+    this._currentLapStart = null; // index into samples
+  }
+
+  /**
+   * Follow a data source (e.g. a BravenWebSocketClient).
+   * @param {{onData: function(function(Object))}} client
+   */
+  attach(client) {
+    client.onData((data) => this.record(data));
+  }
+
+  /**
+   * Register a callback fired when a sample, lap or reading is added.
+   * @param {function(string, Object)} callback - (kind, item) where kind is
+   *   'sample' | 'lap' | 'lactate' | 'alert' | 'note' | 'noteRemoved' |
+   *   'measurement' | 'measurementRemoved'
+   */
+  onChange(callback) {
+    this._changeCallbacks.push(callback);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // RECORDING
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Feed a SessionState message.
+   * @param {Object} data
+   */
+  record(data) {
+    this._recordLactate(data);
+
+    const elapsed = data.elapsedTime;
+    if (elapsed === undefined || elapsed <= 0) return;
+
+    // Karoo started a new ride — elapsed time went backwards
+    if (this._lastElapsed !== null && elapsed < this._lastElapsed) {
+      console.log("[Recorder] Elapsed time reset — starting new session");
+      this.reset();
+    }
+    if (elapsed === this._lastElapsed) return;
+    this._lastElapsed = elapsed;
+
+    // Lap boundary — close the previous lap before adding this sample
+    if (
+      data.lapNumber !== undefined &&
+      this._lastLapNumber !== null &&
+      data.lapNumber > this._lastLapNumber
+    ) {
+      this._closeLap(this._lastLapNumber);
+    }
+    if (data.lapNumber !== undefined) this._lastLapNumber = data.lapNumber;
+
+    const sample = SessionRecorder.toSample(data);
+    if (this._session.startTime === null) this._session.startTime = sample.t;
+    if (this._currentLapStart === null) {
+      this._currentLapStart = this._session.samples.length;
+    }
+    this._session.samples.push(sample);
+    this._notify("sample", sample);
+  }
+
+  /**
+   * Reduce a SessionState message to the fields worth keeping per second.
+   * @param {Object} data
+   * @returns {Object}
+   */
+  static toSample(data) {
+    return {
+      t: data.timestamp || Date.now(),
+      elapsed: data.elapsedTime,
+      power: data.power || 0,
+      power3s: data.power3sAvg || 0,
+      heartRate: data.heartRate || 0,
+      cadence: data.cadence || 0,
+      speed: data.speed || 0, // km/h
+      distance: data.distance || 0, // km
+      elevation: data.elevation || 0,
+      grade: data.grade || 0,
+      coreTemp: data.coreTemp || 0,
+      vo2: data.vo2 || 0,
+      lapNumber: data.lapNumber || 1,
+      trainerTarget: data.trainerTargetPower ?? null,
+      latitude: data.latitude || 0,
+      longitude: data.longitude || 0,
+    };
+  }
+
+  _recordLactate(data) {
+    if (data.lactateTimestamp === undefined) return;
+    const isBaseline = this._lastLactateTimestamp === undefined;
+    if (data.lactateTimestamp === this._lastLactateTimestamp) return;
+    this._lastLactateTimestamp = data.lactateTimestamp;
+    // A reading already present when the page opened belongs to an earlier session
+    if (isBaseline || data.lactate == null) return;
+    const startTime = this._session.startTime;
+    if (startTime !== null && data.lactateTimestamp < startTime) return;
+
+    // Backdated readings (drawn offsetSeconds ago) are placed at the draw
+    const offset = Math.max(0, (data.timestamp || Date.now()) - data.lactateTimestamp) / 1000;
+    const elapsed = Math.max(0, Math.round((data.elapsedTime || 0) - offset));
+    const reading = {
+      t: data.lactateTimestamp,
+      elapsed,
+      lapNumber: this._lapAt(elapsed) ?? (data.lapNumber || 1),
+      value: data.lactate,
+    };
+    this._session.lactateReadings.push(reading);
+    this._notify("lactate", reading);
+
+    // Backdated into a lap that has already closed
+    const lap = this._session.laps.find((l) => l.number === reading.lapNumber);
+    if (lap) {
+      lap.lactate = reading.value;
+      this._notify("lap", lap);
+    }
+  }
+
+  // Lap number of the last sample at or before `elapsed`, if any
+  _lapAt(elapsed) {
+    const samples = this._session.samples;
+    for (let i = samples.length - 1; i >= 0; i--) {
+      if (samples[i].elapsed <= elapsed) return samples[i].lapNumber;
+    }
+    return null;
+  }
+
+  _closeLap(lapNumber) {
+    const lap = this._summarizeLap(lapNumber, this._currentLapStart, this._session.samples.length);
+    this._currentLapStart = null;
+    if (!lap) return;
+    Object.assign(lap, this._lapAnnotations[lapNumber]);
+    delete this._lapAnnotations[lapNumber];
+    this._session.laps.push(lap);
+    this._notify("lap", lap);
+  }
+
+  /**
+   * Aggregate samples [from, to) into a lap summary.
+   */
+  _summarizeLap(lapNumber, from, to) {
+    if (from === null || to <= from) return null;
+    const samples = this._session.samples.slice(from, to);
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+
+    const avg = (key) => {
+      const vals = samples.map((s) => s[key]).filter((v) => v > 0);
+      return vals.length ? Math.round(vals.reduce((a, b) => a + b, 0) / vals.length) : 0;
+    };
+    const max = (key) => samples.reduce((m, s) => Math.max(m, s[key] || 0), 0);
+    const targets = samples.map((s) => s.trainerTarget).filter((v) => v != null);
+    const readings = this._session.lactateReadings.filter((r) => r.lapNumber === lapNumber);
+
+    return {
+      number: lapNumber,
+      startTime: first.t,
+      startElapsed: first.elapsed,
+      duration: last.elapsed - first.elapsed + 1,
+      avgPower: avg("power"),
+      maxPower: max("power"),
+      avgHeartRate: avg("heartRate"),
+      maxHeartRate: max("heartRate"),
+      avgCadence: avg("cadence"),
+      distance: Math.max(0, last.distance - first.distance),
+      lactate: readings.length ? readings[readings.length - 1].value : null,
+      trainerTarget: targets.length ? targets[targets.length - 1] : null,
+      measurements: SessionRecorder._lapMeasurements(this._session.measurements, lapNumber),
+    };
+  }
+
+  /**
+   * Merge fields into a lap (e.g. a late lactate reading from the step-test
+   * protocol). Held until the lap completes if it is still in progress.
+   * @param {number} lapNumber
+   * @param {Object} fields
+   */
+  annotateLap(lapNumber, fields) {
+    const lap = this._session.laps.find((l) => l.number === lapNumber);
+    if (lap) {
+      Object.assign(lap, fields);
+      this._notify("lap", lap);
+    } else {
+      this._lapAnnotations[lapNumber] = { ...this._lapAnnotations[lapNumber], ...fields };
+    }
+  }
+
+  /**
+   * Add an alert (from AlertEngine) to the session's alert log.
+   * @param {Object} alert
+   */
+  addAlert(alert) {
+    this._session.alerts.push(alert);
+    this._notify("alert", alert);
+  }
+
+  /**
+   * Mirror the ride's coach notes (SessionNotes, kept by the Karoo) into the
+   * session, notifying each addition and removal.
+   * @param {Array<Object>} notes
+   */
+  setNotes(notes) {
+    const ids = new Set(notes.map((n) => n.id));
+    const known = new Set(this._session.notes.map((n) => n.id));
+    this._session.notes
+      .filter((n) => !ids.has(n.id))
+      .forEach((n) => this._notify("noteRemoved", { id: n.id }));
+    this._session.notes = [...notes];
+    notes.filter((n) => !known.has(n.id)).forEach((n) => this._notify("note", n));
+  }
+
+  /**
+   * Mirror the ride's manual measurements (ManualMeasurements, kept by the
+   * Karoo) into the session, notifying each addition and removal. Completed
+   * laps they belong to are updated too.
+   * @param {Array<Object>} measurements
+   */
+  setMeasurements(measurements) {
+    const ids = new Set(measurements.map((m) => m.id));
+    const known = new Set(this._session.measurements.map((m) => m.id));
+    const removed = this._session.measurements.filter((m) => !ids.has(m.id));
+    const added = measurements.filter((m) => !known.has(m.id));
+    this._session.measurements = [...measurements];
+    removed.forEach((m) => this._notify("measurementRemoved", { id: m.id }));
+    added.forEach((m) => this._notify("measurement", m));
+
+    const laps = new Set([...removed, ...added].map((m) => m.lap));
+    this._session.laps
+      .filter((lap) => laps.has(lap.number))
+      .forEach((lap) => {
+        lap.measurements = SessionRecorder._lapMeasurements(measurements, lap.number);
+        this._notify("lap", lap);
+      });
+  }
+
+  // Latest value of each measurement type taken during the lap
+  static _lapMeasurements(measurements, lapNumber) {
+    const values = {};
+    measurements
+      .filter((m) => m.lap === lapNumber)
+      .forEach((m) => {
+        values[m.type] = m.value;
+      });
+    return values;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // ACCESS
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * The recorded session, with the lap in progress summarised as a final
+   * (partial) lap.
+   * @returns {{id: string, startTime: number|null, samples: Array, laps: Array, lactateReadings: Array, alerts: Array, notes: Array, measurements: Array}}
+   */
+  getSession() {
+    const laps = [...this._session.laps];
+    if (this._lastLapNumber !== null) {
+      const current = this._summarizeLap(
+        this._lastLapNumber,
+        this._currentLapStart,
+        this._session.samples.length,
+      );
+      if (current) laps.push({ ...current, ...this._lapAnnotations[this._lastLapNumber] });
+    }
+    return { ...this._session, laps };
+  }
+
+  hasData() {
+    return this._session.samples.length > 0;
+  }
+
+  /**
+   * Lightweight description of the session (for the session list).
+   * @returns {{id: string, startTime: number|null, lastElapsed: number, sampleCount: number, lapCount: number, lactateCount: number, alertCount: number, noteCount: number, measurementCount: number}}
+   */
+  getSummary() {
+    return {
+      id: this._session.id,
+      startTime: this._session.startTime,
+      lastElapsed: this._lastElapsed || 0,
+      sampleCount: this._session.samples.length,
+      lapCount: this._session.laps.length,
+      lactateCount: this._session.lactateReadings.length,
+      alertCount: this._session.alerts.length,
+      noteCount: this._session.notes.length,
+      measurementCount: this._session.measurements.length,
+    };
+  }
+
+  /**
+   * Continue recording into a previously stored session (e.g. after a page
+   * reload). Laps in `session.laps` must be completed laps only.
+   * @param {Object} session - SessionStore.loadSession() result
+   */
+  restore(session) {
+    this.reset();
+    const samples = session.samples || [];
+    this._session = {
+      id: session.id,
+      startTime: session.startTime ?? (samples.length ? samples[0].t : null),
+      samples: [...samples],
+      laps: [...(session.laps || [])],
+      lactateReadings: [...(session.lactateReadings || [])],
+      alerts: [...(session.alerts || [])],
+      notes: [...(session.notes || [])],
+      measurements: [...(session.measurements || [])],
+    };
+
+    const last = samples[samples.length - 1];
+    if (last) {
+      this._lastElapsed = last.elapsed;
+      this._lastLapNumber = last.lapNumber;
+      const start = samples.findIndex((s) => s.lapNumber === last.lapNumber);
+      this._currentLapStart = start >= 0 ? start : null;
+    }
+    // Readings newer than this are ones missed while the page was away;
+    // with none stored, any reading from this session counts
+    const readings = this._session.lactateReadings;
+    this._lastLactateTimestamp = readings.length > 0 ? readings[readings.length - 1].t : null;
+    console.log(`[Recorder] Restored session ${session.id} (${samples.length} samples)`);
+  }
+
+  _notify(kind, item) {
+    this._changeCallbacks.forEach((cb) => cb(kind, item));
+  }
+
+  static _newId() {
+    const d = new Date();
+    const pad = (n) => n.toString().padStart(2, "0");
+    return (
+      `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-` +
+      `${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`
+    );
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SessionRecorder;
+}
@@ -0,0 +1,628 @@
+/**
+ * Braven Lab Dashboard — Session Report
+ *
+ * Builds a printable, self-contained HTML report from a recorded session
+ * (SessionRecorder shape): athlete profile, protocol, session summary, lap
+ * table with power/HR/cadence/lactate, session and lactate-curve charts
+ * (inline SVG), threshold estimates, alerts, the timestamped notes timeline
+ * and the coach's summary notes. The browser's
+ * print dialog turns it into a PDF.
+ *
+ * The look is driven by a template — lab name, title, logo (data URL, so
+ * the report stays self-contained), accent colour, footer and the list of
+ * sections in order — remembered per display, so each lab can brand it.
+ *
+ * Building is pure string work with no DOM dependencies; open() and
+ * download() need a browser.
+ */
+class SessionReport {
+  static get STORAGE_KEY() {
+    return "braven.report.template";
+  }
+
+  /** Section ids in their default order, with headings */
+  static get SECTIONS() {
+    return {
+      profile: "Athlete",
+      protocol: "Protocol",
+      summary: "Session Summary",
+      laps: "Laps",
+      chart: "Session Chart",
+      lactate: "Lactate Curve",
+      thresholds: "Threshold Estimates",
+      alerts: "Alerts",
+      timeline: "Notes Timeline",
+      notes: "Coach Notes",
+    };
+  }
+
+  static get DEFAULT_TEMPLATE() {
+    return {
+      title: "Lab Test Report",
+      labName: "Braven Performance Lab",
+      logoDataUrl: "",
+      accentColor: "#7c3aed",
+      footer: "",
+      sections: Object.keys(SessionReport.SECTIONS),
+    };
+  }
+
+  /**
+   * Fill in defaults and drop unknown sections or unsafe values.
+   * @param {Object} [template]
+   * @returns {Object}
+   */
+  static normalizeTemplate(template = {}) {
+    const defaults = SessionReport.DEFAULT_TEMPLATE;
+    const text = (v, fallback) => (typeof v === "string" ? v.slice(0, 200) : fallback);
+    const sections = Array.isArray(template.sections)
+      ? template.sections.filter((s) => s in SessionReport.SECTIONS)
+      : defaults.sections;
+    return {
+      title: text(template.title, defaults.title),
+      labName: text(template.labName, defaults.labName),
+      logoDataUrl: /^data:image\/[a-z+.-]+;base64,/i.test(template.logoDataUrl || "")
+        ? template.logoDataUrl
+        : "",
+      accentColor: /^#[0-9a-f]{6}$/i.test(template.accentColor || "")
+        ? template.accentColor
+        : defaults.accentColor,
+      footer: text(template.footer, defaults.footer),
+      sections: [...new Set(sections)],
+    };
+  }
+
+  /**
+   * Template saved on this display, or the default.
+   * @param {Storage|null} storage
+   * @returns {Object}
+   */
+  static loadTemplate(storage) {
+    try {
+      const saved = storage && JSON.parse(storage.getItem(SessionReport.STORAGE_KEY));
+      if (saved) return SessionReport.normalizeTemplate(saved);
+    } catch (err) {
+      console.warn("[Report] Ignoring saved template:", err);
+    }
+    return SessionReport.DEFAULT_TEMPLATE;
+  }
+
+  /**
+   * @param {Storage|null} storage
+   * @param {Object} template
+   * @returns {Object} the normalized template that was saved
+   */
+  static saveTemplate(storage, template) {
+    const normalized = SessionReport.normalizeTemplate(template);
+    if (storage) storage.setItem(SessionReport.STORAGE_KEY, JSON.stringify(normalized));
+    return normalized;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // REPORT
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Build the report document.
+   * @param {Object} data
+   * @param {Object} data.session - SessionRecorder.getSession() shape
+   * @param {Object} [data.profile] - AthleteProfile.get()
+   * @param {Object|null} [data.summary] - SessionMetrics.compute()
+   * @param {Object|null} [data.analysis] - LactateAnalysis.analyze()
+   * @param {Object|null} [data.protocol] - LactateProtocol config, if known
+   * @param {Array<Object>} [data.measurementTypes] - ManualMeasurements types
+   *   (labels for the lap table's measurement columns)
+   * @param {string} [data.notes]
+   * @param {number} [data.generatedAt]
+   * @param {Object} [template]
+   * @returns {string} complete HTML document
+   */
+  static build(data, template) {
+    const t = SessionReport.normalizeTemplate(template);
+    const esc = SessionReport._esc;
+    const session = data.session;
+    const started = session.startTime ? new Date(session.startTime) : null;
+    const athlete = (data.profile && data.profile.name) || "Athlete";
+
+    const renderers = {
+      profile: () => SessionReport._profileSection(data.profile),
+      protocol: () => SessionReport._protocolSection(session.laps, data.protocol),
+      summary: () => SessionReport._summarySection(data.summary),
+      laps: () =>
+        SessionReport._lapsSection(session.laps, session.measurements, data.measurementTypes),
+      chart: () => SessionReport.timelineSvg(session, t.accentColor),
+      lactate: () => (data.analysis ? SessionReport.lactateSvg(data.analysis, t.accentColor) : null),
+      thresholds: () => SessionReport._thresholdsSection(data.analysis),
+      alerts: () => SessionReport._alertsSection(session.alerts),
+      timeline: () => SessionReport._timelineSection(session.notes),
+      notes: () =>
+        data.notes && data.notes.trim()
+          ? `<p class="notes">${esc(data.notes.trim()).replace(/\n/g, "<br>")}</p>`
+          : null,
+    };
+
+    const sections = t.sections
+      .map((id) => {
+        const body = renderers[id]();
+        return body
+          ? `<section><h2>${esc(SessionReport.SECTIONS[id])}</h2>${body}</section>`
+          : "";
+      })
+      .join("\n");
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${esc(t.title)} — ${esc(athlete)}${started ? ` — ${started.toLocaleDateString()}` : ""}</title>
+<style>
+  :root { --accent: ${t.accentColor}; }
+  * { box-sizing: border-box; }
+  body { font: 12px/1.45 -apple-system, "Segoe UI", Inter, sans-serif; color: #171717; margin: 0; padding: 24px; }
+  header { display: flex; align-items: center; gap: 16px; border-bottom: 3px solid var(--accent); padding-bottom: 12px; }
+  header img { max-height: 48px; max-width: 160px; }
+  header .lab { font-size: 11px; text-transform: uppercase; letter-spacing: 0.1em; color: #525252; }
+  h1 { font-size: 20px; margin: 2px 0 0; }
+  header .meta { margin-left: auto; text-align: right; color: #525252; }
+  h2 { font-size: 12px; text-transform: uppercase; letter-spacing: 0.1em; color: var(--accent); margin: 20px 0 6px; }
+  section { break-inside: avoid; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { padding: 3px 6px; text-align: right; border-bottom: 1px solid #e5e5e5; font-variant-numeric: tabular-nums; }
+  th:first-child, td:first-child { text-align: left; }
+  th { font-size: 10px; text-transform: uppercase; color: #737373; font-weight: 600; }
+  dl { display: grid; grid-template-columns: repeat(4, 1fr); gap: 6px 16px; margin: 0; }
+  dt { font-size: 10px; text-transform: uppercase; color: #737373; }
+  dd { margin: 0; font-size: 14px; font-weight: 600; font-variant-numeric: tabular-nums; }
+  svg { width: 100%; height: auto; }
+  .notes { white-space: normal; }
+  .muted { color: #737373; }
+  footer { margin-top: 24px; padding-top: 8px; border-top: 1px solid #e5e5e5; font-size: 10px; color: #737373; display: flex; justify-content: space-between; }
+  @media print { body { padding: 0; } @page { margin: 14mm; } }
+</style>
+</head>
+<body>
+<header>
+  ${t.logoDataUrl ? `<img src="${esc(t.logoDataUrl)}" alt="">` : ""}
+  <div>
+    <div class="lab">${esc(t.labName)}</div>
+    <h1>${esc(t.title)}</h1>
+  </div>
+  <div class="meta">
+    <div><strong>${esc(athlete)}</strong></div>
+    <div>${started ? esc(started.toLocaleString()) : ""}</div>
+    <div>Session ${esc(session.id || "")}</div>
+  </div>
+</header>
+${sections}
+<footer>
+  <span>${esc(t.footer)}</span>
+  <span>Generated ${esc(new Date(data.generatedAt || Date.now()).toLocaleString())}</span>
+</footer>
+</body>
+</html>`;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // SECTIONS
+  // ═══════════════════════════════════════════════════════
+
+  static _facts(items) {
+    const shown = items.filter(([, value]) => value !== null && value !== undefined && value !== "");
+    if (shown.length === 0) return null;
+    const esc = SessionReport._esc;
+    return `<dl>${shown.map(([label, value]) => `<dt>${esc(label)}</dt><dd>${esc(value)}</dd>`).join("")}</dl>`;
+  }
+
+  static _profileSection(profile) {
+    if (!profile) return null;
+    const unit = (v, u) => (v ? `${v} ${u}` : null);
+    return SessionReport._facts([
+      ["Name", profile.name || null],
+      ["Weight", unit(profile.weight, "kg")],
+      ["FTP", unit(profile.ftp, "W")],
+      ["FTP / kg", profile.ftp && profile.weight ? (profile.ftp / profile.weight).toFixed(2) : null],
+      ["LTHR", unit(profile.lthr, "bpm")],
+      ["HR max", unit(profile.hrMax, "bpm")],
+      ["HR rest", unit(profile.hrRest, "bpm")],
+      ["VO2max", unit(profile.vo2max, "ml/kg/min")],
+    ]);
+  }
+
+  static _protocolSection(laps, config) {
+    const protocol = SessionReport.describeProtocol(laps, config);
+    if (!protocol) return null;
+    const fmt = SessionReport.formatDuration;
+    return SessionReport._facts([
+      ["Type", protocol.source === "config" ? "Incremental step test" : "From lap targets"],
+      ["Start", protocol.startWatts !== null ? `${protocol.startWatts} W` : null],
+      ["Increment", protocol.increment !== null ? `${protocol.increment} W` : null],
+      ["Stage length", protocol.stageSeconds ? fmt(protocol.stageSeconds) : null],
+      ["Stages", protocol.stages],
+      ["Draw before stage end", protocol.drawOffset != null ? `${protocol.drawOffset} s` : null],
+    ]);
+  }
+
+  /**
+   * The step protocol of a session: the protocol configuration when it is
+   * known, otherwise inferred from the ERG targets of the laps.
+   * @param {Array<Object>} laps
+   * @param {Object|null} [config] - LactateProtocol config
+   * @returns {Object|null}
+   */
+  static describeProtocol(laps, config) {
+    if (config) {
+      return {
+        source: "config",
+        startWatts: config.startWatts,
+        increment: config.increment,
+        stageSeconds: config.stageSeconds,
+        stages: (laps || []).filter((l) => l.trainerTarget != null).length || config.maxStages,
+        drawOffset: config.drawOffset,
+      };
+    }
+    const steps = (laps || []).filter((l) => l.trainerTarget != null);
+    if (steps.length < 2) return null;
+    const increments = steps.slice(1).map((l, i) => l.trainerTarget - steps[i].trainerTarget);
+    const durations = steps.map((l) => l.duration).sort((a, b) => a - b);
+    return {
+      source: "laps",
+      startWatts: steps[0].trainerTarget,
+      increment: increments.every((d) => d === increments[0]) ? increments[0] : null,
+      stageSeconds: durations[Math.floor(durations.length / 2)],
+      stages: steps.length,
+      drawOffset: null,
+    };
+  }
+
+  static _summarySection(summary) {
+    if (!summary) return null;
+    const w = (v) => (v !== null ? `${v} W` : null);
+    return SessionReport._facts([
+      ["Duration", SessionReport.formatDuration(summary.duration)],
+      ["Avg power", w(summary.avgPower)],
+      ["NP", w(summary.np)],
+      ["Max power", w(summary.maxPower)],
+      ["IF", summary.intensityFactor],
+      ["TSS", summary.tss],
+      ["VI", summary.variabilityIndex],
+      ["Work", `${summary.kj} kJ`],
+      ["Avg HR", summary.avgHeartRate ? `${summary.avgHeartRate} bpm` : null],
+      ["Max HR", summary.maxHeartRate ? `${summary.maxHeartRate} bpm` : null],
+      ["Avg cadence", summary.avgCadence ? `${summary.avgCadence} rpm` : null],
+      ["Pw:HR", summary.decoupling !== null ? `${summary.decoupling}%` : null],
+    ]);
+  }
+
+  static _lapsSection(laps, measurements, types = []) {
+    if (!laps || laps.length === 0) return null;
+    const dash = (v, digits = 0) => (v > 0 ? Number(v).toFixed(digits) : "—");
+    // One column per measurement type recorded in the session
+    const columns = [];
+    (measurements || []).forEach((m) => {
+      if (columns.some((c) => c.key === m.type)) return;
+      const type = types.find((t) => t.key === m.type);
+      columns.push(type || { key: m.type, short: m.type, unit: m.unit, step: 0.1 });
+    });
+    const value = (lap, type) => {
+      const v = (lap.measurements || {})[type.key];
+      if (v == null) return "—";
+      return typeof ManualMeasurements !== "undefined" ? ManualMeasurements.format(v, type) : v;
+    };
+    const rows = laps
+      .map(
+        (l) => `<tr>
+          <td>${l.number}</td>
+          <td>${SessionReport._clock(l.duration)}</td>
+          <td>${l.trainerTarget != null ? l.trainerTarget : "—"}</td>
+          <td>${dash(l.avgPower)}</td>
+          <td>${dash(l.maxPower)}</td>
+          <td>${dash(l.avgHeartRate)}</td>
+          <td>${dash(l.maxHeartRate)}</td>
+          <td>${dash(l.avgCadence)}</td>
+          <td>${l.lactate != null ? Number(l.lactate).toFixed(1) : l.incomplete ? "missed" : "—"}</td>
+          ${columns.map((c) => `<td>${value(l, c)}</td>`).join("")}
+        </tr>`,
+      )
+      .join("");
+    return `<table>
+      <thead><tr>
+        <th>Lap</th><th>Time</th><th>Target W</th><th>Avg W</th><th>Max W</th>
+        <th>Avg HR</th><th>Max HR</th><th>Cadence</th><th>Lactate</th>
+        ${columns.map((c) => `<th>${SessionReport._esc(c.unit ? `${c.short} (${c.unit})` : c.short)}</th>`).join("")}
+      </tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+  }
+
+  static _thresholdsSection(analysis) {
+    if (!analysis) return null;
+    const labels = {
+      lt1: "LT1",
+      lt2: "LT2",
+      obla2: "OBLA 2.0",
+      obla4: "OBLA 4.0",
+      dmax: "Dmax",
+      modDmax: "ModDmax",
+    };
+    const rows = Object.entries(labels)
+      .map(([key, label]) => {
+        const th = analysis.thresholds[key];
+        return `<tr>
+          <td>${label}</td>
+          <td>${th ? `${th.power} W` : "—"}</td>
+          <td>${th ? `${th.heartRate !== null ? th.heartRate : "—"}` : "—"}</td>
+          <td>${th ? th.lactate.toFixed(2) : "—"}</td>
+        </tr>`;
+      })
+      .join("");
+    return `<table>
+      <thead><tr><th>Threshold</th><th>Power</th><th>HR</th><th>Lactate</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p class="muted">Degree-${analysis.degree} polynomial fit through ${analysis.points.length}
+      readings; baseline ${analysis.baseline.toFixed(1)} mmol/L. Not extrapolated beyond
+      ${analysis.range[0]}–${analysis.range[1]} W.</p>`;
+  }
+
+  static _alertsSection(alerts) {
+    if (!alerts || alerts.length === 0) return null;
+    const esc = SessionReport._esc;
+    const rows = alerts
+      .map(
+        (a) => `<tr>
+          <td>${SessionReport._clock(a.elapsed || 0)}</td>
+          <td style="text-align:left">${esc(a.label)}</td>
+          <td>${esc(a.value)}</td>
+          <td>${esc(a.threshold)}</td>
+          <td>${esc(a.severity)}</td>
+        </tr>`,
+      )
+      .join("");
+    return `<table>
+      <thead><tr><th>Time</th><th style="text-align:left">Alert</th><th>Value</th><th>Limit</th><th>Severity</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+  }
+
+  static _timelineSection(notes) {
+    if (!notes || notes.length === 0) return null;
+    const esc = SessionReport._esc;
+    const rows = notes
+      .map(
+        (n, i) => `<tr>
+          <td>${i + 1}</td>
+          <td>${SessionReport._clock(n.elapsed || 0)}</td>
+          <td>${n.lap}</td>
+          <td style="text-align:left">${esc(SessionReport._noteLabel(n))}</td>
+        </tr>`,
+      )
+      .join("");
+    return `<table>
+      <thead><tr><th>#</th><th>Time</th><th>Lap</th><th style="text-align:left">Note</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+  }
+
+  static _noteLabel(note) {
+    return typeof SessionNotes !== "undefined"
+      ? SessionNotes.label(note)
+      : [note.tag, note.text].filter(Boolean).join(": ");
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // CHARTS (inline SVG, prints sharply)
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Power (and ERG target) and heart rate over the session, laps shaded,
+   * coach notes as numbered markers (matching the timeline table order).
+   * Samples are reduced to one point per horizontal unit.
+   * @param {Object} session
+   * @param {string} accent
+   * @returns {string|null}
+   */
+  static timelineSvg(session, accent) {
+    const samples = session.samples || [];
+    if (samples.length < 2) return null;
+    const W = 720;
+    const H = 220;
+    const m = { l: 40, r: 40, t: 10, b: 22 };
+    const pw = W - m.l - m.r;
+    const ph = H - m.t - m.b;
+    const t0 = samples[0].elapsed;
+    const t1 = samples[samples.length - 1].elapsed;
+    const span = Math.max(1, t1 - t0);
+    const x = (t) => m.l + ((t - t0) / span) * pw;
+
+    const maxPower = Math.max(100, ...samples.map((s) => Math.max(s.power || 0, s.trainerTarget || 0)));
+    const hrs = samples.map((s) => s.heartRate).filter((v) => v > 0);
+    const hrLo = hrs.length ? Math.max(0, Math.min(...hrs) - 10) : 40;
+    const hrHi = hrs.length ? Math.max(...hrs) + 10 : 200;
+    const yPower = (v) => m.t + ph - (v / (maxPower * 1.1)) * ph;
+    const yHr = (v) => m.t + ph - ((v - hrLo) / (hrHi - hrLo)) * ph;
+
+    const path = (key, y, keep) => {
+      const step = Math.max(1, Math.floor(samples.length / pw));
+      let d = "";
+      let pen = false;
+      for (let i = 0; i < samples.length; i += step) {
+        const v = samples[i][key];
+        if (!keep(v)) {
+          pen = false;
+          continue;
+        }
+        d += `${pen ? "L" : "M"}${x(samples[i].elapsed).toFixed(1)},${y(v).toFixed(1)}`;
+        pen = true;
+      }
+      return d;
+    };
+
+    const laps = (session.laps || [])
+      .filter((l, i) => i % 2 === 1)
+      .map(
+        (l) =>
+          `<rect x="${x(l.startElapsed).toFixed(1)}" y="${m.t}" width="${Math.max(0, x(l.startElapsed + l.duration) - x(l.startElapsed)).toFixed(1)}" height="${ph}" fill="#f5f5f5"/>`,
+      )
+      .join("");
+
+    const ticks = [];
+    const tickStep = [60, 300, 600, 900, 1800, 3600].find((s) => span / s <= 8) || 7200;
+    for (let t = Math.ceil(t0 / tickStep) * tickStep; t <= t1; t += tickStep) {
+      ticks.push(
+        `<text x="${x(t).toFixed(1)}" y="${H - 6}" text-anchor="middle">${SessionReport._clock(t)}</text>`,
+      );
+    }
+
+    const notes = (session.notes || [])
+      .map((n, i) =>
+        n.elapsed >= t0 && n.elapsed <= t1
+          ? `<line x1="${x(n.elapsed).toFixed(1)}" x2="${x(n.elapsed).toFixed(1)}" y1="${m.t}" y2="${m.t + ph}" stroke="#0284c7" stroke-dasharray="2 3"/>
+          <text x="${(x(n.elapsed) + 2).toFixed(1)}" y="${m.t + 9}" fill="#0284c7">${i + 1}</text>`
+          : "",
+      )
+      .join("");
+
+    return `<svg viewBox="0 0 ${W} ${H}" xmlns="http://www.w3.org/2000/svg" font-size="9" fill="#737373">
+      ${laps}
+      ${notes}
+      <rect x="${m.l}" y="${m.t}" width="${pw}" height="${ph}" fill="none" stroke="#e5e5e5"/>
+      <path d="${path("trainerTarget", yPower, (v) => v != null)}" fill="none" stroke="#f59e0b" stroke-width="1.2" stroke-dasharray="4 3"/>
+      <path d="${path("power", yPower, (v) => v >= 0)}" fill="none" stroke="${accent}" stroke-width="1"/>
+      <path d="${path("heartRate", yHr, (v) => v > 0)}" fill="none" stroke="#e11d48" stroke-width="1.2"/>
+      <text x="${m.l - 4}" y="${m.t + 8}" text-anchor="end">${Math.round(maxPower * 1.1)} W</text>
+      <text x="${m.l - 4}" y="${m.t + ph}" text-anchor="end">0</text>
+      <text x="${W - m.r + 4}" y="${m.t + 8}" fill="#e11d48">${Math.round(hrHi)} bpm</text>
+      <text x="${W - m.r + 4}" y="${m.t + ph}" fill="#e11d48">${Math.round(hrLo)}</text>
+      ${ticks.join("")}
+    </svg>`;
+  }
+
+  /**
+   * Measured lactate points, fitted curve and threshold markers.
+   * @param {Object} analysis - LactateAnalysis.analyze()
+   * @param {string} accent
+   * @returns {string}
+   */
+  static lactateSvg(analysis, accent) {
+    const W = 720;
+    const H = 240;
+    const m = { l: 40, r: 16, t: 10, b: 24 };
+    const pw = W - m.l - m.r;
+    const ph = H - m.t - m.b;
+    const [p0, p1] = analysis.range;
+    const pad = Math.max(10, (p1 - p0) * 0.05);
+    const xMin = p0 - pad;
+    const xMax = p1 + pad;
+    const yMax = Math.max(...analysis.points.map((p) => p.lactate)) * 1.15 || 1;
+    const x = (p) => m.l + ((p - xMin) / (xMax - xMin)) * pw;
+    const y = (l) => m.t + ph - (Math.max(0, l) / yMax) * ph;
+
+    let curve = "";
+    for (let i = 0; i <= 100; i++) {
+      const p = p0 + ((p1 - p0) * i) / 100;
+      const l = LactateAnalysis.polyval(analysis.coefficients, p);
+      curve += `${i === 0 ? "M" : "L"}${x(p).toFixed(1)},${y(l).toFixed(1)}`;
+    }
+    const points = analysis.points
+      .map((p) => `<circle cx="${x(p.power).toFixed(1)}" cy="${y(p.lactate).toFixed(1)}" r="3" fill="#e11d48"/>`)
+      .join("");
+    const markers = [
+      ["lt1", "LT1", "#16a34a"],
+      ["lt2", "LT2", "#ca8a04"],
+      ["obla4", "OBLA 4", "#ea580c"],
+      ["dmax", "Dmax", "#9333ea"],
+    ]
+      .filter(([key]) => analysis.thresholds[key])
+      .map(([key, label, color]) => {
+        const px = x(analysis.thresholds[key].power).toFixed(1);
+        return `<line x1="${px}" x2="${px}" y1="${m.t}" y2="${m.t + ph}" stroke="${color}" stroke-dasharray="3 3"/>
+          <text x="${px}" y="${m.t + 9}" fill="${color}" text-anchor="middle">${label}</text>`;
+      })
+      .join("");
+    const ticks = [];
+    const step = [25, 50, 100].find((s) => (xMax - xMin) / s <= 10) || 200;
+    for (let p = Math.ceil(xMin / step) * step; p <= xMax; p += step) {
+      ticks.push(`<text x="${x(p).toFixed(1)}" y="${H - 8}" text-anchor="middle">${p} W</text>`);
+    }
+
+    return `<svg viewBox="0 0 ${W} ${H}" xmlns="http://www.w3.org/2000/svg" font-size="9" fill="#737373">
+      <rect x="${m.l}" y="${m.t}" width="${pw}" height="${ph}" fill="none" stroke="#e5e5e5"/>
+      ${markers}
+      <path d="${curve}" fill="none" stroke="${accent}" stroke-width="1.5"/>
+      ${points}
+      <text x="${m.l - 4}" y="${m.t + 8}" text-anchor="end">${yMax.toFixed(1)}</text>
+      <text x="${m.l - 4}" y="${m.t + ph}" text-anchor="end">0</text>
+      ${ticks.join("")}
+    </svg>`;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // OUTPUT
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Open a built report in a new tab and bring up the print dialog there.
+   * @param {string} html
+   * @returns {boolean} false if the popup was blocked
+   */
+  static open(html) {
+    const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+    const win = window.open(url, "_blank");
+    if (!win) {
+      URL.revokeObjectURL(url);
+      return false;
+    }
+    win.addEventListener("load", () => win.print());
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+    return true;
+  }
+
+  /**
+   * Download a built report as a standalone .html file.
+   * @param {string} html
+   * @param {Object} session
+   */
+  static download(html, session) {
+    const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `braven-${session.id || "session"}-report.html`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // FORMATTING
+  // ═══════════════════════════════════════════════════════
+
+  /** "1 h 04 min", "12 min 30 s", "4 min" */
+  static formatDuration(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const min = Math.floor((seconds % 3600) / 60);
+    const s = Math.round(seconds % 60);
+    if (h > 0) return `${h} h ${String(min).padStart(2, "0")} min`;
+    if (min > 0) return s > 0 ? `${min} min ${s} s` : `${min} min`;
+    return `${s} s`;
+  }
+
+  static _clock(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = Math.round(seconds % 60);
+    const pad = (n) => String(n).padStart(2, "0");
+    return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+  }
+
+  static _esc(value) {
+    return String(value ?? "").replace(
+      /[&<>"']/g,
+      (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c],
+    );
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SessionReport;
+}
@@ -0,0 +1,306 @@
+/**
+ * Braven Lab Dashboard — Session Store
+ *
+ * Persists SessionRecorder sessions to IndexedDB so a tab reload or a tablet
+ * going to sleep mid-test doesn't lose the graphs and lap/lactate table.
+ * Writes are queued and flushed in batches (one transaction every couple of
+ * seconds, plus immediately when the page is hidden).
+ *
+ * Object stores:
+ *   sessions — {id, startTime, updatedAt, lastElapsed, sampleCount, lapCount, lactateCount,
+ *              alertCount, noteCount, measurementCount}
+ *   samples  — keyed [sessionId, elapsed]
+ *   laps     — keyed [sessionId, number]
+ *   lactate  — keyed [sessionId, t]
+ *   alerts   — keyed [sessionId, t, ruleId]
+ *   notes    — keyed [sessionId, id]
+ *   measurements — keyed [sessionId, id]
+ */
+class SessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dbName]
+   * @param {number} [options.flushInterval] - ms between batched writes
+   * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation (mockable)
+   */
+  constructor(options = {}) {
+    this._dbName = options.dbName || "braven-dashboard";
+    this._flushInterval = options.flushInterval || 2000;
+    this._idb = options.indexedDB || (typeof indexedDB !== "undefined" ? indexedDB : null);
+
+    this._dbPromise = null;
+    this._queue = [];
+    this._metas = {}; // sessionId → latest summary awaiting write
+    this._flushTimer = null;
+  }
+
+  static get DB_VERSION() {
+    return 4;
+  }
+
+  /** Longest reload/sleep gap a session is resumed across */
+  static get MAX_RESUME_GAP_MS() {
+    return 12 * 60 * 60 * 1000;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // DATABASE
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Open (and create/upgrade) the database.
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this._dbPromise) return this._dbPromise;
+    this._dbPromise = new Promise((resolve, reject) => {
+      if (!this._idb) {
+        reject(new Error("IndexedDB not available"));
+        return;
+      }
+      const req = this._idb.open(this._dbName, SessionStore.DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("sessions")) {
+          db.createObjectStore("sessions", { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains("samples")) {
+          db.createObjectStore("samples", { keyPath: ["sessionId", "elapsed"] });
+        }
+        if (!db.objectStoreNames.contains("laps")) {
+          db.createObjectStore("laps", { keyPath: ["sessionId", "number"] });
+        }
+        if (!db.objectStoreNames.contains("lactate")) {
+          db.createObjectStore("lactate", { keyPath: ["sessionId", "t"] });
+        }
+        if (!db.objectStoreNames.contains("alerts")) {
+          db.createObjectStore("alerts", { keyPath: ["sessionId", "t", "ruleId"] });
+        }
+        if (!db.objectStoreNames.contains("notes")) {
+          db.createObjectStore("notes", { keyPath: ["sessionId", "id"] });
+        }
+        if (!db.objectStoreNames.contains("measurements")) {
+          db.createObjectStore("measurements", { keyPath: ["sessionId", "id"] });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    this._dbPromise.catch((err) => {
+      console.error("[Store] Failed to open IndexedDB:", err);
+      this._dbPromise = null;
+    });
+    return this._dbPromise;
+  }
+
+  /**
+   * Run `work(stores)` in one transaction; resolves with its return value
+   * once the transaction commits.
+   */
+  async _tx(storeNames, mode, work) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const stores = {};
+      storeNames.forEach((name) => (stores[name] = tx.objectStore(name)));
+      let result;
+      Promise.resolve(work(stores)).then((r) => (result = r), reject);
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  static _request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /** Key range covering every record of one session */
+  static _range(sessionId) {
+    return IDBKeyRange.bound([sessionId, -Infinity], [sessionId, Infinity]);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // RECORDING
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Persist everything a recorder captures from now on.
+   * @param {SessionRecorder} recorder
+   */
+  persist(recorder) {
+    recorder.onChange((kind, item) => {
+      const summary = recorder.getSummary();
+      this._metas[summary.id] = summary;
+      this._queue.push({ kind, sessionId: summary.id, item });
+      this._scheduleFlush();
+    });
+
+    if (typeof document !== "undefined") {
+      document.addEventListener("visibilitychange", () => {
+        if (document.hidden) this.flush();
+      });
+      window.addEventListener("pagehide", () => this.flush());
+    }
+  }
+
+  _scheduleFlush() {
+    if (this._flushTimer) return;
+    this._flushTimer = setTimeout(() => this.flush(), this._flushInterval);
+  }
+
+  /**
+   * Write all queued records in a single transaction.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this._flushTimer);
+    this._flushTimer = null;
+    if (this._queue.length === 0) return;
+
+    const batch = this._queue;
+    const metas = this._metas;
+    this._queue = [];
+    this._metas = {};
+    const storeFor = {
+      sample: "samples",
+      lap: "laps",
+      lactate: "lactate",
+      alert: "alerts",
+      note: "notes",
+      measurement: "measurements",
+    };
+
+    try {
+      await this._tx(["sessions", "samples", "laps", "lactate", "alerts", "notes", "measurements"], "readwrite", (s) => {
+        batch.forEach(({ kind, sessionId, item }) => {
+          if (kind === "noteRemoved") {
+            s.notes.delete([sessionId, item.id]);
+          } else if (kind === "measurementRemoved") {
+            s.measurements.delete([sessionId, item.id]);
+          } else {
+            s[storeFor[kind]].put({ ...item, sessionId });
+          }
+        });
+        Object.values(metas).forEach((meta) => {
+          s.sessions.put({ ...meta, updatedAt: Date.now() });
+        });
+      });
+    } catch (err) {
+      console.error("[Store] Failed to write batch:", err);
+      // Keep the data for the next attempt
+      this._queue = batch.concat(this._queue);
+      this._metas = { ...metas, ...this._metas };
+      this._scheduleFlush();
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // ACCESS
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Stored sessions, newest first.
+   * @returns {Promise<Array<Object>>}
+   */
+  async listSessions() {
+    const sessions = await this._tx(["sessions"], "readonly", (s) =>
+      SessionStore._request(s.sessions.getAll()),
+    );
+    return sessions.sort((a, b) => (b.startTime || 0) - (a.startTime || 0));
+  }
+
+  /**
+   * Most recently updated session, or null.
+   * @returns {Promise<Object|null>}
+   */
+  async latest() {
+    const sessions = await this.listSessions();
+    return sessions.reduce(
+      (best, s) => (!best || s.updatedAt > best.updatedAt ? s : best),
+      null,
+    );
+  }
+
+  /**
+   * Load a full session in SessionRecorder.getSession() shape.
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async loadSession(id) {
+    const strip = (records) => records.map(({ sessionId, ...rest }) => rest);
+    return this._tx(["sessions", "samples", "laps", "lactate", "alerts", "notes", "measurements"], "readonly", async (s) => {
+      const range = SessionStore._range(id);
+      const [meta, samples, laps, lactate, alerts, notes, measurements] = await Promise.all([
+        SessionStore._request(s.sessions.get(id)),
+        SessionStore._request(s.samples.getAll(range)),
+        SessionStore._request(s.laps.getAll(range)),
+        SessionStore._request(s.lactate.getAll(range)),
+        SessionStore._request(s.alerts.getAll(range)),
+        SessionStore._request(s.notes.getAll(range)),
+        SessionStore._request(s.measurements.getAll(range)),
+      ]);
+      if (!meta) return null;
+      return {
+        id,
+        startTime: meta.startTime,
+        samples: strip(samples),
+        laps: strip(laps),
+        lactateReadings: strip(lactate),
+        alerts: strip(alerts),
+        notes: strip(notes),
+        measurements: strip(measurements),
+      };
+    });
+  }
+
+  /**
+   * Delete a session and all its records.
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async deleteSession(id) {
+    this._queue = this._queue.filter((q) => q.sessionId !== id);
+    delete this._metas[id];
+    await this._tx(["sessions", "samples", "laps", "lactate", "alerts", "notes", "measurements"], "readwrite", (s) => {
+      const range = SessionStore._range(id);
+      s.sessions.delete(id);
+      s.samples.delete(range);
+      s.laps.delete(range);
+      s.lactate.delete(range);
+      s.alerts.delete(range);
+      s.notes.delete(range);
+      s.measurements.delete(range);
+    });
+    console.log(`[Store] Deleted session ${id}`);
+  }
+
+  /**
+   * Whether a live sample continues a stored session (page reloaded or the
+   * tablet slept mid-ride) rather than starting a new Karoo ride. Elapsed
+   * time only runs while riding, so it can't have advanced by more than the
+   * wall-clock time since the last write.
+   * @param {Object} meta - stored session summary
+   * @param {Object} data - first live SessionState with elapsedTime > 0
+   * @param {number} [now]
+   * @returns {boolean}
+   */
+  static isContinuation(meta, data, now = Date.now()) {
+    if (!meta || !data || !(data.elapsedTime > 0)) return false;
+    const wallGap = now - meta.updatedAt;
+    const elapsedGap = data.elapsedTime - meta.lastElapsed;
+    return (
+      wallGap >= 0 &&
+      wallGap < SessionStore.MAX_RESUME_GAP_MS &&
+      elapsedGap >= 0 &&
+      elapsedGap * 1000 <= wallGap + 30000
+    );
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SessionStore;
+}
@@ -2,18 +2,64 @@
  * Braven Lab Dashboard — WebSocket Client
  *
  * Manages the WebSocket connection to the Karoo extension server.
- * Auto-reconnects on disconnect with exponential backoff.
+ * Auto-reconnects on disconnect with exponential backoff, then backfills
+ * the samples missed while disconnected from /api/history.
+ *
+ * Connects to the Karoo that served the page unless given another host —
+ * the lab view holds one client per Karoo.
+ *
+ * Speaks protocol 2 of /live (see LiveProtocol.kt): a snapshot, then deltas
+ * merged into a LiveState, so onData still receives full states. Karoos
+ * with older firmware ignore ?protocol=2 and keep sending full states.
+ * Server events go to onEvent:
+ *   lap      {lapNumber, lap: {number, time, power, speed}}
+ *   lactate  {value, timestamp}
+ *   trainer  {state, deviceName, targetPower, error}
+ *   trainerDevices  {devices: [{name, address, rssi}]} — scan results
+ *   note / noteDeleted / notesCleared, measurement / measurementDeleted /
+ *   measurementsCleared
+ *
+ * Controls (laps, lactate, trainer) are commands on the same socket:
+ * command() resolves with the Karoo's reply or rejects on an error reply,
+ * a timeout or a dropped connection. Karoos that require pairing check the
+ * token the socket connected with; a refused command's error has a .code.
  */
 class BravenWebSocketClient {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.host] - Karoo "host:port" (defaults to the page's host)
+   * @param {function(): (string|null)} [options.token] - pairing token to
+   *   connect with, read on every (re)connect
+   */
+  constructor(options = {}) {
+    this._host = options.host || window.location.host;
+    this._token = options.token || (() => null);
     this._ws = null;
     this._dataCallbacks = [];
+    this._eventCallbacks = [];
     this._statusCallbacks = [];
+    this._deniedCallbacks = [];
     this._reconnectDelay = 1000;
     this._maxReconnectDelay = 10000;
     this._currentDelay = this._reconnectDelay;
     this._reconnectTimer = null;
     this._isConnected = false;
+
+    // Merged SessionState and the protocol the Karoo answered with
+    this._state = new LiveState();
+    this._protocol = 1;
+
+    // Commands awaiting a reply: id → {ws, resolve, reject, timer, acked}
+    this._pending = new Map();
+    this._nextCommandId = 1;
+    this._commandTimeout = 5000;
+
+    // Gap backfill — timestamp of the newest message delivered, and live
+    // messages held back while the missed range is fetched
+    this._lastTimestamp = null;
+    this._backfilling = false;
+    this._heldMessages = [];
+    this._backfillTimeout = 3000;
   }
 
   /**
@@ -24,6 +70,15 @@ class BravenWebSocketClient {
     this._dataCallbacks.push(callback);
   }
 
+  /**
+   * Register a callback for server events — messages carrying a `type`
+   * (e.g. {type: "note", note}), as opposed to ride data.
+   * @param {function(Object)} callback
+   */
+  onEvent(callback) {
+    this._eventCallbacks.push(callback);
+  }
+
   /**
    * Register a callback for connection status changes.
    * @param {function(boolean)} callback
@@ -33,12 +88,54 @@ class BravenWebSocketClient {
   }
 
   /**
-   * Determine the WebSocket URL based on the current page location.
-   * Uses the same host:port as the HTTP connection.
+   * Register a callback for commands the Karoo refused because this display
+   * isn't paired (any more) — the command's promise rejects as well.
+   * @param {function(Error)} callback - error with .code 'unauthorized' | 'expired'
+   */
+  onDenied(callback) {
+    this._deniedCallbacks.push(callback);
+  }
+
+  /** @returns {string} the Karoo "host:port" this client connects to */
+  getHost() {
+    return this._host;
+  }
+
+  /** @returns {boolean} */
+  isConnected() {
+    return this._isConnected;
+  }
+
+  /** @returns {Object|null} latest merged SessionState */
+  getState() {
+    return this._state.getState();
+  }
+
+  /** @returns {number} protocol version in use (1 until a Karoo says hello) */
+  getProtocol() {
+    return this._protocol;
+  }
+
+  /** Highest /live protocol version this client speaks */
+  static get PROTOCOL() {
+    return 2;
+  }
+
+  /**
+   * WebSocket URL on the client's host, matching the page's security.
    */
   _getWebSocketUrl() {
     const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
-    return `${protocol}//${window.location.host}/live`;
+    const token = this._token();
+    const auth = token ? `&token=${encodeURIComponent(token)}` : "";
+    return `${protocol}//${this._host}/live?protocol=${BravenWebSocketClient.PROTOCOL}${auth}`;
+  }
+
+  /**
+   * HTTP base URL of the client's host, for its REST endpoints.
+   */
+  _getHttpUrl() {
+    return `${window.location.protocol === "https:" ? "https:" : "http:"}//${this._host}`;
   }
 
   /**
@@ -67,21 +164,29 @@ class BravenWebSocketClient {
     this._ws.onopen = () => {
       console.log("[BravenWS] Connected");
       this._isConnected = true;
+      this._protocol = 1;
+      this._state.invalidate(); // deltas wait for this connection's snapshot
       this._currentDelay = this._reconnectDelay;
       this._notifyStatus(true);
+      // Reconnect (not first connect) — fetch what was broadcast meanwhile
+      if (this._lastTimestamp !== null) this._backfill(this._lastTimestamp);
     };
 
     this._ws.onmessage = (event) => {
+      let data;
       try {
-        const data = JSON.parse(event.data);
-        this._dataCallbacks.forEach((cb) => cb(data));
+        data = JSON.parse(event.data);
       } catch (e) {
         console.warn("[BravenWS] Failed to parse message:", e);
+        return;
       }
+      this._handleMessage(data);
     };
 
+    const ws = this._ws;
     this._ws.onclose = (event) => {
       console.log(`[BravenWS] Disconnected (code=${event.code})`);
+      this._rejectPending(ws, "Connection to the Karoo lost");
       this._isConnected = false;
       this._notifyStatus(false);
       this._scheduleReconnect();
@@ -148,6 +253,248 @@ class BravenWebSocketClient {
     this.connect();
   }
 
+  // ═══════════════════════════════════════════════════════
+  // PROTOCOL
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Route a parsed message: protocol messages update the merged state,
+   * other typed messages are events, untyped ones are protocol 1 states.
+   */
+  _handleMessage(data) {
+    switch (data.type) {
+      case "hello":
+        this._protocol = data.protocol;
+        console.log(`[BravenWS] Protocol ${data.protocol}`);
+        return;
+      case "ack": {
+        const pending = this._pending.get(data.id);
+        if (pending) pending.acked = true;
+        return;
+      }
+      case "reply":
+        this._settle(data);
+        return;
+      case "pong":
+        this._settle({ id: data.id, success: true, result: { serverTime: data.serverTime } });
+        return;
+      case "snapshot":
+        this._state.applySnapshot(data.state, data.seq);
+        this._deliver(this._state.getState());
+        return;
+      case "delta": {
+        const result = this._state.applyDelta(data.state, data.seq);
+        if (result === "applied") {
+          this._deliver(this._state.getState());
+        } else if (result === "gap") {
+          console.warn(`[BravenWS] Missed deltas before seq ${data.seq}, resyncing`);
+          this._send({ type: "resync" });
+        }
+        return;
+      }
+      default:
+        if (typeof data.type === "string") {
+          this._eventCallbacks.forEach((cb) => cb(data));
+          return;
+        }
+        this._state.replace(data);
+        this._deliver(data);
+    }
+  }
+
+  _send(message) {
+    if (!this._ws || this._ws.readyState !== WebSocket.OPEN) return;
+    try {
+      this._ws.send(JSON.stringify(message));
+    } catch (e) {
+      console.warn("[BravenWS] Failed to send:", e);
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // COMMANDS
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Send a command to the Karoo and wait for its reply.
+   * @param {string} command - e.g. "markLap", "trainerPower"
+   * @param {Object} [params]
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - ms to wait for the reply
+   * @returns {Promise<Object>} the command's result
+   * @throws {Error} if not connected, the Karoo doesn't speak protocol 2,
+   *   the command fails, or no reply arrives in time
+   */
+  command(command, params = {}, options = {}) {
+    return this._request({ type: "command", command, params }, command, options.timeout);
+  }
+
+  /**
+   * Application-level ping; the Karoo answers with its clock.
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - ms to wait for the pong
+   * @returns {Promise<{serverTime: number}>}
+   * @throws {Error} as command()
+   */
+  ping(options = {}) {
+    return this._request({ type: "ping" }, "ping", options.timeout);
+  }
+
+  /** @returns {Promise<Object>} */
+  markLap() {
+    return this.command("markLap");
+  }
+
+  /**
+   * @param {number} value - mmol/L
+   * @param {number} [offsetSeconds] - how long ago the sample was drawn
+   * @param {number|null} [ride] - rideStartTime of the ride it was drawn in;
+   *   the Karoo refuses it if that ride has ended
+   * @returns {Promise<Object>}
+   */
+  submitLactate(value, offsetSeconds = 0, ride = null) {
+    return this.command("lactate", ride !== null ? { value, offsetSeconds, ride } : { value, offsetSeconds });
+  }
+
+  /**
+   * Start a trainer scan; devices arrive as 'trainerDevices' events.
+   * @returns {Promise<Object>}
+   */
+  trainerScan() {
+    return this.command("trainerScan");
+  }
+
+  /**
+   * @param {string} address - BLE address from a scan
+   * @returns {Promise<Object>}
+   */
+  trainerConnect(address) {
+    return this.command("trainerConnect", { address });
+  }
+
+  /**
+   * @param {number} watts - ERG target, 0–2000
+   * @returns {Promise<Object>}
+   */
+  trainerSetPower(watts) {
+    return this.command("trainerPower", { watts });
+  }
+
+  /** @returns {Promise<Object>} */
+  trainerDisconnect() {
+    return this.command("trainerDisconnect");
+  }
+
+  _request(message, label, timeout = this._commandTimeout) {
+    if (!this._isConnected || !this._ws || this._ws.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error("Not connected to the Karoo"));
+    }
+    if (this._protocol < 2) {
+      return Promise.reject(new Error("This Karoo's firmware doesn't support commands"));
+    }
+    const id = `c${this._nextCommandId++}`;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const pending = this._pending.get(id);
+        this._pending.delete(id);
+        reject(new Error(`${label} timed out (${pending && pending.acked ? "no result" : "not acknowledged"})`));
+      }, timeout);
+      this._pending.set(id, { ws: this._ws, resolve, reject, timer, acked: false });
+      this._send({ ...message, id });
+    });
+  }
+
+  _settle(reply) {
+    const pending = this._pending.get(reply.id);
+    if (!pending) return; // already timed out
+    this._pending.delete(reply.id);
+    clearTimeout(pending.timer);
+    if (reply.success) {
+      pending.resolve(reply.result || {});
+    } else {
+      const err = new Error(reply.message || "Command failed");
+      // Set when the Karoo refused the command: 'unauthorized' | 'expired' | 'forbidden'
+      err.code = reply.code || null;
+      if (err.code === "unauthorized" || err.code === "expired") {
+        this._deniedCallbacks.forEach((cb) => cb(err));
+      }
+      pending.reject(err);
+    }
+  }
+
+  // Replies can't arrive on another socket — fail what was sent on this one
+  _rejectPending(ws, message) {
+    this._pending.forEach((pending, id) => {
+      if (pending.ws !== ws) return;
+      this._pending.delete(id);
+      clearTimeout(pending.timer);
+      pending.reject(new Error(message));
+    });
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // GAP BACKFILL
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Deliver a live state now, or after the backfill in progress.
+   */
+  _deliver(data) {
+    if (this._backfilling) {
+      this._heldMessages.push(data);
+    } else {
+      this._dispatch(data);
+    }
+  }
+
+  /**
+   * Request snapshots newer than `since` from /api/history and deliver them
+   * ahead of the live messages held back meanwhile, so every consumer sees
+   * the session in order. On failure the held messages are delivered as-is.
+   * @param {number} since - unix ms of the last delivered message
+   */
+  async _backfill(since) {
+    if (this._backfilling) return;
+    this._backfilling = true;
+
+    const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+    const timer = setTimeout(() => controller && controller.abort(), this._backfillTimeout);
+    try {
+      const res = await fetch(`${this._getHttpUrl()}/api/history?since=${since}`, {
+        signal: controller ? controller.signal : undefined,
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const { samples = [] } = await res.json();
+      const missed = samples
+        .filter((s) => s.timestamp > since)
+        .sort((a, b) => a.timestamp - b.timestamp);
+      if (missed.length > 0) {
+        console.log(`[BravenWS] Backfilling ${missed.length} missed sample(s)`);
+      }
+      missed.forEach((data) => this._dispatch(data));
+    } catch (e) {
+      console.warn("[BravenWS] Backfill failed:", e);
+    } finally {
+      clearTimeout(timer);
+      this._backfilling = false;
+      const held = this._heldMessages;
+      this._heldMessages = [];
+      held.forEach((data) => this._dispatch(data));
+    }
+  }
+
+  /**
+   * Deliver a message to data callbacks, dropping anything older than what
+   * was already delivered (overlap between history and live messages).
+   */
+  _dispatch(data) {
+    if (typeof data.timestamp === "number") {
+      if (this._lastTimestamp !== null && data.timestamp < this._lastTimestamp) return;
+      this._lastTimestamp = data.timestamp;
+    }
+    this._dataCallbacks.forEach((cb) => cb(data));
+  }
+
   _notifyStatus(connected) {
     this._statusCallbacks.forEach((cb) => cb(connected));
   }
@@ -0,0 +1,386 @@
+/**
+ * Braven Lab Dashboard — Structured ERG Workout Engine
+ *
+ * Compiles step, ramp and interval blocks into a flat timeline and drives
+ * the trainer's ERG target with the Karoo's trainerPower command. Progress
+ * is keyed to the session's elapsedTime, so pausing the ride on the Karoo
+ * also holds the workout. Has no DOM dependencies — can run headlessly
+ * against any object exposing onData() and trainerSetPower().
+ *
+ * Block formats:
+ *   { type: "step", duration: 300, target: { watts: 200 } }
+ *   { type: "ramp", duration: 600, from: { ftpPercent: 50 }, to: { ftpPercent: 100 } }
+ *   { type: "interval", repeats: 5,
+ *     on:  { duration: 180, target: { ftpPercent: 105 } },
+ *     off: { duration: 120, target: { watts: 120 } } }
+ */
+class WorkoutEngine {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ftp] - Athlete FTP (W), used for %FTP targets
+   */
+  constructor(options = {}) {
+    this._ftp = options.ftp || 0;
+    this._client = null;
+
+    this._name = "";
+    this._steps = [];
+    this._totalDuration = 0;
+
+    this._state = "idle"; // 'idle' | 'running' | 'paused' | 'finished'
+    this._position = 0; // seconds into the workout
+    this._stepIndex = -1;
+    this._lastElapsed = null;
+    this._lastSentWatts = null;
+
+    this._changeCallbacks = [];
+    this._stepCallbacks = [];
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // CONFIGURATION
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Set the FTP used to resolve %FTP targets. Takes effect on the next tick.
+   * @param {number} ftp - watts
+   */
+  setFtp(ftp) {
+    this._ftp = ftp > 0 ? ftp : 0;
+  }
+
+  /**
+   * Load a workout definition. Stops any workout in progress.
+   * @param {Array<Object>} blocks - step / ramp / interval blocks
+   * @param {string} [name]
+   */
+  load(blocks, name = "") {
+    this.stop();
+    this._name = name;
+    this._steps = WorkoutEngine.compile(blocks);
+    this._recomputeOffsets();
+    this._notifyChange();
+  }
+
+  /**
+   * Flatten blocks into a list of timed steps. Interval blocks expand into
+   * alternating on/off steps; a ramp stays a single step with start/end targets.
+   * @param {Array<Object>} blocks
+   * @returns {Array<Object>}
+   */
+  static compile(blocks) {
+    const steps = [];
+    (blocks || []).forEach((block, blockIndex) => {
+      switch (block.type) {
+        case "step":
+          steps.push({
+            kind: "step",
+            label: block.label || `Step ${blockIndex + 1}`,
+            duration: block.duration,
+            from: block.target,
+            to: block.target,
+            blockIndex,
+          });
+          break;
+        case "ramp":
+          steps.push({
+            kind: "ramp",
+            label: block.label || `Ramp ${blockIndex + 1}`,
+            duration: block.duration,
+            from: block.from,
+            to: block.to,
+            blockIndex,
+          });
+          break;
+        case "interval": {
+          const repeats = Math.max(1, block.repeats || 1);
+          for (let rep = 1; rep <= repeats; rep++) {
+            steps.push({
+              kind: "on",
+              label: `${block.label || "Interval"} ${rep}/${repeats}`,
+              duration: block.on.duration,
+              from: block.on.target,
+              to: block.on.target,
+              blockIndex,
+            });
+            if (block.off && block.off.duration > 0) {
+              steps.push({
+                kind: "off",
+                label: `Recovery ${rep}/${repeats}`,
+                duration: block.off.duration,
+                from: block.off.target,
+                to: block.off.target,
+                blockIndex,
+              });
+            }
+          }
+          break;
+        }
+        default:
+          console.warn(`[Workout] Unknown block type: ${block.type}`);
+      }
+    });
+    return steps.filter((s) => s.duration > 0);
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // CONTROL
+  // ═══════════════════════════════════════════════════════
+
+  start() {
+    if (this._steps.length === 0) return;
+    this._state = "running";
+    this._position = 0;
+    this._stepIndex = -1;
+    this._lastSentWatts = null;
+    console.log(`[Workout] Started "${this._name}" (${this._steps.length} steps)`);
+    this._advance();
+  }
+
+  pause() {
+    if (this._state !== "running") return;
+    this._state = "paused";
+    this._notifyChange();
+  }
+
+  resume() {
+    if (this._state !== "paused") return;
+    this._state = "running";
+    this._advance();
+  }
+
+  /**
+   * Jump to the start of the next step.
+   */
+  skip() {
+    if (this._state !== "running" && this._state !== "paused") return;
+    const step = this._steps[this._stepIndex];
+    if (!step) return;
+    this._position = step.start + step.duration;
+    this._advance();
+  }
+
+  /**
+   * Lengthen the current step; later steps shift accordingly.
+   * @param {number} seconds - may be negative to shorten (never below what has elapsed)
+   */
+  extend(seconds) {
+    const step = this._steps[this._stepIndex];
+    if (!step) return;
+    const minDuration = Math.ceil(this._position - step.start) + 1;
+    step.duration = Math.max(minDuration, step.duration + seconds);
+    this._recomputeOffsets();
+    this._advance();
+  }
+
+  stop() {
+    if (this._state === "idle") return;
+    this._state = "idle";
+    this._position = 0;
+    this._stepIndex = -1;
+    this._notifyChange();
+  }
+
+  /**
+   * Follow a client's elapsedTime and send ERG targets through it.
+   * @param {BravenWebSocketClient} client
+   */
+  attach(client) {
+    this._client = client;
+    client.onData((data) => this.update(data));
+  }
+
+  /**
+   * Feed a SessionState sample. Only elapsedTime is used; the workout
+   * advances by however far the session clock moved since the last sample.
+   * @param {Object} data
+   */
+  update(data) {
+    if (data.elapsedTime === undefined) return;
+    const elapsed = data.elapsedTime;
+    const delta = this._lastElapsed === null ? 0 : elapsed - this._lastElapsed;
+    this._lastElapsed = elapsed;
+
+    if (this._state !== "running") return;
+    // Negative delta = new ride on the Karoo; don't rewind the workout
+    if (delta > 0) this._position += delta;
+    this._advance();
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // EVENTS
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Register a callback fired whenever progress or state changes.
+   * @param {function(Object)} callback - receives getSnapshot()
+   */
+  onChange(callback) {
+    this._changeCallbacks.push(callback);
+  }
+
+  /**
+   * Register a callback fired when a new step begins.
+   * @param {function(Object, number)} callback - (step, index)
+   */
+  onStepChange(callback) {
+    this._stepCallbacks.push(callback);
+  }
+
+  /**
+   * Current progress for display.
+   * @returns {Object}
+   */
+  getSnapshot() {
+    const step = this._steps[this._stepIndex] || null;
+    const next = this._steps[this._stepIndex + 1] || null;
+    return {
+      name: this._name,
+      state: this._state,
+      position: this._position,
+      totalDuration: this._totalDuration,
+      stepIndex: this._stepIndex,
+      stepCount: this._steps.length,
+      step,
+      nextStep: next,
+      stepRemaining: step
+        ? Math.max(0, step.start + step.duration - this._position)
+        : 0,
+      targetWatts: step ? this._targetAt(step, this._position) : null,
+      nextTargetWatts: next ? this._resolveTarget(next.from) : null,
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // INTERNALS
+  // ═══════════════════════════════════════════════════════
+
+  _recomputeOffsets() {
+    let offset = 0;
+    this._steps.forEach((step) => {
+      step.start = offset;
+      offset += step.duration;
+    });
+    this._totalDuration = offset;
+  }
+
+  _advance() {
+    if (this._state !== "running" && this._state !== "paused") return;
+
+    if (this._position >= this._totalDuration) {
+      this._state = "finished";
+      this._stepIndex = this._steps.length - 1;
+      console.log(`[Workout] Finished "${this._name}"`);
+      this._notifyChange();
+      return;
+    }
+
+    const index = this._steps.findIndex(
+      (s) => this._position >= s.start && this._position < s.start + s.duration,
+    );
+    if (index !== this._stepIndex) {
+      this._stepIndex = index;
+      const step = this._steps[index];
+      this._stepCallbacks.forEach((cb) => cb(step, index));
+    }
+
+    if (this._state === "running") {
+      const watts = this._targetAt(this._steps[index], this._position);
+      if (watts !== null) this._sendTarget(watts);
+    }
+    this._notifyChange();
+  }
+
+  /**
+   * Target watts for a step at a workout position (ramps interpolate linearly).
+   */
+  _targetAt(step, position) {
+    const from = this._resolveTarget(step.from);
+    const to = this._resolveTarget(step.to);
+    if (from === null || to === null) return from ?? to;
+    if (from === to) return from;
+    const fraction = Math.min(1, Math.max(0, (position - step.start) / step.duration));
+    return Math.round(from + (to - from) * fraction);
+  }
+
+  _resolveTarget(target) {
+    if (!target) return null;
+    if (target.watts != null) return Math.round(target.watts);
+    if (target.ftpPercent != null && this._ftp > 0) {
+      return Math.round((this._ftp * target.ftpPercent) / 100);
+    }
+    return null;
+  }
+
+  _sendTarget(watts) {
+    const clamped = Math.max(0, Math.min(2000, watts));
+    if (clamped === this._lastSentWatts) return;
+    this._lastSentWatts = clamped;
+
+    Promise.resolve()
+      .then(() => {
+        if (!this._client) throw new Error("No Karoo client attached");
+        return this._client.trainerSetPower(clamped);
+      })
+      .catch((err) => {
+        console.error("[Workout] Failed to set target power:", err);
+        // Allow the next tick to retry
+        if (this._lastSentWatts === clamped) this._lastSentWatts = null;
+      });
+  }
+
+  _notifyChange() {
+    const snapshot = this.getSnapshot();
+    this._changeCallbacks.forEach((cb) => cb(snapshot));
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // PARSING HELPERS (builder UI)
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Parse "90", "1:30" or "1:00:00" into seconds.
+   * @param {string} text
+   * @returns {number|null} null for blank or malformed input (fractions,
+   *   minutes or seconds of 60 and above after the first part)
+   */
+  static parseDuration(text) {
+    const parts = String(text).trim().split(":");
+    if (parts.length > 3 || !parts.every((p) => /^\d+$/.test(p))) return null;
+    const numbers = parts.map(Number);
+    if (numbers.slice(1).some((n) => n >= 60)) return null;
+    return numbers.reduce((acc, n) => acc * 60 + n, 0);
+  }
+
+  /**
+   * Parse "200" (watts) or "75%" (percent of FTP) into a target object.
+   * @param {string} text
+   * @returns {{watts: number}|{ftpPercent: number}|null} null unless a
+   *   positive whole number of watts or a positive percentage
+   */
+  static parseTarget(text) {
+    const trimmed = String(text).trim();
+    const percent = trimmed.match(/^(\d+(?:\.\d+)?)\s*%$/);
+    if (percent) {
+      const pct = Number(percent[1]);
+      return pct > 0 ? { ftpPercent: pct } : null;
+    }
+    if (!/^\d+$/.test(trimmed)) return null;
+    const watts = Number(trimmed);
+    return watts > 0 ? { watts } : null;
+  }
+
+  /**
+   * Format a target object for display ("200 W" / "75%").
+   */
+  static formatTarget(target) {
+    if (!target) return "--";
+    if (target.watts != null) return `${target.watts} W`;
+    if (target.ftpPercent != null) return `${target.ftpPercent}%`;
+    return "--";
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = WorkoutEngine;
+}
@@ -0,0 +1,98 @@
+/**
+ * Braven Lab Dashboard — Service Worker
+ *
+ * Keeps the dashboard shell (pages, scripts, fonts, icons) in Cache Storage
+ * so it opens instantly over weak Wi-Fi and still opens when the Karoo is
+ * out of reach. Shell files are served from the cache and refreshed in the
+ * background (stale-while-revalidate), so an updated extension is picked
+ * up on the next load. Live data (/api/*, /live) always goes to the
+ * network; the dashboard shows its own offline state.
+ *
+ * Served from /sw.js so its scope covers the whole site.
+ */
+
+const CACHE_NAME = "braven-shell-v1";
+
+/** Cached on install: everything the coach dashboard needs to start */
+const SHELL = [
+  "/",
+  "/manifest.webmanifest",
+  "/icons/icon.svg",
+  "/fonts/inter-300.ttf",
+  "/fonts/inter-400.ttf",
+  "/fonts/inter-500.ttf",
+  "/fonts/inter-600.ttf",
+  "/js/tailwind.js",
+  "/js/lucide.min.js",
+  "/js/live-state.js",
+  "/js/device-pairing.js",
+  "/js/action-queue.js",
+  "/js/websocket-client.js",
+  "/js/connection-health.js",
+  "/js/series-buffer.js",
+  "/js/dashboard-renderer.js",
+  "/js/dashboard-layout.js",
+  "/js/athlete-profile.js",
+  "/js/workout-engine.js",
+  "/js/lactate-protocol.js",
+  "/js/lactate-analysis.js",
+  "/js/alert-engine.js",
+  "/js/audio-cues.js",
+  "/js/session-metrics.js",
+  "/js/session-notes.js",
+  "/js/manual-measurements.js",
+  "/js/session-chart.js",
+  "/js/session-recorder.js",
+  "/js/fit-file.js",
+  "/js/session-export.js",
+  "/js/session-store.js",
+  "/js/session-report.js",
+  "/js/session-comparison.js",
+  "/js/session-player.js",
+];
+
+/** Pages that are the coach dashboard under another name */
+const DASHBOARD_ALIASES = ["/index.html", "/coach", "/coach.html"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((n) => n !== CACHE_NAME).map((n) => caches.delete(n))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  // Other Karoos (lab view), live data and the worker itself stay on the network
+  if (url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith("/api/") || url.pathname === "/live" || url.pathname === "/sw.js") return;
+
+  event.respondWith(staleWhileRevalidate(event, request, url));
+});
+
+async function staleWhileRevalidate(event, request, url) {
+  const cache = await caches.open(CACHE_NAME);
+  const key = DASHBOARD_ALIASES.includes(url.pathname) ? "/" : request;
+  const cached = await cache.match(key, { ignoreSearch: request.mode === "navigate" });
+
+  const network = fetch(request).then((response) => {
+    if (response.ok) cache.put(key, response.clone());
+    return response;
+  });
+  if (!cached) return network;
+  event.waitUntil(network.catch(() => {}));
+  return cached;
+}
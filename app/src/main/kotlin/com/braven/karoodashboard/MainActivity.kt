@@ -53,6 +53,7 @@ import androidx.compose.ui.unit.dp
 import androidx.compose.ui.unit.sp
 import com.braven.karoodashboard.extension.BravenDashboardExtension
 import com.braven.karoodashboard.server.IpAddressUtil
+import com.braven.karoodashboard.server.Role
 import com.braven.karoodashboard.trainer.FtmsController
 
 // ─── Color theme ───────────────────────────────────────────
@@ -186,6 +187,42 @@ class MainActivity : ComponentActivity() {
                     textAlign = TextAlign.Center,
                 )
 
+                // PIN that pairs a dashboard; the rider picks the role it grants
+                BravenDashboardExtension.instance?.let { ext ->
+                    val pin by ext.accessControl.pin.collectAsState()
+                    Spacer(modifier = Modifier.height(16.dp))
+                    Text(
+                        text = "${pin.role.key.uppercase()} PAIRING PIN",
+                        color = textMuted,
+                        fontSize = 11.sp,
+                        letterSpacing = 2.sp,
+                    )
+                    Text(
+                        text = pin.pin,
+                        color = accentAmber,
+                        fontSize = 28.sp,
+                        fontWeight = FontWeight.Bold,
+                        fontFamily = FontFamily.Monospace,
+                        letterSpacing = 4.sp,
+                    )
+                    Spacer(modifier = Modifier.height(8.dp))
+                    Row(horizontalArrangement = Arrangement.spacedBy(8.dp)) {
+                        listOf(Role.ATHLETE, Role.COACH).forEach { role ->
+                            val selected = pin.role == role
+                            Button(
+                                onClick = { if (!selected) ext.accessControl.showPin(role) },
+                                colors = ButtonDefaults.buttonColors(
+                                    containerColor = if (selected) accentAmber else surfaceColor,
+                                    contentColor = if (selected) bgColor else textSecondary,
+                                ),
+                                shape = RoundedCornerShape(8.dp),
+                            ) {
+                                Text(text = role.key.replaceFirstChar { it.uppercase() }, fontSize = 13.sp)
+                            }
+                        }
+                    }
+                }
+
                 Spacer(modifier = Modifier.height(24.dp))
 
                 Button(
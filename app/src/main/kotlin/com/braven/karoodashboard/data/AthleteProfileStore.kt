@@ -0,0 +1,150 @@
+package com.braven.karoodashboard.data
+
+import org.json.JSONArray
+import org.json.JSONObject
+import timber.log.Timber
+import java.io.File
+
+/**
+ * Athlete profile (name, weight, FTP, heart rate anchors, zone models)
+ * persisted as JSON in the extension's files directory so every browser
+ * connected to the Karoo shares the same settings.
+ *
+ * Zones themselves are computed in the dashboard from the anchors and the
+ * selected model; the server only validates and stores.
+ */
+class AthleteProfileStore(private val file: File) {
+
+    private var profile: JSONObject = load()
+
+    /**
+     * Current profile as JSON.
+     */
+    @Synchronized
+    fun toJson(): String = profile.toString()
+
+    /**
+     * Merge the fields present in [body] into the profile and persist it.
+     * @throws IllegalArgumentException if a field is unknown or out of range
+     */
+    @Synchronized
+    fun update(body: String): String {
+        val patch = try {
+            JSONObject(body)
+        } catch (e: Exception) {
+            throw IllegalArgumentException("Body must be a JSON object")
+        }
+
+        val updated = JSONObject(profile.toString())
+        patch.keys().forEach { key ->
+            when (key) {
+                "name" -> updated.put(key, patch.optString(key).trim().take(MAX_NAME_LENGTH))
+                in NUMERIC_RANGES -> {
+                    if (patch.isNull(key)) {
+                        updated.put(key, JSONObject.NULL)
+                    } else {
+                        val value = patch.optDouble(key, Double.NaN)
+                        val range = NUMERIC_RANGES.getValue(key)
+                        require(!value.isNaN() && value in range) {
+                            "$key must be between ${range.start} and ${range.endInclusive}"
+                        }
+                        updated.put(key, value)
+                    }
+                }
+                "powerZoneModel" -> updated.put(key, requireModel(key, patch.optString(key), POWER_MODELS))
+                "hrZoneModel" -> updated.put(key, requireModel(key, patch.optString(key), HR_MODELS))
+                "customPowerZones", "customHrZones" -> updated.put(key, validateZones(key, patch.optJSONArray(key)))
+                else -> throw IllegalArgumentException("Unknown profile field: $key")
+            }
+        }
+
+        profile = updated
+        save()
+        Timber.i("AthleteProfileStore: Profile updated (${patch.keys().asSequence().joinToString()})")
+        return profile.toString()
+    }
+
+    private fun requireModel(key: String, value: String, allowed: Set<String>): String {
+        require(value in allowed) { "$key must be one of ${allowed.joinToString()}" }
+        return value
+    }
+
+    /**
+     * Custom zones: [{"name": "Easy", "upTo": 75}, …, {"name": "Max", "upTo": null}]
+     * with ascending upper bounds (percent of FTP / LTHR) and an open last zone.
+     */
+    private fun validateZones(key: String, zones: JSONArray?): JSONArray {
+        require(zones != null && zones.length() in 2..MAX_ZONES) { "$key must list 2-$MAX_ZONES zones" }
+        val result = JSONArray()
+        var previous = 0.0
+        for (i in 0 until zones.length()) {
+            val zone = zones.optJSONObject(i) ?: throw IllegalArgumentException("$key[$i] must be an object")
+            val name = zone.optString("name").trim().take(MAX_NAME_LENGTH)
+            require(name.isNotEmpty()) { "$key[$i] needs a name" }
+            val isLast = i == zones.length() - 1
+            val upTo = if (zone.isNull("upTo")) null else zone.optDouble("upTo", Double.NaN)
+            if (isLast) {
+                require(upTo == null) { "$key: the last zone must be open-ended (upTo null)" }
+            } else {
+                if (upTo == null || upTo.isNaN() || upTo <= previous) {
+                    throw IllegalArgumentException("$key[$i].upTo must be greater than the previous zone")
+                }
+                previous = upTo
+            }
+            result.put(JSONObject().put("name", name).put("upTo", upTo ?: JSONObject.NULL))
+        }
+        return result
+    }
+
+    private fun load(): JSONObject {
+        return try {
+            if (file.exists()) {
+                JSONObject(file.readText()).also {
+                    Timber.i("AthleteProfileStore: Loaded profile from ${file.name}")
+                }
+            } else {
+                defaultProfile()
+            }
+        } catch (e: Exception) {
+            Timber.w("AthleteProfileStore: Failed to read profile, using defaults: ${e.message}")
+            defaultProfile()
+        }
+    }
+
+    private fun save() {
+        try {
+            file.writeTextAtomically(profile.toString(2))
+        } catch (e: Exception) {
+            Timber.e(e, "AthleteProfileStore: Failed to save profile")
+        }
+    }
+
+    private fun defaultProfile() = JSONObject().apply {
+        put("name", "")
+        put("weight", JSONObject.NULL)
+        put("ftp", JSONObject.NULL)
+        put("lthr", JSONObject.NULL)
+        put("hrMax", JSONObject.NULL)
+        put("hrRest", JSONObject.NULL)
+        put("vo2max", JSONObject.NULL)
+        put("powerZoneModel", "coggan7")
+        put("hrZoneModel", "coggan5")
+    }
+
+    companion object {
+        private const val MAX_NAME_LENGTH = 60
+        private const val MAX_ZONES = 10
+
+        private val NUMERIC_RANGES = mapOf(
+            "weight" to 20.0..250.0,   // kg
+            "ftp" to 30.0..2500.0,     // W
+            "lthr" to 60.0..230.0,     // bpm
+            "hrMax" to 80.0..250.0,    // bpm
+            "hrRest" to 25.0..120.0,   // bpm
+            "vo2max" to 10.0..100.0,   // ml/kg/min
+        )
+
+        private val POWER_MODELS = setOf("coggan7", "seiler3", "custom")
+        private val HR_MODELS = setOf("coggan5", "seiler3", "custom")
+    }
+}
@@ -49,9 +49,17 @@ class DataCollector(private val karooSystem: KarooSystemService) {
             _currentState.update { it.copy(speed = value, timestamp = now()) }
         }
 
-        // Elapsed Time (seconds)
+        // Elapsed Time (seconds); a new ride starts when it first arrives or goes backwards
         collectSingleValue(DataType.Type.ELAPSED_TIME) { value ->
-            _currentState.update { it.copy(elapsedTime = (value / 1000.0).toLong(), timestamp = now()) }
+            val elapsed = (value / 1000.0).toLong()
+            _currentState.update {
+                val newRide = it.rideStartTime == null || elapsed < it.elapsedTime
+                it.copy(
+                    elapsedTime = elapsed,
+                    rideStartTime = if (newRide) now() - elapsed * 1000 else it.rideStartTime,
+                    timestamp = now(),
+                )
+            }
         }
 
         // Distance (meters)
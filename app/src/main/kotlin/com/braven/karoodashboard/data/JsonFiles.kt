@@ -0,0 +1,17 @@
+package com.braven.karoodashboard.data
+
+import java.io.File
+
+/**
+ * Replace the file's contents without ever leaving it half-written: write a
+ * sibling ".tmp" file and rename it over this one. Where the rename can't
+ * replace an existing file, fall back to writing in place.
+ */
+fun File.writeTextAtomically(text: String) {
+    val tmp = File(parentFile, "$name.tmp")
+    tmp.writeText(text)
+    if (!tmp.renameTo(this)) {
+        writeText(text)
+        tmp.delete()
+    }
+}
@@ -0,0 +1,124 @@
+package com.braven.karoodashboard.data
+
+import org.json.JSONArray
+import org.json.JSONObject
+import timber.log.Timber
+import java.io.File
+
+/**
+ * Named dashboard layout presets, persisted as JSON in the extension's files
+ * directory so any display in the lab can pick up a layout saved on another.
+ *
+ * Layouts are opaque to the server beyond a basic shape check
+ * ({"columns": …, "rows": …, "widgets": [{"id": …}, …]}); the dashboard
+ * owns the widget catalogue.
+ */
+class LayoutPresetStore(private val file: File) {
+
+    private var presets: JSONObject = load()
+
+    /**
+     * All presets: {"presets": [{"name": …, "layout": {…}}, …]} sorted by name.
+     */
+    @Synchronized
+    fun toJson(): String {
+        val list = JSONArray()
+        presets.keys().asSequence().sortedBy { it.lowercase() }.forEach { name ->
+            list.put(JSONObject().put("name", name).put("layout", presets.getJSONObject(name)))
+        }
+        return JSONObject().put("presets", list).toString()
+    }
+
+    /**
+     * Create or replace a preset from {"name": …, "layout": {…}}.
+     * @throws IllegalArgumentException if the body is malformed
+     */
+    @Synchronized
+    fun save(body: String): String {
+        val request = parse(body)
+        val name = requireName(request)
+        require(presets.has(name) || presets.length() < MAX_PRESETS) {
+            "At most $MAX_PRESETS layout presets can be stored"
+        }
+        presets.put(name, validateLayout(request.optJSONObject("layout")))
+        persist()
+        Timber.i("LayoutPresetStore: Saved preset \"$name\"")
+        return toJson()
+    }
+
+    /**
+     * Remove a preset named in {"name": …}; unknown names are ignored.
+     * @throws IllegalArgumentException if the body is malformed
+     */
+    @Synchronized
+    fun delete(body: String): String {
+        val name = requireName(parse(body))
+        if (presets.remove(name) != null) {
+            persist()
+            Timber.i("LayoutPresetStore: Deleted preset \"$name\"")
+        }
+        return toJson()
+    }
+
+    private fun parse(body: String): JSONObject {
+        require(body.length <= MAX_BODY_LENGTH) { "Layout too large" }
+        return try {
+            JSONObject(body)
+        } catch (e: Exception) {
+            throw IllegalArgumentException("Body must be a JSON object")
+        }
+    }
+
+    private fun requireName(request: JSONObject): String {
+        val name = request.optString("name").trim()
+        require(name.isNotEmpty() && name.length <= MAX_NAME_LENGTH) {
+            "name must be 1-$MAX_NAME_LENGTH characters"
+        }
+        return name
+    }
+
+    private fun validateLayout(layout: JSONObject?): JSONObject {
+        require(layout != null) { "layout must be an object" }
+        val widgets = layout.optJSONArray("widgets")
+        require(widgets != null && widgets.length() <= MAX_WIDGETS) {
+            "layout.widgets must list at most $MAX_WIDGETS widgets"
+        }
+        for (i in 0 until widgets.length()) {
+            val widget = widgets.optJSONObject(i)
+            require(widget != null && widget.optString("id").isNotEmpty()) {
+                "layout.widgets[$i] needs an id"
+            }
+        }
+        return layout
+    }
+
+    private fun load(): JSONObject {
+        return try {
+            if (file.exists()) {
+                JSONObject(file.readText()).also {
+                    Timber.i("LayoutPresetStore: Loaded ${it.length()} preset(s) from ${file.name}")
+                }
+            } else {
+                JSONObject()
+            }
+        } catch (e: Exception) {
+            Timber.w("LayoutPresetStore: Failed to read presets, starting empty: ${e.message}")
+            JSONObject()
+        }
+    }
+
+    private fun persist() {
+        try {
+            file.writeTextAtomically(presets.toString(2))
+        } catch (e: Exception) {
+            Timber.e(e, "LayoutPresetStore: Failed to save presets")
+        }
+    }
+
+    companion object {
+        private const val MAX_NAME_LENGTH = 40
+        private const val MAX_PRESETS = 50
+        private const val MAX_WIDGETS = 40
+        private const val MAX_BODY_LENGTH = 32_768
+    }
+}
@@ -0,0 +1,82 @@
+package com.braven.karoodashboard.data
+
+import org.json.JSONObject
+import timber.log.Timber
+import java.io.File
+
+/**
+ * Manual lab measurements for the current ride besides lactate — Borg RPE,
+ * CR10 leg/breathing ratings, blood glucose — persisted as JSON in the
+ * extension's files directory and shared by every dashboard in the lab.
+ *
+ * Each measurement is stamped by the server with the ride's elapsed time
+ * and lap: {"id": …, "t": unix ms, "elapsed": s, "lap": n, "type": "rpe",
+ * "value": 15.0, "unit": ""}. The dashboard owns the measurement types
+ * (labels, ranges, steppers); the server only checks their shape.
+ *
+ * Measurements are cleared when a new ride starts (elapsed time goes
+ * backwards).
+ */
+class MeasurementStore(file: File) {
+
+    private val store = RideJsonStore(file, "measurements", "measurement", MAX_BODY_LENGTH, "MeasurementStore")
+
+    /**
+     * Follow the ride's elapsed time.
+     * @return true if the measurements were cleared because a new ride started
+     */
+    fun observe(elapsedTime: Long): Boolean = store.observe(elapsedTime)
+
+    /**
+     * All measurements of the current ride, oldest first: {"measurements": […]}.
+     */
+    fun toJson(): String = store.toJson()
+
+    /**
+     * Add a measurement from {"type": …, "value": …, "unit": …}.
+     * @return the stored measurement
+     * @throws IllegalArgumentException if the body is malformed
+     */
+    @Synchronized
+    fun add(body: String, elapsedTime: Long, lapNumber: Int): JSONObject {
+        val request = store.parse(body)
+        val type = request.optString("type").trim()
+        val value = request.optDouble("value", Double.NaN)
+        val unit = request.optString("unit").trim()
+        require(TYPE_PATTERN.matches(type)) {
+            "type must be 1-$MAX_TYPE_LENGTH lowercase letters, digits or dashes"
+        }
+        require(value.isFinite() && value in MIN_VALUE..MAX_VALUE) {
+            "value must be a number between $MIN_VALUE and $MAX_VALUE"
+        }
+        require(unit.length <= MAX_UNIT_LENGTH) { "unit must be at most $MAX_UNIT_LENGTH characters" }
+        require(store.size < MAX_MEASUREMENTS) { "At most $MAX_MEASUREMENTS measurements per ride" }
+
+        val measurement = store.newEntry()
+            .put("elapsed", elapsedTime)
+            .put("lap", lapNumber)
+            .put("type", type)
+            .put("value", value)
+            .put("unit", unit)
+        store.add(measurement)
+        Timber.i("MeasurementStore: $type=$value$unit at ${elapsedTime}s (lap $lapNumber)")
+        return measurement
+    }
+
+    /**
+     * Remove the measurement with the id in {"id": …}.
+     * @return the removed id, or null if there was no such measurement
+     * @throws IllegalArgumentException if the body is malformed
+     */
+    fun delete(body: String): Long? = store.delete(body)
+
+    companion object {
+        private const val MAX_TYPE_LENGTH = 24
+        private const val MAX_UNIT_LENGTH = 16
+        private const val MAX_MEASUREMENTS = 2000
+        private const val MAX_BODY_LENGTH = 1024
+        private const val MIN_VALUE = -10_000.0
+        private const val MAX_VALUE = 10_000.0
+        private val TYPE_PATTERN = Regex("^[a-z0-9-]{1,$MAX_TYPE_LENGTH}$")
+    }
+}
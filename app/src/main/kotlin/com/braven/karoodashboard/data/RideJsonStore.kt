@@ -0,0 +1,126 @@
+package com.braven.karoodashboard.data
+
+import org.json.JSONArray
+import org.json.JSONObject
+import timber.log.Timber
+import java.io.File
+
+/**
+ * Entries of the current ride kept as {"<key>": [entry, …]} in a JSON file,
+ * shared by the ride-scoped stores (notes, manual measurements). Each entry
+ * carries a unique, increasing "id" (unix ms, bumped on collision), its
+ * creation time "t" and the ride's "elapsed" time; the owning store adds
+ * and validates everything else.
+ *
+ * The entries are cleared when a new ride starts (elapsed time goes
+ * backwards).
+ *
+ * @param key array name in the file and in [toJson], e.g. "notes"
+ * @param item singular name for messages and logs, e.g. "note"
+ * @param logTag the owning store, prefixed to log lines
+ */
+class RideJsonStore(
+    private val file: File,
+    private val key: String,
+    private val item: String,
+    private val maxBodyLength: Int,
+    private val logTag: String,
+) {
+
+    private val entries: MutableList<JSONObject> = load()
+    private var lastId = entries.maxOfOrNull { it.optLong("id") } ?: 0L
+    private var lastElapsed = entries.maxOfOrNull { it.optLong("elapsed") } ?: 0L
+
+    val size: Int
+        @Synchronized get() = entries.size
+
+    /**
+     * Follow the ride's elapsed time.
+     * @return true if the entries were cleared because a new ride started
+     */
+    @Synchronized
+    fun observe(elapsedTime: Long): Boolean {
+        if (elapsedTime <= 0L) return false
+        val newRide = elapsedTime < lastElapsed
+        lastElapsed = elapsedTime
+        if (!newRide || entries.isEmpty()) return false
+        entries.clear()
+        persist()
+        Timber.i("$logTag: New ride, cleared $key")
+        return true
+    }
+
+    /**
+     * All entries of the current ride, oldest first: {"<key>": […]}.
+     */
+    @Synchronized
+    fun toJson(): String = JSONObject().put(key, JSONArray(entries)).toString()
+
+    /**
+     * A new entry with its "id" and "t" set, for the caller to fill in and [add].
+     */
+    @Synchronized
+    fun newEntry(): JSONObject {
+        val now = System.currentTimeMillis()
+        lastId = maxOf(now, lastId + 1)
+        return JSONObject().put("id", lastId).put("t", now)
+    }
+
+    /** Append an entry from [newEntry] and persist. */
+    @Synchronized
+    fun add(entry: JSONObject) {
+        entries.add(entry)
+        persist()
+    }
+
+    /**
+     * Remove the entry with the id in {"id": …}.
+     * @return the removed id, or null if there was no such entry
+     * @throws IllegalArgumentException if the body is malformed
+     */
+    @Synchronized
+    fun delete(body: String): Long? {
+        val id = parse(body).optLong("id", -1L)
+        require(id > 0) { "id is required" }
+        if (!entries.removeAll { it.optLong("id") == id }) return null
+        persist()
+        Timber.i("$logTag: Deleted $item $id")
+        return id
+    }
+
+    /**
+     * @throws IllegalArgumentException if [body] is too large or not a JSON object
+     */
+    fun parse(body: String): JSONObject {
+        require(body.length <= maxBodyLength) { "${item.replaceFirstChar { it.uppercase() }} too large" }
+        return try {
+            JSONObject(body)
+        } catch (e: Exception) {
+            throw IllegalArgumentException("Body must be a JSON object")
+        }
+    }
+
+    private fun load(): MutableList<JSONObject> {
+        return try {
+            if (file.exists()) {
+                val array = JSONObject(file.readText()).optJSONArray(key) ?: JSONArray()
+                MutableList(array.length()) { array.getJSONObject(it) }.also {
+                    Timber.i("$logTag: Loaded ${it.size} $item(s) from ${file.name}")
+                }
+            } else {
+                mutableListOf()
+            }
+        } catch (e: Exception) {
+            Timber.w("$logTag: Failed to read $key, starting empty: ${e.message}")
+            mutableListOf()
+        }
+    }
+
+    private fun persist() {
+        try {
+            file.writeTextAtomically(toJson())
+        } catch (e: Exception) {
+            Timber.e(e, "$logTag: Failed to save $key")
+        }
+    }
+}
@@ -0,0 +1,60 @@
+package com.braven.karoodashboard.data
+
+/**
+ * Bounded ring buffer of recent [SessionState] snapshots, one per elapsed
+ * second, so browsers that lost their WebSocket can backfill the gap.
+ *
+ * The state flow emits on every individual sensor update; only the latest
+ * snapshot of each elapsed second is kept. Nothing is kept while the ride
+ * is idle, and the buffer is cleared when a new ride starts.
+ */
+class SessionHistory(private val capacity: Int = DEFAULT_CAPACITY) {
+
+    private val snapshots = ArrayDeque<SessionState>()
+
+    @Synchronized
+    fun record(state: SessionState) {
+        if (state.elapsedTime <= 0L) return
+        val last = snapshots.lastOrNull()
+        when {
+            last == null -> snapshots.addLast(state)
+            state.elapsedTime == last.elapsedTime -> snapshots[snapshots.size - 1] = state
+            state.elapsedTime < last.elapsedTime -> {
+                // Elapsed time went backwards: a new ride started
+                snapshots.clear()
+                snapshots.addLast(state)
+            }
+            else -> snapshots.addLast(state)
+        }
+        while (snapshots.size > capacity) snapshots.removeFirst()
+    }
+
+    /**
+     * Snapshots with a timestamp strictly after [sinceMs], oldest first.
+     */
+    @Synchronized
+    fun since(sinceMs: Long): List<SessionState> = snapshots.filter { it.timestamp > sinceMs }
+
+    @Synchronized
+    fun clear() = snapshots.clear()
+
+    /**
+     * Serialize [since] for the /api/history endpoint.
+     */
+    fun toJson(sinceMs: Long): String {
+        val states = since(sinceMs)
+        return buildString {
+            append("{\"since\":$sinceMs,\"capacity\":$capacity,\"count\":${states.size},\"samples\":[")
+            states.forEachIndexed { i, state ->
+                if (i > 0) append(',')
+                append(state.toJson())
+            }
+            append("]}")
+        }
+    }
+
+    companion object {
+        /** One hour at 1 Hz */
+        const val DEFAULT_CAPACITY = 3600
+    }
+}
@@ -0,0 +1,87 @@
+package com.braven.karoodashboard.data
+
+import org.json.JSONObject
+import timber.log.Timber
+import java.io.File
+
+/**
+ * Coach notes and event markers for the current ride ("RPE 15", "gel
+ * taken", "sensor dropped"), persisted as JSON in the extension's files
+ * directory so every dashboard in the lab sees the same timeline, even
+ * after a tab or app restart.
+ *
+ * Each note is stamped by the server with the ride's elapsed time and lap
+ * (notes a dashboard queued while offline bring their own, with the
+ * rideStartTime of the ride they were made in):
+ * {"id": …, "t": unix ms, "elapsed": s, "lap": n, "tag": "gel"|null, "text": "…"}.
+ * Ids are unix ms, bumped to stay unique and increasing. Tags are opaque
+ * to the server beyond their shape; the dashboard owns the preset list.
+ *
+ * Notes are cleared when a new ride starts (elapsed time goes backwards).
+ */
+class SessionNoteStore(file: File) {
+
+    private val store = RideJsonStore(file, "notes", "note", MAX_BODY_LENGTH, "SessionNoteStore")
+
+    /**
+     * Follow the ride's elapsed time.
+     * @return true if the notes were cleared because a new ride started
+     */
+    fun observe(elapsedTime: Long): Boolean = store.observe(elapsedTime)
+
+    /**
+     * All notes of the current ride, oldest first: {"notes": […]}.
+     */
+    fun toJson(): String = store.toJson()
+
+    /**
+     * Add a note from {"tag": …, "text": …} (either may be omitted, not both),
+     * at the current ride time unless the body has "elapsed"/"lap" from
+     * earlier in the ride, named by its "ride" (SessionState.rideStartTime).
+     * @return the stored note
+     * @throws IllegalArgumentException if the body is malformed or from another ride
+     */
+    @Synchronized
+    fun add(body: String, elapsedTime: Long, lapNumber: Int, rideStartTime: Long?): JSONObject {
+        val request = store.parse(body)
+        val tag = request.optString("tag").trim().ifEmpty { null }
+        val text = request.optString("text").trim()
+        require(tag == null || TAG_PATTERN.matches(tag)) {
+            "tag must be 1-$MAX_TAG_LENGTH lowercase letters, digits or dashes"
+        }
+        require(text.length <= MAX_TEXT_LENGTH) { "text must be at most $MAX_TEXT_LENGTH characters" }
+        require(tag != null || text.isNotEmpty()) { "A note needs a tag or text" }
+        require(store.size < MAX_NOTES) { "At most $MAX_NOTES notes per ride" }
+        val backdated = request.has("elapsed") || request.has("lap")
+        val elapsed = if (request.has("elapsed")) request.optLong("elapsed", -1L) else elapsedTime
+        val lap = if (request.has("lap")) request.optInt("lap", -1) else lapNumber
+        require(!backdated || (rideStartTime != null && request.optLong("ride", -1L) == rideStartTime)) {
+            "Note is not from the current ride"
+        }
+        require(elapsed in 0..elapsedTime && lap in 0..lapNumber) { "Note is not from the current ride" }
+
+        val note = store.newEntry()
+            .put("elapsed", elapsed)
+            .put("lap", lap)
+            .put("tag", tag ?: JSONObject.NULL)
+            .put("text", text)
+        store.add(note)
+        Timber.i("SessionNoteStore: Note at ${elapsed}s (lap $lap) tag=$tag")
+        return note
+    }
+
+    /**
+     * Remove the note with the id in {"id": …}.
+     * @return the removed id, or null if there was no such note
+     * @throws IllegalArgumentException if the body is malformed
+     */
+    fun delete(body: String): Long? = store.delete(body)
+
+    companion object {
+        private const val MAX_TAG_LENGTH = 24
+        private const val MAX_TEXT_LENGTH = 500
+        private const val MAX_NOTES = 1000
+        private const val MAX_BODY_LENGTH = 4096
+        private val TAG_PATTERN = Regex("^[a-z0-9-]{1,$MAX_TAG_LENGTH}$")
+    }
+}
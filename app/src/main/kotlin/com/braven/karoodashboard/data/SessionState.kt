@@ -14,6 +14,7 @@ data class SessionState(
     val speed: Double = 0.0,        // m/s from SDK
     val averageSpeed: Double = 0.0, // m/s from SDK
     val elapsedTime: Long = 0L,     // seconds
+    val rideStartTime: Long? = null, // unix ms the current ride began; identifies the ride
     val distance: Double = 0.0,     // meters from SDK
     val elevation: Double = 0.0,    // meters
     val grade: Double = 0.0,        // percent
@@ -62,6 +63,7 @@ data class SessionState(
             append("\"speed\":${formatDouble(speed * 3.6, 1)},") // m/s → km/h
             append("\"averageSpeed\":${formatDouble(averageSpeed * 3.6, 1)},") // m/s → km/h
             append("\"elapsedTime\":$elapsedTime,")
+            append("\"rideStartTime\":${rideStartTime ?: "null"},")
             append("\"distance\":${formatDouble(distance / 1000.0, 2)},") // m → km
             append("\"elevation\":${formatDouble(elevation, 1)},")
             append("\"grade\":${formatDouble(grade, 1)},")
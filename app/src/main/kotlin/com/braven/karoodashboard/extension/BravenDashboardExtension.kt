@@ -11,7 +11,12 @@ import androidx.core.app.NotificationCompat
 import com.braven.karoodashboard.BuildConfig
 import com.braven.karoodashboard.MainActivity
 import com.braven.karoodashboard.R
+import com.braven.karoodashboard.data.AthleteProfileStore
 import com.braven.karoodashboard.data.DataCollector
+import com.braven.karoodashboard.data.LayoutPresetStore
+import com.braven.karoodashboard.data.MeasurementStore
+import com.braven.karoodashboard.data.SessionNoteStore
+import com.braven.karoodashboard.server.AccessControl
 import com.braven.karoodashboard.server.IpAddressUtil
 import com.braven.karoodashboard.server.NetworkDiscoveryService
 import com.braven.karoodashboard.server.WebServer
@@ -30,8 +35,12 @@ import kotlinx.coroutines.CoroutineScope
 import kotlinx.coroutines.Dispatchers
 import kotlinx.coroutines.SupervisorJob
 import kotlinx.coroutines.cancel
+import kotlinx.coroutines.flow.distinctUntilChanged
+import kotlinx.coroutines.flow.map
 import kotlinx.coroutines.launch
+import org.json.JSONObject
 import timber.log.Timber
+import java.io.File
 
 /**
  * Main Karoo extension service.
@@ -71,6 +80,10 @@ class BravenDashboardExtension : KarooExtension("braven-dashboard", BuildConfig.
     lateinit var ftmsController: FtmsController
         private set
 
+    /** PIN pairing for dashboard displays; MainActivity shows the PIN */
+    lateinit var accessControl: AccessControl
+        private set
+
     /** Coroutine scope for trainer state monitoring */
     private val extensionScope = CoroutineScope(Dispatchers.IO + SupervisorJob())
 
@@ -170,6 +183,7 @@ class BravenDashboardExtension : KarooExtension("braven-dashboard", BuildConfig.
         karooSystem = KarooSystemService(applicationContext)
         dataCollector = DataCollector(karooSystem)
         ftmsController = FtmsController(applicationContext)
+        accessControl = AccessControl(File(filesDir, "pairing.json"))
         webServer = WebServer(
             port = SERVER_PORT,
             assetManager = assets,
@@ -198,6 +212,11 @@ class BravenDashboardExtension : KarooExtension("braven-dashboard", BuildConfig.
             onTrainerStatus = {
                 ftmsController.statusJson()
             },
+            profileStore = AthleteProfileStore(File(filesDir, "athlete_profile.json")),
+            layoutStore = LayoutPresetStore(File(filesDir, "layout_presets.json")),
+            noteStore = SessionNoteStore(File(filesDir, "session_notes.json")),
+            measurementStore = MeasurementStore(File(filesDir, "measurements.json")),
+            accessControl = accessControl,
         )
         networkDiscovery = NetworkDiscoveryService(
             context = applicationContext,
@@ -241,7 +260,8 @@ class BravenDashboardExtension : KarooExtension("braven-dashboard", BuildConfig.
 
     /**
      * Monitor FtmsController state changes and push them into
-     * DataCollector so they're broadcast via WebSocket to dashboards.
+     * DataCollector so they're broadcast via WebSocket to dashboards,
+     * along with the devices found by a scan.
      */
     private fun startTrainerStateMonitor() {
         extensionScope.launch {
@@ -254,6 +274,16 @@ class BravenDashboardExtension : KarooExtension("braven-dashboard", BuildConfig.
                 )
             }
         }
+        // Push scan results to dashboards as devices are found
+        extensionScope.launch {
+            ftmsController.status
+                .map { it.scannedDevices }
+                .distinctUntilChanged()
+                .collect {
+                    val devices = JSONObject(ftmsController.statusJson()).getJSONArray("scannedDevices")
+                    webServer.broadcast(JSONObject().put("type", "trainerDevices").put("devices", devices).toString())
+                }
+        }
     }
 
     override fun onDestroy() {
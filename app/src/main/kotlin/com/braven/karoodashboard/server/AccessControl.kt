@@ -0,0 +1,219 @@
+package com.braven.karoodashboard.server
+
+import com.braven.karoodashboard.data.writeTextAtomically
+import kotlinx.coroutines.flow.MutableStateFlow
+import kotlinx.coroutines.flow.StateFlow
+import kotlinx.coroutines.flow.asStateFlow
+import org.json.JSONArray
+import org.json.JSONObject
+import timber.log.Timber
+import java.io.File
+import java.security.MessageDigest
+import java.security.SecureRandom
+
+/**
+ * What a display may do; each role includes everything below it.
+ *   VIEWER   — watch (any display on the network, unpaired)
+ *   ATHLETE  — also mark laps and log own measurements (RPE, …)
+ *   COACH    — also control the trainer, enter lactate, edit profile/notes
+ */
+enum class Role {
+    VIEWER,
+    ATHLETE,
+    COACH,
+    ;
+
+    val key: String get() = name.lowercase()
+
+    companion object {
+        fun parse(value: String?): Role? = entries.find { it.key == value }
+    }
+}
+
+/**
+ * A request was refused: [code] is "unauthorized" (not paired), "expired",
+ * "forbidden" (role too low), "wrong_pin" or "locked" (too many wrong PINs).
+ */
+class AccessDeniedException(val code: String, message: String) : Exception(message)
+
+/** The PIN shown on the Karoo and the role it pairs a display as */
+data class PairingPin(val pin: String, val role: Role)
+
+/**
+ * PIN pairing for dashboards. The Karoo shows a 6-digit PIN for the role
+ * chosen on its screen (athlete unless the rider picks coach); a display
+ * that enters it gets a token for that role, valid for [TOKEN_TTL_MS]. The
+ * PIN changes, back to the athlete role, after every pairing, and wrong PINs
+ * lock pairing for a while. Tokens are persisted as JSON in the extension's
+ * files directory so displays stay paired across service restarts:
+ * {"tokens": [{"token": …, "role": "coach", "name": …, "expiresAt": …}]}.
+ */
+class AccessControl(private val file: File) {
+
+    private val random = SecureRandom()
+    private val tokens: MutableList<JSONObject> = load()
+    private var failedAttempts = 0
+    private var lockedUntil = 0L
+
+    private val _pin = MutableStateFlow(PairingPin(newPin(), Role.ATHLETE))
+
+    /** The PIN to show on the Karoo screen, with the role it grants */
+    val pin: StateFlow<PairingPin> = _pin.asStateFlow()
+
+    /**
+     * Show a fresh PIN that pairs as [role]. Only the Karoo's own screen
+     * calls this, so a display can't pick its role.
+     */
+    @Synchronized
+    fun showPin(role: Role) {
+        require(role == Role.ATHLETE || role == Role.COACH) { "role must be athlete or coach" }
+        _pin.value = PairingPin(newPin(), role)
+        Timber.i("AccessControl: Showing ${role.key} PIN")
+    }
+
+    /**
+     * Pair a display from {"pin": …, "name": …}; the role is the one the
+     * PIN was shown for.
+     * @return {"token", "role", "name", "expiresAt"}
+     * @throws IllegalArgumentException if the body is malformed
+     * @throws AccessDeniedException for a wrong PIN or while locked
+     */
+    @Synchronized
+    fun pair(body: String): JSONObject {
+        val now = System.currentTimeMillis()
+        if (now < lockedUntil) {
+            throw AccessDeniedException("locked", "Too many wrong PINs — try again in ${(lockedUntil - now + 999) / 1000}s")
+        }
+        require(body.length <= MAX_BODY_LENGTH) { "Pairing request too large" }
+        val request = try {
+            JSONObject(body)
+        } catch (e: Exception) {
+            throw IllegalArgumentException("Body must be a JSON object")
+        }
+        val name = request.optString("name").trim().take(MAX_NAME_LENGTH)
+        val role = _pin.value.role
+
+        if (!sameSecret(request.optString("pin"), _pin.value.pin)) {
+            failedAttempts++
+            if (failedAttempts >= MAX_ATTEMPTS) {
+                failedAttempts = 0
+                lockedUntil = now + LOCKOUT_MS
+                Timber.w("AccessControl: Too many wrong PINs, locked for ${LOCKOUT_MS / 1000}s")
+            }
+            throw AccessDeniedException("wrong_pin", "Wrong PIN")
+        }
+        failedAttempts = 0
+
+        val pairing = JSONObject()
+            .put("token", newToken())
+            .put("role", role.key)
+            .put("name", name)
+            .put("expiresAt", now + TOKEN_TTL_MS)
+        tokens.removeAll { it.optLong("expiresAt") <= now }
+        tokens.add(pairing)
+        while (tokens.size > MAX_TOKENS) tokens.removeAt(0)
+        persist()
+        // One PIN, one display; a coach PIN is never left on screen
+        _pin.value = PairingPin(newPin(), Role.ATHLETE)
+        Timber.i("AccessControl: Paired ${name.ifEmpty { "display" }} as ${role.key}")
+        return JSONObject(pairing.toString())
+    }
+
+    /**
+     * Check that [token] may act as [required].
+     * @return the token's role (VIEWER without a token)
+     * @throws AccessDeniedException if it may not
+     */
+    @Synchronized
+    fun authorize(token: String?, required: Role): Role {
+        if (token.isNullOrEmpty()) {
+            if (required == Role.VIEWER) return Role.VIEWER
+            throw AccessDeniedException("unauthorized", "Pair this display with the PIN shown on the Karoo")
+        }
+        val pairing = tokens.find { sameSecret(it.optString("token"), token) }
+            ?: throw AccessDeniedException("unauthorized", "This display's pairing is no longer valid — pair again")
+        if (pairing.optLong("expiresAt") <= System.currentTimeMillis()) {
+            throw AccessDeniedException("expired", "Pairing expired — pair again with the PIN shown on the Karoo")
+        }
+        val role = Role.parse(pairing.optString("role")) ?: Role.VIEWER
+        if (role < required) throw AccessDeniedException("forbidden", "Requires the ${required.key} role")
+        return role
+    }
+
+    /**
+     * The pairing behind [token] for the dashboard: {"role", "name", "expiresAt"},
+     * or the viewer role if it is missing, unknown or expired.
+     */
+    @Synchronized
+    fun describe(token: String?): JSONObject {
+        val pairing = tokens.find { sameSecret(it.optString("token"), token) && it.optLong("expiresAt") > System.currentTimeMillis() }
+            ?: return JSONObject().put("role", Role.VIEWER.key).put("paired", false)
+        return JSONObject()
+            .put("role", pairing.optString("role"))
+            .put("name", pairing.optString("name"))
+            .put("expiresAt", pairing.optLong("expiresAt"))
+            .put("paired", true)
+    }
+
+    /**
+     * Forget a display's pairing.
+     * @return true if the token was known
+     */
+    @Synchronized
+    fun revoke(token: String?): Boolean {
+        if (!tokens.removeAll { sameSecret(it.optString("token"), token) }) return false
+        persist()
+        Timber.i("AccessControl: Pairing revoked")
+        return true
+    }
+
+    /** Compare in constant time, so response timing doesn't leak how much matched */
+    private fun sameSecret(expected: String, actual: String?): Boolean {
+        if (expected.isEmpty() || actual == null) return false
+        return MessageDigest.isEqual(expected.toByteArray(), actual.toByteArray())
+    }
+
+    private fun newPin(): String = (random.nextInt(1_000_000)).toString().padStart(6, '0')
+
+    private fun newToken(): String {
+        val bytes = ByteArray(TOKEN_BYTES)
+        random.nextBytes(bytes)
+        return bytes.joinToString("") { "%02x".format(it) }
+    }
+
+    private fun load(): MutableList<JSONObject> {
+        return try {
+            if (file.exists()) {
+                val array = JSONObject(file.readText()).optJSONArray("tokens") ?: JSONArray()
+                val now = System.currentTimeMillis()
+                MutableList(array.length()) { array.getJSONObject(it) }
+                    .filter { it.optLong("expiresAt") > now }
+                    .toMutableList()
+                    .also { Timber.i("AccessControl: Loaded ${it.size} pairing(s) from ${file.name}") }
+            } else {
+                mutableListOf()
+            }
+        } catch (e: Exception) {
+            Timber.w("AccessControl: Failed to read pairings, starting empty: ${e.message}")
+            mutableListOf()
+        }
+    }
+
+    private fun persist() {
+        try {
+            file.writeTextAtomically(JSONObject().put("tokens", JSONArray(tokens)).toString())
+        } catch (e: Exception) {
+            Timber.e(e, "AccessControl: Failed to save pairings")
+        }
+    }
+
+    companion object {
+        private const val TOKEN_BYTES = 24
+        private const val TOKEN_TTL_MS = 12 * 60 * 60 * 1000L
+        private const val MAX_TOKENS = 50
+        private const val MAX_ATTEMPTS = 5
+        private const val LOCKOUT_MS = 60_000L
+        private const val MAX_NAME_LENGTH = 40
+        private const val MAX_BODY_LENGTH = 1024
+    }
+}
@@ -0,0 +1,143 @@
+package com.braven.karoodashboard.server
+
+import com.braven.karoodashboard.data.SessionState
+import org.json.JSONObject
+
+/**
+ * Versioned message protocol of the /live WebSocket.
+ *
+ * Protocol 1 (clients that connect to plain /live): every state change is
+ * the full [SessionState.toJson] blob; server events carry a "type".
+ *
+ * Protocol 2 (clients that connect to /live?protocol=2):
+ *   {"type":"hello","protocol":2,"minProtocol":1}     first message
+ *   {"type":"snapshot","seq":n,"state":{…}}           full state
+ *   {"type":"delta","seq":n,"state":{…}}              changed fields only
+ *   {"type":"lap","lapNumber":n,"lap":{number,time,power,speed}}
+ *   {"type":"lactate","value":…,"timestamp":…}
+ *   {"type":"trainer","state":…,"deviceName":…,"targetPower":…,"error":…}
+ *   {"type":"trainerDevices","devices":[{name,address,rssi}]}  scan results
+ *   {"type":"workout","status":{…}}                   coach's workout progress
+ * plus the existing note/measurement events. Deltas are numbered: a client
+ * that sees a gap in seq sends {"type":"resync"} and gets a new snapshot.
+ *
+ * Clients also send commands, answered on the same socket:
+ *   → {"type":"command","id":"c1","command":"trainerPower","params":{"watts":200}}
+ *   ← {"type":"ack","id":"c1"}                            received, running
+ *   ← {"type":"reply","id":"c1","success":true,"result":{…}}
+ *   ← {"type":"reply","id":"c1","success":false,"message":"…"}
+ * Commands: markLap, lactate {value, offsetSeconds, ride?}, trainerScan,
+ * trainerConnect {address}, trainerPower {watts}, trainerDisconnect,
+ * trainerStatus, workoutStatus {WorkoutEngine snapshot}.
+ *
+ * Heartbeat: → {"type":"ping","id":"c2"}  ← {"type":"pong","id":"c2","serverTime":…}
+ */
+object LiveProtocol {
+    const val VERSION = 2
+    const val MIN_VERSION = 1
+
+    /**
+     * Protocol spoken with a client, from the ?protocol= it asked for.
+     */
+    fun negotiate(requested: String?): Int =
+        (requested?.toIntOrNull() ?: MIN_VERSION).coerceIn(MIN_VERSION, VERSION)
+
+    fun hello(protocol: Int): String =
+        JSONObject().put("type", "hello").put("protocol", protocol).put("minProtocol", MIN_VERSION).toString()
+
+    fun snapshot(seq: Long, state: JSONObject): String =
+        JSONObject().put("type", "snapshot").put("seq", seq).put("state", state).toString()
+
+    fun delta(seq: Long, changes: JSONObject): String =
+        JSONObject().put("type", "delta").put("seq", seq).put("state", changes).toString()
+}
+
+/**
+ * Turns the state flow into protocol 2 messages: keeps the last broadcast
+ * state as the baseline for deltas and snapshots, and derives lap, lactate
+ * and trainer events from what changed.
+ */
+class LiveStateEncoder {
+
+    /** Messages for one state change */
+    data class Update(
+        val legacy: String,
+        val delta: String?,
+        val events: List<String>,
+    )
+
+    private var seq = 0L
+    private var last: JSONObject? = null
+
+    /**
+     * Encode the next state of the flow.
+     */
+    @Synchronized
+    fun encode(state: SessionState): Update {
+        val legacy = state.toJson()
+        val current = JSONObject(legacy)
+        val previous = last
+        last = current
+        if (previous == null) return Update(legacy, null, emptyList())
+
+        val changes = JSONObject()
+        current.keys().forEach { key ->
+            if (!sameValue(previous.opt(key), current.opt(key))) changes.put(key, current.opt(key))
+        }
+        if (changes.length() == 0) return Update(legacy, null, emptyList())
+        seq++
+        return Update(legacy, LiveProtocol.delta(seq, changes), events(previous, current, changes))
+    }
+
+    /**
+     * Full state at the current seq, for a client that (re)joins the stream.
+     * Falls back to [fallback] at seq 0 before the first broadcast.
+     */
+    @Synchronized
+    fun snapshot(fallback: SessionState): String =
+        LiveProtocol.snapshot(seq, last ?: JSONObject(fallback.toJson()))
+
+    private fun events(previous: JSONObject, current: JSONObject, changes: JSONObject): List<String> {
+        val events = mutableListOf<String>()
+        val lapNumber = current.optInt("lapNumber")
+        val previousLap = previous.optInt("lapNumber")
+        if (changes.has("lapNumber") && lapNumber > previousLap && previousLap > 0) {
+            val lap = JSONObject()
+                .put("number", previousLap)
+                .put("time", current.opt("lastLapTime"))
+                .put("power", current.opt("lastLapPower"))
+                .put("speed", current.opt("lastLapSpeed"))
+            events.add(JSONObject().put("type", "lap").put("lapNumber", lapNumber).put("lap", lap).toString())
+        }
+        if (changes.has("lactateTimestamp") && !current.isNull("lactateTimestamp")) {
+            events.add(
+                JSONObject()
+                    .put("type", "lactate")
+                    .put("value", current.opt("lactate"))
+                    .put("timestamp", current.opt("lactateTimestamp"))
+                    .toString(),
+            )
+        }
+        if (TRAINER_FIELDS.keys.any { changes.has(it) }) {
+            val trainer = JSONObject().put("type", "trainer")
+            TRAINER_FIELDS.forEach { (field, name) -> trainer.put(name, current.opt(field)) }
+            events.add(trainer.toString())
+        }
+        return events
+    }
+
+    // JSONObject.NULL and numbers parsed as Int vs Double compare by value
+    private fun sameValue(a: Any?, b: Any?): Boolean = when {
+        a is Number && b is Number -> a.toDouble() == b.toDouble()
+        else -> a == b
+    }
+
+    companion object {
+        private val TRAINER_FIELDS = linkedMapOf(
+            "trainerState" to "state",
+            "trainerDeviceName" to "deviceName",
+            "trainerTargetPower" to "targetPower",
+            "trainerError" to "error",
+        )
+    }
+}
@@ -1,7 +1,12 @@
 package com.braven.karoodashboard.server
 
 import android.content.res.AssetManager
+import com.braven.karoodashboard.data.AthleteProfileStore
 import com.braven.karoodashboard.data.DataCollector
+import com.braven.karoodashboard.data.LayoutPresetStore
+import com.braven.karoodashboard.data.MeasurementStore
+import com.braven.karoodashboard.data.SessionHistory
+import com.braven.karoodashboard.data.SessionNoteStore
 import fi.iki.elonen.NanoHTTPD
 import fi.iki.elonen.NanoWSD
 import kotlinx.coroutines.CoroutineScope
@@ -10,9 +15,11 @@ import kotlinx.coroutines.SupervisorJob
 import kotlinx.coroutines.async
 import kotlinx.coroutines.awaitAll
 import kotlinx.coroutines.cancel
+import kotlinx.coroutines.coroutineScope
 import kotlinx.coroutines.delay
 import kotlinx.coroutines.launch
 import kotlinx.coroutines.withTimeoutOrNull
+import org.json.JSONObject
 import timber.log.Timber
 import java.io.IOException
 import java.util.concurrent.CopyOnWriteArrayList
@@ -21,7 +28,9 @@ import java.util.concurrent.CopyOnWriteArrayList
  * Embedded HTTP + WebSocket server running on the Karoo device.
  *
  * Serves static dashboard HTML/CSS/JS from Android assets and
- * streams live ride data via WebSocket to connected browsers.
+ * streams live ride data via WebSocket to connected browsers, as full
+ * states or deltas depending on the protocol each client asked for
+ * (see [LiveProtocol]).
  */
 class WebServer(
     private val port: Int,
@@ -35,9 +44,25 @@ class WebServer(
     private val onTrainerSetPower: ((Int) -> Unit)? = null,
     private val onTrainerDisconnect: (() -> Unit)? = null,
     private val onTrainerStatus: (() -> String)? = null,
+    private val history: SessionHistory = SessionHistory(),
+    private val profileStore: AthleteProfileStore? = null,
+    private val layoutStore: LayoutPresetStore? = null,
+    private val noteStore: SessionNoteStore? = null,
+    private val measurementStore: MeasurementStore? = null,
+    // PIN pairing and roles; null leaves every control open to every display
+    private val accessControl: AccessControl? = null,
 ) : NanoWSD(port) {
 
     private val connectedClients = CopyOnWriteArrayList<BravenWebSocket>()
+
+    // Baseline and sequence numbers of the protocol 2 delta stream
+    private val liveEncoder = LiveStateEncoder()
+
+    // Latest structured-workout progress published by the coach dashboard
+    // (the workout engine runs in the coach's browser); pushed to /athlete
+    // as "workout" events, GET /api/workout/status for a page that just opened
+    @Volatile private var workoutStatus: JSONObject = JSONObject().put("state", "idle")
+    @Volatile private var workoutStatusUpdatedAt = 0L
     private val scope = CoroutineScope(Dispatchers.IO + SupervisorJob())
 
     override fun openWebSocket(handshake: NanoHTTPD.IHTTPSession): WebSocket {
@@ -49,7 +74,9 @@ class WebServer(
         val uri = session.uri ?: "/"
         Timber.d("WebServer: HTTP ${session.method} $uri")
 
-        // Handle CORS preflight requests
+        // Handle CORS preflight requests. Other origins (the lab view, the
+        // discovery page) only read; controls are POSTed by pages this
+        // server serves, so cross-origin writes aren't offered.
         if (session.method == Method.OPTIONS) {
             return NanoHTTPD.newFixedLengthResponse(
                 NanoHTTPD.Response.Status.OK,
@@ -57,19 +84,38 @@ class WebServer(
                 "",
             ).also {
                 it.addHeader("Access-Control-Allow-Origin", "*")
-                it.addHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS")
+                it.addHeader("Access-Control-Allow-Methods", "GET, OPTIONS")
                 it.addHeader("Access-Control-Allow-Headers", "Content-Type")
             }
         }
 
+        // Changes need a paired display whose role allows them; reads stay open
+        if (session.method == Method.POST && accessControl != null) {
+            val required = requiredRole(uri)
+            if (required != null) {
+                try {
+                    accessControl.authorize(bearerToken(session), required)
+                } catch (e: AccessDeniedException) {
+                    Timber.w("WebServer: Refused POST $uri (${e.code})")
+                    return deniedResponse(e)
+                }
+            }
+        }
+
         // Route to appropriate handler
         val assetPath = when {
             uri == "/" || uri == "/index.html" -> "web/index.html"
-            uri == "/coach" || uri == "/coach.html" -> "web/coach.html"
+            // Same file as "/": index.html shows its controls only on this path
+            uri == "/coach" || uri == "/coach.html" -> "web/index.html"
             uri == "/athlete" || uri == "/athlete.html" -> "web/athlete.html"
+            uri == "/lab" || uri == "/lab.html" -> "web/lab.html"
             uri.startsWith("/css/") -> "web$uri"
             uri.startsWith("/js/") -> "web$uri"
             uri.startsWith("/fonts/") -> "web$uri"
+            uri.startsWith("/icons/") -> "web$uri"
+            // PWA shell: the service worker must be served from the root to control every page
+            uri == "/sw.js" -> "web/sw.js"
+            uri == "/manifest.webmanifest" -> "web/manifest.webmanifest"
             uri == "/live" -> return super.serve(session) // WebSocket upgrade
             uri == "/api/status" -> {
                 return NanoHTTPD.newFixedLengthResponse(
@@ -80,6 +126,160 @@ class WebServer(
                     it.addHeader("Access-Control-Allow-Origin", "*")
                 }
             }
+            uri == "/api/history" -> {
+                // Snapshots broadcast while a client was disconnected (gap backfill)
+                val since = session.parameters["since"]?.firstOrNull()?.toLongOrNull()
+                    ?: return jsonResponse(
+                        """{"success":false,"message":"Missing or invalid 'since' (unix ms)"}""",
+                        NanoHTTPD.Response.Status.BAD_REQUEST,
+                    )
+                return jsonResponse(history.toJson(since))
+            }
+            uri == "/api/pair" && session.method == Method.POST -> {
+                if (accessControl == null) {
+                    return jsonResponse("""{"success":false,"message":"Pairing not required"}""", NanoHTTPD.Response.Status.SERVICE_UNAVAILABLE)
+                }
+                return try {
+                    val bodyFiles = HashMap<String, String>()
+                    session.parseBody(bodyFiles)
+                    val body = bodyFiles["postData"] ?: ""
+                    jsonResponse(accessControl.pair(body).put("success", true).toString())
+                } catch (e: AccessDeniedException) {
+                    deniedResponse(e)
+                } catch (e: IllegalArgumentException) {
+                    jsonResponse(
+                        "{\"success\":false,\"message\":${JSONObject.quote(e.message)}}",
+                        NanoHTTPD.Response.Status.BAD_REQUEST,
+                    )
+                } catch (e: Exception) {
+                    Timber.e(e, "WebServer: Error pairing display")
+                    jsonResponse("""{"success":false,"message":"Error pairing display"}""", NanoHTTPD.Response.Status.INTERNAL_ERROR)
+                }
+            }
+            uri == "/api/pair/revoke" && session.method == Method.POST -> {
+                val revoked = accessControl?.revoke(bearerToken(session)) ?: false
+                return jsonResponse(JSONObject().put("success", true).put("revoked", revoked).toString())
+            }
+            uri == "/api/pair" -> {
+                // Without access control every display may do everything
+                val pairing = accessControl?.describe(bearerToken(session))?.put("required", true)
+                    ?: JSONObject().put("role", Role.COACH.key).put("paired", false).put("required", false)
+                return jsonResponse(pairing.toString())
+            }
+            uri == "/api/profile" && session.method == Method.POST -> {
+                if (profileStore == null) {
+                    return jsonResponse("""{"success":false,"message":"Athlete profile not available"}""", NanoHTTPD.Response.Status.SERVICE_UNAVAILABLE)
+                }
+                return try {
+                    val bodyFiles = HashMap<String, String>()
+                    session.parseBody(bodyFiles)
+                    val body = bodyFiles["postData"] ?: ""
+                    val profile = profileStore.update(body)
+                    jsonResponse("""{"success":true,"profile":$profile}""")
+                } catch (e: IllegalArgumentException) {
+                    jsonResponse("""{"success":false,"message":${JSONObject.quote(e.message)}}""", NanoHTTPD.Response.Status.BAD_REQUEST)
+                } catch (e: Exception) {
+                    Timber.e(e, "WebServer: Error saving athlete profile")
+                    jsonResponse("""{"success":false,"message":"${e.message}"}""", NanoHTTPD.Response.Status.INTERNAL_ERROR)
+                }
+            }
+            uri == "/api/profile" -> {
+                return if (profileStore != null) {
+                    jsonResponse(profileStore.toJson())
+                } else {
+                    jsonResponse("""{"success":false,"message":"Athlete profile not available"}""", NanoHTTPD.Response.Status.SERVICE_UNAVAILABLE)
+                }
+            }
+            (uri == "/api/layouts" || uri == "/api/layouts/delete") && session.method == Method.POST -> {
+                if (layoutStore == null) {
+                    return jsonResponse("""{"success":false,"message":"Layout presets not available"}""", NanoHTTPD.Response.Status.SERVICE_UNAVAILABLE)
+                }
+                return try {
+                    val bodyFiles = HashMap<String, String>()
+                    session.parseBody(bodyFiles)
+                    val body = bodyFiles["postData"] ?: ""
+                    val presets = if (uri == "/api/layouts") layoutStore.save(body) else layoutStore.delete(body)
+                    jsonResponse(JSONObject(presets).put("success", true).toString())
+                } catch (e: IllegalArgumentException) {
+                    jsonResponse("""{"success":false,"message":${JSONObject.quote(e.message)}}""", NanoHTTPD.Response.Status.BAD_REQUEST)
+                } catch (e: Exception) {
+                    Timber.e(e, "WebServer: Error saving layout preset")
+                    jsonResponse("""{"success":false,"message":"${e.message}"}""", NanoHTTPD.Response.Status.INTERNAL_ERROR)
+                }
+            }
+            uri == "/api/layouts" -> {
+                return if (layoutStore != null) {
+                    jsonResponse(layoutStore.toJson())
+                } else {
+                    jsonResponse("""{"success":false,"message":"Layout presets not available"}""", NanoHTTPD.Response.Status.SERVICE_UNAVAILABLE)
+                }
+            }
+            // ─── Coach Notes (stamped here, broadcast to every dashboard) ───
+            (uri == "/api/notes" || uri == "/api/notes/delete") && session.method == Method.POST -> {
+                if (noteStore == null) {
+                    return jsonResponse("""{"success":false,"message":"Session notes not available"}""", NanoHTTPD.Response.Status.SERVICE_UNAVAILABLE)
+                }
+                return try {
+                    val bodyFiles = HashMap<String, String>()
+                    session.parseBody(bodyFiles)
+                    val body = bodyFiles["postData"] ?: ""
+                    if (uri == "/api/notes") {
+                        val state = dataProvider.currentState.value
+                        val note = noteStore.add(body, state.elapsedTime, state.lapNumber, state.rideStartTime)
+                        broadcast(JSONObject().put("type", "note").put("note", note).toString())
+                        jsonResponse(JSONObject().put("success", true).put("note", note).toString())
+                    } else {
+                        val id = noteStore.delete(body)
+                        if (id != null) broadcast("""{"type":"noteDeleted","id":$id}""")
+                        jsonResponse("""{"success":true,"deleted":${id != null}}""")
+                    }
+                } catch (e: IllegalArgumentException) {
+                    jsonResponse("""{"success":false,"message":${JSONObject.quote(e.message)}}""", NanoHTTPD.Response.Status.BAD_REQUEST)
+                } catch (e: Exception) {
+                    Timber.e(e, "WebServer: Error saving session note")
+                    jsonResponse("""{"success":false,"message":"${e.message}"}""", NanoHTTPD.Response.Status.INTERNAL_ERROR)
+                }
+            }
+            uri == "/api/notes" -> {
+                return if (noteStore != null) {
+                    jsonResponse(noteStore.toJson())
+                } else {
+                    jsonResponse("""{"success":false,"message":"Session notes not available"}""", NanoHTTPD.Response.Status.SERVICE_UNAVAILABLE)
+                }
+            }
+            // ─── Manual Measurements (RPE, glucose, …; stamped and broadcast like notes) ───
+            (uri == "/api/measurements" || uri == "/api/measurements/delete") && session.method == Method.POST -> {
+                if (measurementStore == null) {
+                    return jsonResponse("""{"success":false,"message":"Measurements not available"}""", NanoHTTPD.Response.Status.SERVICE_UNAVAILABLE)
+                }
+                return try {
+                    val bodyFiles = HashMap<String, String>()
+                    session.parseBody(bodyFiles)
+                    val body = bodyFiles["postData"] ?: ""
+                    if (uri == "/api/measurements") {
+                        val state = dataProvider.currentState.value
+                        val measurement = measurementStore.add(body, state.elapsedTime, state.lapNumber)
+                        broadcast(JSONObject().put("type", "measurement").put("measurement", measurement).toString())
+                        jsonResponse(JSONObject().put("success", true).put("measurement", measurement).toString())
+                    } else {
+                        val id = measurementStore.delete(body)
+                        if (id != null) broadcast("""{"type":"measurementDeleted","id":$id}""")
+                        jsonResponse("""{"success":true,"deleted":${id != null}}""")
+                    }
+                } catch (e: IllegalArgumentException) {
+                    jsonResponse("""{"success":false,"message":${JSONObject.quote(e.message)}}""", NanoHTTPD.Response.Status.BAD_REQUEST)
+                } catch (e: Exception) {
+                    Timber.e(e, "WebServer: Error saving measurement")
+                    jsonResponse("""{"success":false,"message":"${e.message}"}""", NanoHTTPD.Response.Status.INTERNAL_ERROR)
+                }
+            }
+            uri == "/api/measurements" -> {
+                return if (measurementStore != null) {
+                    jsonResponse(measurementStore.toJson())
+                } else {
+                    jsonResponse("""{"success":false,"message":"Measurements not available"}""", NanoHTTPD.Response.Status.SERVICE_UNAVAILABLE)
+                }
+            }
             uri == "/api/discovery" -> {
                 // Discovery endpoint for lab displays to find the Karoo
                 val discoveryJson = """{"service":"braven-dashboard","version":"1.0","port":$port}"""
@@ -128,6 +328,7 @@ class WebServer(
                     val offsetSeconds = offsetMatch?.groupValues?.get(1)?.toIntOrNull() ?: 0
 
                     if (lactateValue != null && lactateValue in 0.0..50.0) {
+                        requireLactateOffset(offsetSeconds, null)
                         Timber.i("WebServer: Lactate submitted: $lactateValue mmol/L (offset: ${offsetSeconds}s)")
                         onLactateUpdate?.invoke(lactateValue, offsetSeconds)
                         NanoHTTPD.newFixedLengthResponse(
@@ -146,6 +347,8 @@ class WebServer(
                             it.addHeader("Access-Control-Allow-Origin", "*")
                         }
                     }
+                } catch (e: IllegalArgumentException) {
+                    jsonResponse("{\"success\":false,\"message\":${JSONObject.quote(e.message)}}", NanoHTTPD.Response.Status.BAD_REQUEST)
                 } catch (e: Exception) {
                     Timber.e(e, "WebServer: Error parsing lactate request")
                     NanoHTTPD.newFixedLengthResponse(
@@ -158,6 +361,33 @@ class WebServer(
                 }
             }
 
+            // ─── Workout Status (coach → athlete view) ───────
+            uri == "/api/workout/status" && session.method == Method.POST -> {
+                return try {
+                    val bodyFiles = HashMap<String, String>()
+                    session.parseBody(bodyFiles)
+                    val body = bodyFiles["postData"] ?: ""
+                    if (body.length > MAX_WORKOUT_STATUS_LENGTH) {
+                        return jsonResponse("""{"success":false,"message":"Workout status too large"}""", NanoHTTPD.Response.Status.BAD_REQUEST)
+                    }
+                    val status = try {
+                        JSONObject(body)
+                    } catch (e: Exception) {
+                        return jsonResponse("""{"success":false,"message":"Body must be a JSON object"}""", NanoHTTPD.Response.Status.BAD_REQUEST)
+                    }
+                    publishWorkoutStatus(status)
+                    jsonResponse("""{"success":true}""")
+                } catch (e: Exception) {
+                    Timber.e(e, "WebServer: Error parsing workout status")
+                    jsonResponse("""{"success":false,"message":"${e.message}"}""", NanoHTTPD.Response.Status.INTERNAL_ERROR)
+                }
+            }
+            uri == "/api/workout/status" -> {
+                // ageMs lets viewers ignore a status whose coach tab has gone away
+                val ageMs = if (workoutStatusUpdatedAt > 0) System.currentTimeMillis() - workoutStatusUpdatedAt else -1
+                return jsonResponse(JSONObject(workoutStatus.toString()).put("ageMs", ageMs).toString())
+            }
+
             // ─── Trainer Control Endpoints ───────────────────
             uri == "/api/trainer/scan" && session.method == Method.POST -> {
                 return if (onTrainerScan != null) {
@@ -225,6 +455,7 @@ class WebServer(
                 }
             }
             uri == "/discovery" || uri == "/discovery.html" -> "web/discovery.html"
+            uri == "/bench" || uri == "/bench.html" -> "web/bench.html"
             else -> {
                 return NanoHTTPD.newFixedLengthResponse(
                     NanoHTTPD.Response.Status.NOT_FOUND,
@@ -260,35 +491,18 @@ class WebServer(
         scope.launch {
             Timber.i("WebServer: Broadcasting started")
             dataProvider.currentState.collect { state ->
-                val json = state.toJson()
-                val clientCount = connectedClients.size
-                if (clientCount == 0) return@collect
-
-                val deadClients = mutableListOf<BravenWebSocket>()
-
-                // Fan-out: send to each client in parallel with a 2s timeout
-                connectedClients.map { client ->
-                    async {
-                        try {
-                            val sent = withTimeoutOrNull(2000L) {
-                                client.send(json)
-                                true
-                            }
-                            if (sent == null) {
-                                Timber.w("WebServer: Send timed out for client, removing")
-                                deadClients.add(client)
-                            }
-                        } catch (e: Exception) {
-                            Timber.w("WebServer: Failed to send to client: ${e.message}")
-                            deadClients.add(client)
-                        }
-                    }
-                }.awaitAll()
-
-                if (deadClients.isNotEmpty()) {
-                    deadClients.forEach { connectedClients.remove(it) }
-                    Timber.i("WebServer: Pruned ${deadClients.size} dead client(s), ${connectedClients.size} remaining")
+                history.record(state)
+                if (noteStore?.observe(state.elapsedTime) == true) {
+                    sendToAll("""{"type":"notesCleared"}""")
                 }
+                if (measurementStore?.observe(state.elapsedTime) == true) {
+                    sendToAll("""{"type":"measurementsCleared"}""")
+                }
+                val update = liveEncoder.encode(state)
+                sendToAll(update.legacy) { it.protocol == 1 }
+                update.delta?.let { delta -> sendToAll(delta) { it.protocol >= 2 } }
+                // After the delta, so clients' merged state already shows the change
+                update.events.forEach { event -> sendToAll(event) { it.protocol >= 2 } }
             }
         }
 
@@ -317,6 +531,49 @@ class WebServer(
         }
     }
 
+    /**
+     * Send an event message (JSON with a "type", e.g. a new coach note) to
+     * all connected WebSocket clients.
+     */
+    fun broadcast(json: String) {
+        scope.launch { sendToAll(json) }
+    }
+
+    /**
+     * Fan-out: send to each client (optionally only those matching [filter])
+     * in parallel with a 2s timeout, pruning clients that fail or time out.
+     */
+    private suspend fun sendToAll(
+        json: String,
+        filter: (BravenWebSocket) -> Boolean = { true },
+    ) = coroutineScope {
+        if (connectedClients.isEmpty()) return@coroutineScope
+
+        val deadClients = CopyOnWriteArrayList<BravenWebSocket>()
+        connectedClients.filter(filter).map { client ->
+            async {
+                try {
+                    val sent = withTimeoutOrNull(2000L) {
+                        client.send(json)
+                        true
+                    }
+                    if (sent == null) {
+                        Timber.w("WebServer: Send timed out for client, removing")
+                        deadClients.add(client)
+                    }
+                } catch (e: Exception) {
+                    Timber.w("WebServer: Failed to send to client: ${e.message}")
+                    deadClients.add(client)
+                }
+            }
+        }.awaitAll()
+
+        if (deadClients.isNotEmpty()) {
+            deadClients.forEach { connectedClients.remove(it) }
+            Timber.i("WebServer: Pruned ${deadClients.size} dead client(s), ${connectedClients.size} remaining")
+        }
+    }
+
     /**
      * Stop the server and clean up resources.
      */
@@ -332,6 +589,7 @@ class WebServer(
         path.endsWith(".css") -> "text/css"
         path.endsWith(".js") -> "application/javascript"
         path.endsWith(".json") -> "application/json"
+        path.endsWith(".webmanifest") -> "application/manifest+json"
         path.endsWith(".png") -> "image/png"
         path.endsWith(".svg") -> "image/svg+xml"
         path.endsWith(".ico") -> "image/x-icon"
@@ -350,18 +608,147 @@ class WebServer(
         }
     }
 
+    /**
+     * Role needed to POST to [uri], or null for the pairing endpoints.
+     * Athletes may mark laps and log their own measurements; everything
+     * else that changes state is for the coach.
+     */
+    private fun requiredRole(uri: String): Role? = when (uri) {
+        "/api/pair", "/api/pair/revoke" -> null
+        "/api/lap", "/api/measurements", "/api/measurements/delete" -> Role.ATHLETE
+        else -> Role.COACH
+    }
+
+    /** Role needed to run WebSocket command [name] */
+    private fun commandRole(name: String): Role = when (name) {
+        "markLap" -> Role.ATHLETE
+        "trainerStatus" -> Role.VIEWER
+        else -> Role.COACH
+    }
+
+    /**
+     * Token from "Authorization: Bearer …" (NanoHTTPD lowercases header names).
+     * Never from the query string, which ends up in logs and history; only
+     * the /live handshake, where browsers can't set headers, takes ?token=.
+     */
+    private fun bearerToken(session: NanoHTTPD.IHTTPSession): String? =
+        session.headers["authorization"]?.removePrefix("Bearer ")?.trim()?.takeIf { it.isNotEmpty() }
+
+    /**
+     * A lactate reading may be backdated, but not to before the current ride
+     * started; one queued offline names its [ride] (SessionState.rideStartTime),
+     * which must be the current one.
+     * @throws IllegalArgumentException if it reaches into another ride
+     */
+    private fun requireLactateOffset(offsetSeconds: Int, ride: Long?) {
+        val state = dataProvider.currentState.value
+        require(offsetSeconds >= 0) { "offsetSeconds must not be negative" }
+        require(offsetSeconds <= state.elapsedTime) { "offsetSeconds goes back past the start of the ride" }
+        require(ride == null || ride == state.rideStartTime) { "Lactate reading is not from the current ride" }
+    }
+
+    private fun deniedResponse(e: AccessDeniedException): NanoHTTPD.Response {
+        val status = when (e.code) {
+            "forbidden" -> NanoHTTPD.Response.Status.FORBIDDEN
+            "locked" -> NanoHTTPD.Response.Status.TOO_MANY_REQUESTS
+            else -> NanoHTTPD.Response.Status.UNAUTHORIZED
+        }
+        return jsonResponse(
+            JSONObject().put("success", false).put("code", e.code).put("message", e.message).toString(),
+            status,
+        )
+    }
+
+    /**
+     * Carry out a command sent over the WebSocket (see [LiveProtocol]), with
+     * the same checks as the matching REST endpoint.
+     * @return the command's result
+     * @throws IllegalArgumentException for an unknown command or bad params
+     * @throws IllegalStateException if the feature isn't available
+     */
+    private fun executeCommand(name: String, params: JSONObject): JSONObject = when (name) {
+        "markLap" -> {
+            val markLap = checkNotNull(onMarkLap) { "Lap marking not available" }
+            Timber.i("WebServer: Lap mark requested via command")
+            markLap()
+            JSONObject()
+        }
+        "lactate" -> {
+            val value = params.optDouble("value", Double.NaN)
+            val offsetSeconds = params.optInt("offsetSeconds", 0)
+            require(value in 0.0..50.0) { "Invalid lactate value (0-50 mmol/L)" }
+            requireLactateOffset(offsetSeconds, if (params.has("ride")) params.optLong("ride", -1L) else null)
+            val update = checkNotNull(onLactateUpdate) { "Lactate entry not available" }
+            Timber.i("WebServer: Lactate submitted via command: $value mmol/L (offset: ${offsetSeconds}s)")
+            update(value, offsetSeconds)
+            JSONObject().put("value", value)
+        }
+        "trainerScan" -> {
+            val scan = checkNotNull(onTrainerScan) { "Trainer control not available" }
+            Timber.i("WebServer: Trainer scan requested via command")
+            scan()
+            JSONObject()
+        }
+        "trainerConnect" -> {
+            val address = params.optString("address")
+            require(address.isNotEmpty()) { "Missing address" }
+            val connect = checkNotNull(onTrainerConnect) { "Trainer control not available" }
+            Timber.i("WebServer: Trainer connect requested via command: $address")
+            connect(address)
+            JSONObject()
+        }
+        "trainerPower" -> {
+            val watts = params.optInt("watts", -1)
+            require(watts in 0..2000) { "Invalid watts (0-2000)" }
+            val setPower = checkNotNull(onTrainerSetPower) { "Trainer control not available" }
+            Timber.i("WebServer: Trainer target power via command: $watts W")
+            setPower(watts)
+            JSONObject().put("watts", watts)
+        }
+        "trainerDisconnect" -> {
+            val disconnect = checkNotNull(onTrainerDisconnect) { "Trainer control not available" }
+            Timber.i("WebServer: Trainer disconnect requested via command")
+            disconnect()
+            JSONObject()
+        }
+        "trainerStatus" -> JSONObject(onTrainerStatus?.invoke() ?: """{"state":"UNAVAILABLE"}""")
+        "workoutStatus" -> {
+            require(params.toString().length <= MAX_WORKOUT_STATUS_LENGTH) { "Workout status too large" }
+            publishWorkoutStatus(params)
+            JSONObject()
+        }
+        else -> throw IllegalArgumentException("Unknown command: $name")
+    }
+
+    /** Keep the coach's workout progress for GET /api/workout/status and push it to every dashboard */
+    private fun publishWorkoutStatus(status: JSONObject) {
+        workoutStatus = status
+        workoutStatusUpdatedAt = System.currentTimeMillis()
+        broadcast(JSONObject().put("type", "workout").put("status", status).toString())
+    }
+
     /**
      * Individual WebSocket connection handler.
      */
     inner class BravenWebSocket(handshake: NanoHTTPD.IHTTPSession) : WebSocket(handshake) {
 
+        /** Protocol version negotiated from /live?protocol=… (1 = legacy full states) */
+        val protocol = LiveProtocol.negotiate(handshake.parameters["protocol"]?.firstOrNull())
+
+        /** Pairing token from /live?token=… (browsers can't set headers on WebSockets) */
+        private val token = handshake.parameters["token"]?.firstOrNull()
+
         override fun onOpen() {
             connectedClients.add(this)
-            Timber.i("WebServer: Client connected - ${connectedClients.size} total active connection(s)")
+            Timber.i("WebServer: Client connected (protocol $protocol) - ${connectedClients.size} total active connection(s)")
             // Send immediate state snapshot so client doesn't have to wait for next 1Hz tick
             try {
-                val snapshot = dataProvider.currentState.value.toJson()
-                send(snapshot)
+                if (protocol >= 2) {
+                    send(LiveProtocol.hello(protocol))
+                    send(liveEncoder.snapshot(dataProvider.currentState.value))
+                } else {
+                    send(dataProvider.currentState.value.toJson())
+                }
                 Timber.d("WebServer: Sent initial snapshot to new client")
             } catch (e: Exception) {
                 Timber.w("WebServer: Failed to send initial snapshot: ${e.message}")
@@ -378,8 +765,70 @@ class WebServer(
         }
 
         override fun onMessage(message: WebSocketFrame?) {
-            // Client-to-server messages (future: zone config, athlete name, etc.)
-            Timber.d("WebServer: Received message: ${message?.textPayload}")
+            val payload = message?.textPayload ?: return
+            val request = try {
+                require(payload.length <= MAX_COMMAND_LENGTH) { "Message too large" }
+                JSONObject(payload)
+            } catch (e: Exception) {
+                Timber.w("WebServer: Ignoring malformed message: ${e.message}")
+                return
+            }
+            when (request.optString("type")) {
+                // Client missed a delta — start it over from a full snapshot
+                "resync" -> {
+                    sendQuietly(liveEncoder.snapshot(dataProvider.currentState.value))
+                    Timber.d("WebServer: Sent resync snapshot")
+                }
+                "command" -> runCommand(request)
+                // Application-level heartbeat: RTT and clock offset for the dashboard
+                "ping" -> sendQuietly(
+                    JSONObject()
+                        .put("type", "pong")
+                        .put("id", request.optString("id"))
+                        .put("serverTime", System.currentTimeMillis())
+                        .toString(),
+                )
+                else -> Timber.d("WebServer: Received message: $payload")
+            }
+        }
+
+        /**
+         * Acknowledge a command, run it, then reply with its result or error
+         * under the same id.
+         */
+        private fun runCommand(request: JSONObject) {
+            val id = request.optString("id")
+            val name = request.optString("command")
+            if (id.isEmpty()) {
+                Timber.w("WebServer: Ignoring command without id: $name")
+                return
+            }
+            sendQuietly(JSONObject().put("type", "ack").put("id", id).toString())
+            val reply = JSONObject().put("type", "reply").put("id", id)
+            try {
+                accessControl?.authorize(token, commandRole(name))
+                val result = executeCommand(name, request.optJSONObject("params") ?: JSONObject())
+                reply.put("success", true).put("result", result)
+            } catch (e: AccessDeniedException) {
+                Timber.w("WebServer: Refused command $name (${e.code})")
+                reply.put("success", false).put("code", e.code).put("message", e.message)
+            } catch (e: IllegalArgumentException) {
+                reply.put("success", false).put("message", e.message)
+            } catch (e: IllegalStateException) {
+                reply.put("success", false).put("message", e.message)
+            } catch (e: Exception) {
+                Timber.e(e, "WebServer: Command $name failed")
+                reply.put("success", false).put("message", e.message ?: "Command failed")
+            }
+            sendQuietly(reply.toString())
+        }
+
+        private fun sendQuietly(json: String) {
+            try {
+                send(json)
+            } catch (e: Exception) {
+                Timber.w("WebServer: Failed to send to client: ${e.message}")
+            }
         }
 
         override fun onPong(pong: WebSocketFrame?) {
@@ -391,4 +840,9 @@ class WebServer(
             connectedClients.remove(this)
         }
     }
+
+    companion object {
+        private const val MAX_WORKOUT_STATUS_LENGTH = 16_384
+        private const val MAX_COMMAND_LENGTH = 4096
+    }
 }
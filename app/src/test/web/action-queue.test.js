@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ActionQueue = require("../../main/assets/web/js/action-queue.js");
+
+/** Stands in for BravenWebSocketClient: a settable state and connection */
+class FakeClient {
+  constructor(state) {
+    this.state = state;
+    this.connected = false;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  onStatusChange() {}
+
+  onData() {}
+}
+
+function setup(state = { rideStartTime: 1000, elapsedTime: 600 }) {
+  let now = 0;
+  const client = new FakeClient(state);
+  const queue = new ActionQueue({ storage: null, now: () => now });
+  queue.attach(client);
+  const sent = [];
+  const dropped = [];
+  queue.handle("note", async (payload, action) => sent.push([payload, action.ride]));
+  queue.onChange((reason, action, err) => {
+    if (reason === "dropped") dropped.push(err.message);
+  });
+  return { client, queue, sent, dropped, advance: (ms) => (now += ms) };
+}
+
+test("stamps actions with the ride they were made in", () => {
+  const { queue } = setup();
+  const action = queue.enqueue("note", { text: "gel" });
+  assert.deepEqual(action.ride, { start: 1000, elapsed: 600 });
+});
+
+test("sends into the same ride once the Karoo is back", async () => {
+  const { client, queue, sent, dropped } = setup();
+  queue.enqueue("note", { text: "gel" });
+  client.connected = true;
+  client.state = { rideStartTime: 1000, elapsedTime: 900 };
+  assert.deepEqual(await queue.flush(), { sent: 1, dropped: 0, remaining: 0 });
+  assert.deepEqual(sent, [[{ text: "gel" }, { start: 1000, elapsed: 600 }]]);
+  assert.deepEqual(dropped, []);
+});
+
+test("drops actions from an earlier ride", async () => {
+  const { client, queue, sent, dropped } = setup();
+  queue.enqueue("note", { text: "gel" });
+  client.connected = true;
+  client.state = { rideStartTime: 5000, elapsedTime: 900 };
+  assert.deepEqual(await queue.flush(), { sent: 0, dropped: 1, remaining: 0 });
+  assert.deepEqual(sent, []);
+  assert.match(dropped[0], /earlier ride/);
+});
+
+test("drops actions when the ride time has gone back", async () => {
+  const { client, queue, sent, dropped } = setup();
+  queue.enqueue("note", { text: "gel" });
+  client.connected = true;
+  client.state = { rideStartTime: 1000, elapsedTime: 30 };
+  await queue.flush();
+  assert.deepEqual(sent, []);
+  assert.match(dropped[0], /ride time went back/);
+});
+
+test("drops actions made before any ride data arrived", async () => {
+  const { client, queue, sent, dropped } = setup(null);
+  queue.enqueue("note", { text: "gel" });
+  client.connected = true;
+  client.state = { rideStartTime: 1000, elapsedTime: 30 };
+  await queue.flush();
+  assert.deepEqual(sent, []);
+  assert.match(dropped[0], /before any ride data/);
+});
+
+test("drops actions queued longer than MAX_AGE_MS ago", async () => {
+  const { client, queue, sent, dropped, advance } = setup();
+  queue.enqueue("note", { text: "old" });
+  advance(ActionQueue.MAX_AGE_MS - 1000);
+  queue.enqueue("note", { text: "recent" });
+  advance(2000);
+  client.connected = true;
+  assert.deepEqual(await queue.flush(), { sent: 1, dropped: 1, remaining: 0 });
+  assert.deepEqual(
+    sent.map(([payload]) => payload.text),
+    ["recent"],
+  );
+  assert.match(dropped[0], /minutes ago/);
+});
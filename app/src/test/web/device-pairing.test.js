@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const DevicePairing = require("../../main/assets/web/js/device-pairing.js");
+
+const reply = (status, body) => async () => ({
+  status,
+  ok: status >= 200 && status < 300,
+  json: async () => body,
+});
+
+test("only an explicit required:false opens every control", async () => {
+  const pairing = new DevicePairing({ storage: null, fetchFn: reply(200, { required: false, role: "coach" }) });
+  assert.equal(await pairing.verify(), "coach");
+});
+
+test("stays a viewer when the pairing check fails", async () => {
+  for (const fetchFn of [
+    reply(404, {}),
+    reply(500, {}),
+    async () => {
+      throw new Error("Network down");
+    },
+  ]) {
+    const pairing = new DevicePairing({ storage: null, fetchFn });
+    await assert.rejects(pairing.verify());
+    assert.equal(pairing.getRole(), "viewer");
+    assert.equal(pairing.can("athlete"), false);
+  }
+});
+
+test("closes again when a later check fails", async () => {
+  let fetchFn = reply(200, { required: false });
+  const pairing = new DevicePairing({ storage: null, fetchFn: (...args) => fetchFn(...args) });
+  await pairing.verify();
+  fetchFn = reply(503, {});
+  await assert.rejects(pairing.verify());
+  assert.equal(pairing.getRole(), "viewer");
+});
+
+test("pairs with the PIN alone and takes the role the Karoo grants", async () => {
+  let sent;
+  const pairing = new DevicePairing({
+    storage: null,
+    now: () => 0,
+    fetchFn: async (url, init) => {
+      sent = JSON.parse(init.body);
+      return { status: 200, ok: true, json: async () => ({ success: true, token: "t", role: "athlete", expiresAt: 1000 }) };
+    },
+  });
+  assert.equal(await pairing.pair("123456", "Bike 2"), "athlete");
+  assert.deepEqual(sent, { pin: "123456", name: "Bike 2" });
+  pairing.expire();
+});
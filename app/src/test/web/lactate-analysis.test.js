@@ -0,0 +1,83 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const LactateAnalysis = require("../../main/assets/web/js/lactate-analysis.js");
+
+const points = [
+  { power: 100, heartRate: 100 },
+  { power: 200, heartRate: 120 },
+  { power: 300, heartRate: 160 },
+];
+
+test("interpolates heart rate between laps", () => {
+  assert.equal(LactateAnalysis._heartRateAt(points, 150), 110);
+  assert.equal(LactateAnalysis._heartRateAt(points, 250), 140);
+  assert.equal(LactateAnalysis._heartRateAt(points, 300), 160);
+});
+
+test("extrapolates heart rate from the nearest segment beyond the laps", () => {
+  assert.equal(LactateAnalysis._heartRateAt(points, 50), 90);
+  assert.equal(LactateAnalysis._heartRateAt(points, 350), 180);
+});
+
+test("uses heart rate from the laps that have it", () => {
+  // The last lap has no HR: a threshold above 200 W extrapolates 100 → 200 W
+  const partial = [...points.slice(0, 2), { power: 300, heartRate: null }];
+  assert.equal(LactateAnalysis._heartRateAt(partial, 250), 130);
+});
+
+/**
+ * Reference step test on an exact cubic, La(P) = 1 + 2e-7·P³ mmol/L, with
+ * HR = 60 + 0.4·P. The fit reproduces the curve, so every threshold has a
+ * closed form to check against:
+ *   La⁻¹(c)  = ∛((c − 1) / 2e-7)
+ *   Dmax(a→b) = √((b³ − a³) / (3·(b − a))), where La′ equals the chord slope
+ */
+const K = 2e-7;
+const curve = (p) => 1 + K * p ** 3;
+const powerAt = (lactate) => Math.cbrt((lactate - 1) / K);
+const dmaxBetween = (a, b) => Math.sqrt((b ** 3 - a ** 3) / (3 * (b - a)));
+const stepTest = [100, 140, 180, 220, 260, 300, 340].map((power) => ({
+  power,
+  heartRate: 60 + 0.4 * power,
+  lactate: Math.round(curve(power) * 1000) / 1000,
+}));
+
+function assertThreshold(threshold, power, name) {
+  assert.ok(threshold, `${name} found`);
+  assert.ok(Math.abs(threshold.power - power) <= 1, `${name}: ${threshold.power} W vs ${power.toFixed(1)} W`);
+  assert.ok(Math.abs(threshold.lactate - curve(power)) <= 0.05, `${name} lactate`);
+  assert.ok(Math.abs(threshold.heartRate - (60 + 0.4 * power)) <= 1, `${name} heart rate`);
+}
+
+test("analyze() finds LT1, LT2 and OBLA on the reference curve", () => {
+  const result = LactateAnalysis.analyze(stepTest);
+  assert.equal(result.baseline, 1.2);
+  assert.deepEqual(result.range, [100, 340]);
+  assertThreshold(result.thresholds.lt1, powerAt(1.2 + 0.5), "LT1"); // ≈ 152 W
+  assertThreshold(result.thresholds.lt2, powerAt(1.2 + 1.5), "LT2"); // ≈ 204 W
+  assertThreshold(result.thresholds.obla2, powerAt(2), "OBLA 2"); // ≈ 171 W
+  assertThreshold(result.thresholds.obla4, powerAt(4), "OBLA 4"); // ≈ 247 W
+});
+
+test("analyze() finds Dmax and ModDmax on the reference curve", () => {
+  const { thresholds } = LactateAnalysis.analyze(stepTest);
+  // Chord from the first to the last measured point
+  assertThreshold(thresholds.dmax, dmaxBetween(100, 340), "Dmax"); // ≈ 231 W
+  // 140 → 180 W is the first rise above 0.4 mmol/L, so the chord starts at 140 W
+  assertThreshold(thresholds.modDmax, dmaxBetween(140, 340), "ModDmax"); // ≈ 247 W
+});
+
+test("analyze() does not extrapolate thresholds beyond the measured range", () => {
+  const easy = stepTest.slice(0, 4); // tops out at 3.1 mmol/L
+  const { thresholds } = LactateAnalysis.analyze(easy, { lt2Delta: 2.5 });
+  assert.equal(thresholds.obla4, null);
+  assert.equal(thresholds.lt2, null);
+  assert.ok(thresholds.obla2);
+});
+
+test("analyze() needs at least three laps with a reading", () => {
+  const laps = stepTest.slice(0, 3).map((l, i) => (i === 1 ? { ...l, lactate: null } : l));
+  assert.equal(LactateAnalysis.analyze(laps), null);
+  assert.equal(LactateAnalysis.analyze([]), null);
+});
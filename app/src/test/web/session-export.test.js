@@ -0,0 +1,246 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const FitFile = require("../../main/assets/web/js/fit-file.js");
+const SessionExport = require("../../main/assets/web/js/session-export.js");
+
+const KAROO_FILES = ["i124672129.fit", "i124674718.fit"].map((name) =>
+  path.join(__dirname, "../../../../assets", name),
+);
+
+const round = (v, digits) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+/** A 3-lap step test in SessionRecorder shape: 3 × 2 min, lactate at the end of each lap */
+function stepTest() {
+  const start = Date.UTC(2026, 1, 12, 9, 0, 0);
+  const samples = [];
+  for (let i = 0; i < 360; i++) {
+    const lapNumber = Math.floor(i / 120) + 1;
+    samples.push({
+      t: start + i * 1000,
+      elapsed: i + 1,
+      power: 100 + lapNumber * 50 + (i % 7),
+      power3s: 100 + lapNumber * 50,
+      heartRate: 110 + lapNumber * 15 + (i % 3),
+      cadence: 88 + (i % 5),
+      speed: 30.6, // 8.5 m/s
+      distance: round((i * 8.5) / 1000, 4),
+      elevation: 0,
+      grade: 0,
+      coreTemp: round(37.2 + i * 0.003, 2),
+      vo2: 0,
+      lapNumber,
+      trainerTarget: 100 + lapNumber * 50,
+      latitude: 0,
+      longitude: 0,
+    });
+  }
+  const lactateReadings = [1.1, 1.8, 3.4].map((value, i) => ({
+    t: start + (i * 120 + 115) * 1000,
+    elapsed: i * 120 + 116,
+    lapNumber: i + 1,
+    value,
+  }));
+  const laps = [1, 2, 3].map((number) => {
+    const lapSamples = samples.filter((s) => s.lapNumber === number);
+    const avg = (key) => Math.round(lapSamples.reduce((a, s) => a + s[key], 0) / lapSamples.length);
+    const max = (key) => lapSamples.reduce((m, s) => Math.max(m, s[key]), 0);
+    return {
+      number,
+      startTime: lapSamples[0].t,
+      startElapsed: lapSamples[0].elapsed,
+      duration: lapSamples.length,
+      avgPower: avg("power"),
+      maxPower: max("power"),
+      avgHeartRate: avg("heartRate"),
+      maxHeartRate: max("heartRate"),
+      avgCadence: avg("cadence"),
+      distance: round(lapSamples[lapSamples.length - 1].distance - lapSamples[0].distance, 4),
+      lactate: lactateReadings[number - 1].value,
+      trainerTarget: 100 + number * 50,
+    };
+  });
+  const notes = [
+    { t: start + 30000, elapsed: 31, lap: 1, tag: "comment", text: 'Felt "easy", legs fine' },
+  ];
+  const measurements = [
+    { t: start + 230000, elapsed: 231, lap: 2, type: "rpe", value: 13, unit: "" },
+  ];
+  return { id: "step-test", startTime: start, samples, laps, lactateReadings, notes, measurements };
+}
+
+/** The sample fields a FIT record carries */
+const FIT_SAMPLE_KEYS = [
+  "t",
+  "elapsed",
+  "power",
+  "heartRate",
+  "cadence",
+  "speed",
+  "distance",
+  "coreTemp",
+  "lapNumber",
+];
+
+const pick = (obj, keys) => Object.fromEntries(keys.map((k) => [k, obj[k]]));
+
+test("FIT: samples, laps and lactate survive encode → decode", () => {
+  const session = stepTest();
+  const decoded = FitFile.toSession(FitFile.encode(session));
+
+  assert.equal(decoded.samples.length, session.samples.length);
+  decoded.samples.forEach((s, i) => {
+    const expected = pick(session.samples[i], FIT_SAMPLE_KEYS);
+    const actual = { ...pick(s, FIT_SAMPLE_KEYS), distance: round(s.distance, 4) };
+    assert.deepEqual(actual, expected, `sample ${i}`);
+  });
+
+  const lapKeys = Object.keys(session.laps[0]).filter((k) => k !== "trainerTarget");
+  assert.deepEqual(
+    decoded.laps.map((lap) => ({ ...pick(lap, lapKeys), distance: round(lap.distance, 4) })),
+    session.laps.map((lap) => pick(lap, lapKeys)),
+  );
+
+  assert.deepEqual(
+    decoded.lactateReadings.map((r) => pick(r, ["elapsed", "lapNumber", "value"])),
+    session.lactateReadings.map((r) => pick(r, ["elapsed", "lapNumber", "value"])),
+  );
+});
+
+/** FIT SDK CRC-16, independent of FitFile.crc */
+function fitCrc(bytes) {
+  const table = [
+    0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401,
+    0xa001, 0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400,
+  ];
+  let crc = 0;
+  for (const byte of bytes) {
+    let tmp = table[crc & 0xf];
+    crc = ((crc >> 4) & 0x0fff) ^ tmp ^ table[byte & 0xf];
+    tmp = table[crc & 0xf];
+    crc = ((crc >> 4) & 0x0fff) ^ tmp ^ table[(byte >> 4) & 0xf];
+  }
+  return crc;
+}
+
+test("FIT: header declares protocol 2.0 for developer fields and both CRCs check", () => {
+  const bytes = FitFile.encode(stepTest());
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  assert.equal(bytes[0], 14);
+  assert.equal(bytes[1] >> 4, 2, "protocol major version");
+  assert.equal(String.fromCharCode(...bytes.subarray(8, 12)), ".FIT");
+  assert.equal(view.getUint32(4, true), bytes.length - 16, "data size");
+  assert.equal(view.getUint16(12, true), fitCrc(bytes.subarray(0, 12)), "header CRC");
+  assert.equal(fitCrc(bytes), 0, "file CRC");
+});
+
+test("FIT: core temperature is a developer field, not record temperature", () => {
+  const messages = FitFile.decode(FitFile.encode(stepTest()));
+  const records = messages.filter((m) => m.global === FitFile.MESG.RECORD);
+  assert.ok(records.every((m) => m.fields[13] === undefined));
+  assert.equal(records[0].dev.core_temperature.toFixed(2), "37.20");
+  const descriptions = messages.filter((m) => m.global === FitFile.MESG.FIELD_DESCRIPTION);
+  assert.deepEqual(
+    descriptions.map((m) => m.fields[3]),
+    ["Lactate", "core_temperature"],
+  );
+});
+
+test("FIT: decodes Karoo files with the Lactate developer field", () => {
+  KAROO_FILES.forEach((file) => {
+    const session = FitFile.toSession(fs.readFileSync(file));
+    assert.ok(session.samples.length > 0, file);
+    assert.ok(session.lactateReadings.length > 0, file);
+    // Karoo record temperature is the head unit's ambient sensor
+    assert.ok(session.samples.every((s) => s.coreTemp === 0), file);
+  });
+});
+
+test("CSV: samples, laps, notes and measurements survive export → parse", () => {
+  const session = stepTest();
+
+  const roundTrip = (encode, columns) => SessionExport.parseCsv(encode(session), columns);
+
+  assert.deepEqual(roundTrip(SessionExport.samplesCsv, SessionExport.SAMPLE_COLUMNS), session.samples);
+  assert.deepEqual(roundTrip(SessionExport.lapsCsv, SessionExport.LAP_COLUMNS), session.laps);
+  assert.deepEqual(roundTrip(SessionExport.notesCsv, SessionExport.NOTE_COLUMNS), session.notes);
+  // An empty unit reads back as an empty cell
+  assert.deepEqual(
+    roundTrip(SessionExport.measurementsCsv, SessionExport.MEASUREMENT_COLUMNS),
+    session.measurements.map((m) => ({ ...m, unit: null })),
+  );
+});
+
+test("CSV: formula-like text is neutralised and carriage returns are quoted", () => {
+  const session = stepTest();
+  session.notes = [
+    { ...session.notes[0], text: "=HYPERLINK(\"http://x\")" },
+    { ...session.notes[0], id: session.notes[0].id + 1, text: "@SUM(A1)\rnext" },
+  ];
+  const csv = SessionExport.notesCsv(session);
+
+  assert.match(csv, /,"'=HYPERLINK\(""http:\/\/x""\)"/);
+  assert.match(csv, /,"'@SUM\(A1\)\rnext"/);
+  assert.doesNotMatch(csv, /,[=+\-@]/);
+  const parsed = SessionExport.parseCsv(csv, SessionExport.NOTE_COLUMNS);
+  assert.deepEqual(parsed.map((n) => n.text), session.notes.map((n) => n.text));
+  // Negative numbers are left alone
+  assert.match(SessionExport.samplesCsv({ samples: [{ ...session.samples[0], grade: -2.5 }] }), /,-2\.5,/);
+});
+
+/** Read back what a TCX importer sees: laps with trackpoints and notes */
+function readTcx(xml) {
+  const value = (text, tag) => {
+    const match = text.match(new RegExp(`<${tag}>(?:<Value>)?([^<]*)`));
+    return match ? match[1] : null;
+  };
+  return [...xml.matchAll(/<Lap StartTime="([^"]+)">([\s\S]*?)<\/Lap>/g)].map(([, startTime, body]) => ({
+    startTime: Date.parse(startTime),
+    duration: Number(value(body, "TotalTimeSeconds")),
+    avgHeartRate: Number(value(body, "AverageHeartRateBpm")),
+    maxHeartRate: Number(value(body, "MaximumHeartRateBpm")),
+    avgCadence: Number(value(body, "Cadence")),
+    avgPower: Number(value(body, "ns3:AvgWatts")),
+    notes: value(body, "Notes"),
+    trackpoints: [...body.matchAll(/<Trackpoint>([\s\S]*?)<\/Trackpoint>/g)].map(([, tp]) => ({
+      t: Date.parse(value(tp, "Time")),
+      distance: Number(value(tp, "DistanceMeters")) / 1000,
+      heartRate: Number(value(tp, "HeartRateBpm")),
+      cadence: Number(value(tp, "Cadence")),
+      speed: round(Number(value(tp, "ns3:Speed")) * 3.6, 1),
+      power: Number(value(tp, "ns3:Watts")),
+    })),
+  }));
+}
+
+test("TCX: samples, laps and lactate survive export → read", () => {
+  const session = stepTest();
+  const laps = readTcx(SessionExport.tcx(session));
+
+  const lapKeys = ["startTime", "duration", "avgHeartRate", "maxHeartRate", "avgCadence", "avgPower"];
+  assert.equal(laps.length, session.laps.length);
+  laps.forEach((lap, i) => {
+    const expected = session.laps[i];
+    assert.deepEqual(pick(lap, lapKeys), pick(expected, lapKeys));
+    assert.match(lap.notes, new RegExp(`Lactate ${expected.lactate} mmol/L`));
+  });
+
+  const trackpoints = laps.flatMap((lap) => lap.trackpoints);
+  const keys = ["t", "distance", "heartRate", "cadence", "speed", "power"];
+  assert.deepEqual(
+    trackpoints.map((tp) => ({ ...tp, distance: round(tp.distance, 4) })),
+    session.samples.map((s) => pick(s, keys)),
+  );
+});
+
+test("TCX: a lap without samples has no empty Track", () => {
+  const session = stepTest();
+  session.laps.push({ ...session.laps[2], number: 4, startTime: session.laps[2].startTime + 120000 });
+  const xml = SessionExport.tcx(session);
+
+  assert.equal(readTcx(xml).length, 4);
+  assert.doesNotMatch(xml, /<Track>\s*<\/Track>/);
+});
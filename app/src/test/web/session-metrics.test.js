@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const SessionMetrics = require("../../main/assets/web/js/session-metrics.js");
+const reference = require("./fixtures/session-metrics.json");
+
+/** Expand [{seconds, power, heartRate}] segments into 1 Hz samples */
+function samplesFrom(segments) {
+  const samples = [];
+  segments.forEach((seg) => {
+    for (let i = 0; i < seg.seconds; i++) {
+      samples.push({ power: seg.power, heartRate: seg.heartRate, cadence: 90 });
+    }
+  });
+  return samples;
+}
+
+reference.cases.forEach((c) => {
+  test(`reference: ${c.name}`, () => {
+    const result = SessionMetrics.compute(samplesFrom(c.segments), {
+      ftp: c.ftp,
+      powerZones: reference.powerZones,
+      hrZones: reference.hrZones,
+    });
+    Object.entries(c.expected).forEach(([key, expected]) => {
+      const actual =
+        key === "timeInPowerZones" || key === "timeInHrZones"
+          ? result[key].map((z) => z.seconds)
+          : result[key];
+      assert.deepEqual(actual, expected, key);
+    });
+  });
+});
+
+test("returns null without samples", () => {
+  assert.equal(SessionMetrics.compute([]), null);
+  assert.equal(SessionMetrics.compute(null), null);
+});
+
+test("leaves NP, IF and TSS empty under 30 s", () => {
+  const samples = samplesFrom([{ seconds: 29, power: 250, heartRate: 150 }]);
+  const result = SessionMetrics.compute(samples, { ftp: 250 });
+  assert.equal(result.np, null);
+  assert.equal(result.intensityFactor, null);
+  assert.equal(result.tss, null);
+  assert.equal(result.bestEfforts[60], null);
+});
+
+test("leaves IF and TSS empty without an FTP", () => {
+  const result = SessionMetrics.compute(samplesFrom([{ seconds: 600, power: 200, heartRate: 140 }]));
+  assert.equal(result.np, 200);
+  assert.equal(result.intensityFactor, null);
+  assert.equal(result.tss, null);
+});
+
+test("needs 10 min for decoupling", () => {
+  const result = SessionMetrics.compute(samplesFrom([{ seconds: 599, power: 200, heartRate: 140 }]));
+  assert.equal(result.decoupling, null);
+});
+
+test("counts values above the top zone in the top zone and skips zeros", () => {
+  const zones = [
+    { min: 0, max: 100 },
+    { min: 100, max: 200 },
+  ];
+  const seconds = SessionMetrics.timeInZones([0, 50, 150, 250, 0], zones).map((z) => z.seconds);
+  assert.deepEqual(seconds, [1, 2]);
+});
+
+test("handles 150k samples (a 42 h ride at 1 Hz)", () => {
+  const samples = new Array(150_000);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = { power: 150 + (i % 100), heartRate: 120 + (i % 40), cadence: 85 };
+  }
+  samples[123_456] = { power: 1200, heartRate: 199, cadence: 110 };
+  const result = SessionMetrics.compute(samples, { ftp: 250 });
+  assert.equal(result.duration, 150_000);
+  assert.equal(result.maxPower, 1200);
+  assert.equal(result.maxHeartRate, 199);
+  assert.ok(result.np > 150 && result.np < 250);
+});
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const SessionRecorder = require("../../main/assets/web/js/session-recorder.js");
+
+const T0 = 1700000000000;
+
+function sample(elapsed, fields = {}) {
+  return {
+    timestamp: T0 + elapsed * 1000,
+    elapsedTime: elapsed,
+    lapNumber: 1,
+    lactate: null,
+    lactateTimestamp: null,
+    ...fields,
+  };
+}
+
+test("places a backdated reading at the time of the draw", () => {
+  const recorder = new SessionRecorder();
+  for (let e = 1; e <= 60; e++) recorder.record(sample(e, { lapNumber: e <= 40 ? 1 : 2 }));
+  recorder.record(sample(61, { lapNumber: 2, lactate: 2.4, lactateTimestamp: T0 + 31 * 1000 }));
+
+  const [reading] = recorder.getSession().lactateReadings;
+  assert.equal(reading.t, T0 + 31 * 1000);
+  assert.equal(reading.elapsed, 31);
+  assert.equal(reading.lapNumber, 1);
+  assert.equal(recorder.getSession().laps[0].lactate, 2.4);
+});
+
+test("records the first reading after restoring a session without readings", () => {
+  const first = new SessionRecorder();
+  for (let e = 1; e <= 10; e++) first.record(sample(e));
+
+  const recorder = new SessionRecorder();
+  recorder.restore({ ...first.getSession(), laps: [] });
+  recorder.record(sample(11, { lactate: 1.8, lactateTimestamp: T0 + 11 * 1000 }));
+
+  assert.equal(recorder.getSession().lactateReadings.length, 1);
+  assert.equal(recorder.getSession().lactateReadings[0].value, 1.8);
+});
+
+test("ignores a reading from before the session after restoring", () => {
+  const first = new SessionRecorder();
+  for (let e = 1; e <= 10; e++) first.record(sample(e));
+
+  const recorder = new SessionRecorder();
+  recorder.restore({ ...first.getSession(), laps: [] });
+  recorder.record(sample(11, { lactate: 3.1, lactateTimestamp: T0 - 3600 * 1000 }));
+
+  assert.equal(recorder.getSession().lactateReadings.length, 0);
+});
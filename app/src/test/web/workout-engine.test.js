@@ -0,0 +1,291 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const WorkoutEngine = require("../../main/assets/web/js/workout-engine.js");
+
+/** Stands in for BravenWebSocketClient: a sample feed plus recorded trainer commands */
+class FakeClient {
+  constructor() {
+    this._dataCallbacks = [];
+    this.powerCalls = [];
+    this.failNext = false;
+  }
+
+  onData(callback) {
+    this._dataCallbacks.push(callback);
+  }
+
+  emit(data) {
+    this._dataCallbacks.forEach((cb) => cb(data));
+  }
+
+  /** Feed one sample per second from `from` to `to` (inclusive) */
+  ride(from, to) {
+    for (let elapsed = from; elapsed <= to; elapsed++) this.emit({ elapsedTime: elapsed });
+  }
+
+  trainerSetPower(watts) {
+    this.powerCalls.push(watts);
+    if (this.failNext) {
+      this.failNext = false;
+      return Promise.reject(new Error("Trainer not connected"));
+    }
+    return Promise.resolve({ ok: true });
+  }
+}
+
+// _sendTarget settles on the microtask queue
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+const WORKOUT = [
+  { type: "step", duration: 60, target: { watts: 100 } },
+  { type: "ramp", duration: 100, from: { watts: 100 }, to: { ftpPercent: 80 } },
+  {
+    type: "interval",
+    repeats: 2,
+    on: { duration: 30, target: { ftpPercent: 120 } },
+    off: { duration: 20, target: { watts: 120 } },
+  },
+];
+
+function setup(blocks = WORKOUT) {
+  const client = new FakeClient();
+  const engine = new WorkoutEngine({ ftp: 250 });
+  engine.attach(client);
+  client.emit({ elapsedTime: 500 }); // ride already under way
+  engine.load(blocks, "Test");
+  return { client, engine };
+}
+
+// ═══════════════════════════════════════════════════════
+// COMPILING
+// ═══════════════════════════════════════════════════════
+
+test("compiles steps, ramps and intervals into a timeline", () => {
+  const steps = WorkoutEngine.compile(WORKOUT);
+  assert.deepEqual(
+    steps.map((s) => [s.kind, s.label, s.duration, s.blockIndex]),
+    [
+      ["step", "Step 1", 60, 0],
+      ["ramp", "Ramp 2", 100, 1],
+      ["on", "Interval 1/2", 30, 2],
+      ["off", "Recovery 1/2", 20, 2],
+      ["on", "Interval 2/2", 30, 2],
+      ["off", "Recovery 2/2", 20, 2],
+    ],
+  );
+  assert.deepEqual(steps[1].from, { watts: 100 });
+  assert.deepEqual(steps[1].to, { ftpPercent: 80 });
+});
+
+test("drops zero-length steps, off phases and unknown blocks", () => {
+  const steps = WorkoutEngine.compile([
+    { type: "step", duration: 0, target: { watts: 100 } },
+    { type: "interval", repeats: 3, on: { duration: 10, target: { watts: 300 } }, off: { duration: 0 } },
+    { type: "bogus", duration: 10 },
+  ]);
+  assert.deepEqual(steps.map((s) => s.kind), ["on", "on", "on"]);
+});
+
+test("load() lays steps end to end", () => {
+  const { engine } = setup();
+  const snapshot = engine.getSnapshot();
+  assert.equal(snapshot.state, "idle");
+  assert.equal(snapshot.totalDuration, 260);
+  assert.equal(snapshot.stepCount, 6);
+});
+
+// ═══════════════════════════════════════════════════════
+// PROGRESSION
+// ═══════════════════════════════════════════════════════
+
+test("interpolates ramp targets, resolving %FTP", () => {
+  const { client, engine } = setup();
+  engine.start();
+  client.ride(501, 560); // into the ramp: 100 W → 200 W (80% of 250)
+  assert.equal(engine.getSnapshot().targetWatts, 100);
+  client.ride(561, 610);
+  assert.equal(engine.getSnapshot().targetWatts, 150);
+  client.ride(611, 659);
+  assert.equal(engine.getSnapshot().targetWatts, 199);
+});
+
+test("progresses with the session's elapsed time and finishes", () => {
+  const { client, engine } = setup();
+  const steps = [];
+  const states = [];
+  engine.onStepChange((step, index) => steps.push(index));
+  engine.onChange((snapshot) => states.push(snapshot.state));
+  engine.start();
+
+  client.ride(501, 559);
+  assert.equal(engine.getSnapshot().stepIndex, 0);
+  assert.equal(engine.getSnapshot().stepRemaining, 1);
+  assert.equal(engine.getSnapshot().nextTargetWatts, 100);
+
+  client.ride(560, 560);
+  assert.equal(engine.getSnapshot().stepIndex, 1);
+
+  // A 10 s gap in samples still moves the workout on by 10 s
+  client.emit({ elapsedTime: 570 });
+  assert.equal(engine.getSnapshot().position, 70);
+
+  client.ride(571, 760);
+  assert.equal(engine.getSnapshot().state, "finished");
+  assert.deepEqual(steps, [0, 1, 2, 3, 4, 5]);
+  assert.equal(states[states.length - 1], "finished");
+});
+
+test("holds when the Karoo clock stops and does not rewind on a new ride", () => {
+  const { client, engine } = setup();
+  engine.start();
+  client.ride(501, 520);
+  client.emit({ elapsedTime: 520 });
+  client.emit({ elapsedTime: 520 });
+  assert.equal(engine.getSnapshot().position, 20);
+
+  client.emit({ elapsedTime: 3 }); // new ride
+  assert.equal(engine.getSnapshot().position, 20);
+  client.emit({ elapsedTime: 8 });
+  assert.equal(engine.getSnapshot().position, 25);
+});
+
+// ═══════════════════════════════════════════════════════
+// CONTROL
+// ═══════════════════════════════════════════════════════
+
+test("pause holds the position and resume continues from it", () => {
+  const { client, engine } = setup();
+  engine.start();
+  client.ride(501, 530);
+  engine.pause();
+  assert.equal(engine.getSnapshot().state, "paused");
+  client.ride(531, 600);
+  assert.equal(engine.getSnapshot().position, 30);
+
+  engine.resume();
+  client.ride(601, 610);
+  assert.equal(engine.getSnapshot().state, "running");
+  assert.equal(engine.getSnapshot().position, 40);
+});
+
+test("skip jumps to the start of the next step", () => {
+  const { client, engine } = setup();
+  engine.start();
+  client.ride(501, 510);
+  engine.skip();
+  const snapshot = engine.getSnapshot();
+  assert.equal(snapshot.stepIndex, 1);
+  assert.equal(snapshot.position, 60);
+  assert.equal(snapshot.stepRemaining, 100);
+});
+
+test("extend lengthens the current step and shifts the rest", () => {
+  const { client, engine } = setup();
+  engine.start();
+  client.ride(501, 550);
+  engine.extend(30);
+  let snapshot = engine.getSnapshot();
+  assert.equal(snapshot.stepRemaining, 40);
+  assert.equal(snapshot.totalDuration, 290);
+  assert.equal(snapshot.nextStep.start, 90);
+
+  // Shortening never cuts below what has already been ridden
+  engine.extend(-1000);
+  snapshot = engine.getSnapshot();
+  assert.equal(snapshot.step.duration, 51);
+  assert.equal(snapshot.stepIndex, 0);
+});
+
+test("stop returns to idle and ignores further samples", () => {
+  const { client, engine } = setup();
+  engine.start();
+  client.ride(501, 520);
+  engine.stop();
+  client.ride(521, 600);
+  const snapshot = engine.getSnapshot();
+  assert.equal(snapshot.state, "idle");
+  assert.equal(snapshot.position, 0);
+  assert.equal(snapshot.step, null);
+});
+
+// ═══════════════════════════════════════════════════════
+// TRAINER COMMANDS
+// ═══════════════════════════════════════════════════════
+
+test("sends each new ERG target once through trainerSetPower", async () => {
+  const { client, engine } = setup([
+    { type: "step", duration: 3, target: { watts: 150 } },
+    { type: "ramp", duration: 4, from: { watts: 200 }, to: { watts: 240 } },
+    { type: "step", duration: 3, target: { watts: 2500 } },
+  ]);
+  engine.start();
+  client.ride(501, 512);
+  await flush();
+  // Ramp steps every 10 W; the last target is clamped to 2000 W
+  assert.deepEqual(client.powerCalls, [150, 200, 210, 220, 230, 2000]);
+});
+
+test("does not send targets while paused", async () => {
+  const { client, engine } = setup();
+  engine.start();
+  engine.pause();
+  engine.skip();
+  client.ride(501, 520);
+  await flush();
+  assert.deepEqual(client.powerCalls, [100]);
+});
+
+test("retries a target the trainer rejected on the next sample", async () => {
+  const { client, engine } = setup();
+  client.failNext = true;
+  engine.start();
+  await flush();
+  client.ride(501, 501);
+  await flush();
+  client.ride(502, 502);
+  await flush();
+  assert.deepEqual(client.powerCalls, [100, 100]);
+});
+
+test("skips %FTP targets until an FTP is set", async () => {
+  const { client, engine } = setup([{ type: "step", duration: 60, target: { ftpPercent: 50 } }]);
+  engine.setFtp(0);
+  engine.start();
+  client.ride(501, 510);
+  await flush();
+  assert.deepEqual(client.powerCalls, []);
+
+  engine.setFtp(300);
+  client.ride(511, 511);
+  await flush();
+  assert.deepEqual(client.powerCalls, [150]);
+});
+
+// ═══════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════
+
+test("parses seconds, m:ss and h:mm:ss durations", () => {
+  assert.equal(WorkoutEngine.parseDuration("90"), 90);
+  assert.equal(WorkoutEngine.parseDuration(" 1:30 "), 90);
+  assert.equal(WorkoutEngine.parseDuration("1:00:00"), 3600);
+});
+
+test("rejects blank and malformed durations", () => {
+  ["", "   ", "1:", ":30", "abc", "-5", "1.5", "1:90", "1:00:75", "1:2:3:4", "1e2"].forEach((text) => {
+    assert.equal(WorkoutEngine.parseDuration(text), null, JSON.stringify(text));
+  });
+});
+
+test("parses watts and %FTP targets", () => {
+  assert.deepEqual(WorkoutEngine.parseTarget("200"), { watts: 200 });
+  assert.deepEqual(WorkoutEngine.parseTarget(" 75% "), { ftpPercent: 75 });
+  assert.deepEqual(WorkoutEngine.parseTarget("87.5 %"), { ftpPercent: 87.5 });
+});
+
+test("rejects negative, zero and malformed targets", () => {
+  ["", "-200", "0", "200abc", "20.5", "abc%", "-50%", "0%", "%", "1e3"].forEach((text) => {
+    assert.equal(WorkoutEngine.parseTarget(text), null, JSON.stringify(text));
+  });
+});